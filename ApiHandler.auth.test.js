@@ -0,0 +1,308 @@
+/**
+ * ApiHandler Authentication Test Suite
+ *
+ * Tests for the built-in API key, JWT and HMAC authenticators and route-level authorization
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const ApiHandler = require('./ApiHandler.js');
+const Authenticators = require('./Authenticators.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      orders: {
+        list: { path: '/orders', methods: ['GET'], params: [] },
+        create: { path: '/orders', methods: ['POST'], params: [{ name: 'sku', type: 'string' }], auth: { scopes: ['orders:write'] } },
+        purge: { path: '/orders/purge', methods: ['POST'], params: [], auth: { roles: ['admin', 'ops'], scopes: ['orders:write', 'orders:delete'] } }
+      },
+      public: {
+        health: { path: '/health', methods: ['GET'], params: [], auth: false },
+        feed: { path: '/feed', methods: ['GET'], params: [], auth: { required: false } },
+        webhook: { path: '/webhook', methods: ['POST'], params: [], auth: { authenticators: ['hmac'] } }
+      }
+    }
+  ]
+};
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const NOW_SECONDS = NOW / 1000;
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+const signJwt = (claims, { alg = 'HS256', key, kid } = {}) => {
+  const header = base64url({ alg, typ: 'JWT', ...(kid ? { kid } : {}) });
+  const payload = base64url(claims);
+  const input = `${header}.${payload}`;
+  const signature = alg === 'HS256'
+    ? crypto.createHmac('sha256', key).update(input).digest()
+    : crypto.sign('RSA-SHA256', Buffer.from(input), key);
+  return `${input}.${signature.toString('base64url')}`;
+};
+
+const HS_SECRET = 'test-hs256-secret';
+
+const createHandler = (authenticators, options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  timestampFn: () => NOW,
+  authenticators,
+  ...options
+});
+
+describe('ApiHandler Authentication', () => {
+  const apiKeys = Authenticators.apiKey({
+    keys: [
+      { id: 'old', key: 'key-old', principal: 'svc-billing', roles: ['billing'], expiresAt: '2026-01-01T00:00:00Z' },
+      { id: 'new', key: 'key-new', principal: 'svc-billing', roles: ['billing'] },
+      { id: 'next', hash: crypto.createHash('sha256').update('key-next').digest('hex'), principal: 'svc-billing', notBefore: '2026-06-01T00:00:00Z' }
+    ]
+  });
+  const jwt = Authenticators.jwt({ secret: HS_SECRET, issuer: 'https://issuer.test', audience: 'orders-api' });
+  const hmac = Authenticators.hmac({ secrets: { partner: { secret: 'hmac-secret', principal: 'partner-co', scopes: ['webhooks'] } } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ auth: input.context.auth || null })]
+    }));
+  });
+
+  describe('API keys', () => {
+    test('should expose the key principal on context.auth', async () => {
+      const result = await createHandler([apiKeys]).handleRootApi({ method: 'GET', path: '/orders', headers: { 'X-Api-Key': 'key-new' } });
+
+      expect(result.ok).toBe(true);
+      expect(result.data.auth).toEqual({ type: 'apiKey', id: 'svc-billing', keyId: 'new', roles: ['billing'], scopes: [] });
+    });
+
+    test('should reject expired, not-yet-active and unknown keys', async () => {
+      const handler = createHandler([apiKeys]);
+      const reasons = [];
+      for (const key of ['key-old', 'key-next', 'nope']) {
+        const result = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { 'x-api-key': key } });
+        expect(result.status).toBe(401);
+        expect(result.error.code).toBe('UNAUTHENTICATED');
+        reasons.push(result.error.details[0].data.reason);
+      }
+
+      expect(reasons).toEqual(['API_KEY_EXPIRED', 'API_KEY_NOT_ACTIVE', 'INVALID_API_KEY']);
+    });
+
+    test('should pick up rotated keys from a local store file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-auth-'));
+      const file = path.join(dir, 'keys.json');
+      try {
+        fs.writeFileSync(file, JSON.stringify({ keys: [{ id: 'k1', key: 'from-file', principal: 'svc-file' }] }));
+        const result = await createHandler([Authenticators.apiKey({ file })]).handleRootApi({ method: 'GET', path: '/orders', headers: { 'x-api-key': 'from-file' } });
+
+        expect(result.data.auth.id).toBe('svc-file');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('JWT', () => {
+    const claims = { sub: 'user-1', iss: 'https://issuer.test', aud: 'orders-api', exp: NOW_SECONDS + 600, roles: ['admin'], scope: 'orders:read orders:write' };
+
+    test('should verify HS256 tokens and map roles and scopes', async () => {
+      const token = signJwt(claims, { key: HS_SECRET });
+      const result = await createHandler([jwt]).handleRootApi({ method: 'GET', path: '/orders', headers: { Authorization: `Bearer ${token}` } });
+
+      expect(result.data.auth).toEqual(expect.objectContaining({ type: 'jwt', id: 'user-1', roles: ['admin'], scopes: ['orders:read', 'orders:write'] }));
+    });
+
+    test('should reject expired, tampered, wrong-audience and alg=none tokens', async () => {
+      const handler = createHandler([jwt]);
+      const tokens = [
+        signJwt({ ...claims, exp: NOW_SECONDS - 120 }, { key: HS_SECRET }),
+        signJwt(claims, { key: 'other-secret' }),
+        signJwt({ ...claims, aud: 'billing-api' }, { key: HS_SECRET }),
+        `${base64url({ alg: 'none' })}.${base64url(claims)}.`
+      ];
+      const reasons = [];
+      for (const token of tokens) {
+        const result = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { authorization: `Bearer ${token}` } });
+        expect(result.status).toBe(401);
+        reasons.push(result.error.details[0].data.reason);
+      }
+
+      expect(reasons).toEqual(['TOKEN_EXPIRED', 'INVALID_TOKEN', 'INVALID_TOKEN', 'INVALID_TOKEN']);
+    });
+
+    test('should verify RS256 tokens against a local JWKS file by kid', async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-jwks-'));
+      const jwksFile = path.join(dir, 'jwks.json');
+      try {
+        fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' }] }));
+        const handler = createHandler([Authenticators.jwt({ jwksFile, algorithms: ['RS256'] })]);
+
+        const good = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { authorization: `Bearer ${signJwt({ sub: 'rs-user' }, { alg: 'RS256', key: privateKey, kid: 'rsa-1' })}` } });
+        const unknownKid = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { authorization: `Bearer ${signJwt({ sub: 'rs-user' }, { alg: 'RS256', key: privateKey, kid: 'rsa-2' })}` } });
+        const hsDowngrade = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { authorization: `Bearer ${signJwt({ sub: 'rs-user' }, { key: HS_SECRET })}` } });
+
+        expect(good.data.auth.id).toBe('rs-user');
+        expect(unknownKid.status).toBe(401);
+        expect(hsDowngrade.status).toBe(401);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('HMAC signatures', () => {
+    const signedHeaders = (request, { timestamp = NOW_SECONDS, secret = 'hmac-secret' } = {}) => ({
+      authorization: `HMAC-SHA256 keyId="partner", signature="${Authenticators.signRequest({ ...request, timestamp, secret })}"`,
+      'x-signature-timestamp': String(timestamp)
+    });
+
+    test('should accept a correctly signed request', async () => {
+      const request = { method: 'POST', path: '/webhook', body: { event: 'paid', amount: 5 } };
+      const result = await createHandler([jwt, hmac]).handleRootApi({ ...request, headers: signedHeaders(request) });
+
+      expect(result.data.auth).toEqual({ type: 'hmac', id: 'partner-co', keyId: 'partner', roles: [], scopes: ['webhooks'] });
+    });
+
+    test('should reject tampered bodies and stale timestamps', async () => {
+      const request = { method: 'POST', path: '/webhook', body: { event: 'paid', amount: 5 } };
+      const handler = createHandler([hmac]);
+
+      const tampered = await handler.handleRootApi({ ...request, body: { event: 'paid', amount: 500 }, headers: signedHeaders(request) });
+      const stale = await handler.handleRootApi({ ...request, headers: signedHeaders(request, { timestamp: NOW_SECONDS - 301 }) });
+
+      expect(tampered.error.details[0].data.reason).toBe('INVALID_SIGNATURE');
+      expect(stale.error.details[0].data.reason).toBe('SIGNATURE_EXPIRED');
+    });
+  });
+
+  describe('Composition and route opt-out', () => {
+    test('should require credentials and advertise every scheme', async () => {
+      const result = await createHandler([apiKeys, jwt, hmac]).handleRootApi({ method: 'GET', path: '/orders' });
+
+      expect(result.status).toBe(401);
+      expect(result.error.message).toBe('Authentication required');
+      expect(result.headers['WWW-Authenticate']).toBe('ApiKey, Bearer, HMAC-SHA256');
+      expect(mockAutoLoader.ensureRouteDependencies).not.toHaveBeenCalled();
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.auth_failed' }));
+    });
+
+    test('should accept whichever configured scheme the client used', async () => {
+      const handler = createHandler([apiKeys, jwt]);
+      const token = signJwt({ sub: 'user-2', iss: 'https://issuer.test', aud: 'orders-api' }, { key: HS_SECRET });
+
+      const byKey = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { 'x-api-key': 'key-new' } });
+      const byToken = await handler.handleRootApi({ method: 'GET', path: '/orders', headers: { authorization: `Bearer ${token}` } });
+
+      expect(byKey.data.auth.type).toBe('apiKey');
+      expect(byToken.data.auth.type).toBe('jwt');
+    });
+
+    test('should skip auth for auth: false and make it optional for required: false', async () => {
+      const handler = createHandler([apiKeys]);
+
+      const health = await handler.handleRootApi({ method: 'GET', path: '/health', headers: { 'x-api-key': 'nope' } });
+      const anonymous = await handler.handleRootApi({ method: 'GET', path: '/feed' });
+      const identified = await handler.handleRootApi({ method: 'GET', path: '/feed', headers: { 'x-api-key': 'key-new' } });
+      const badKey = await handler.handleRootApi({ method: 'GET', path: '/feed', headers: { 'x-api-key': 'nope' } });
+
+      expect(health.ok).toBe(true);
+      expect(anonymous.data.auth).toBeNull();
+      expect(identified.data.auth.id).toBe('svc-billing');
+      expect(badKey.status).toBe(401);
+    });
+
+    test('should narrow schemes per route', async () => {
+      const result = await createHandler([apiKeys, hmac]).handleRootApi({ method: 'POST', path: '/webhook', headers: { 'x-api-key': 'key-new' } });
+
+      expect(result.status).toBe(401);
+      expect(result.headers['WWW-Authenticate']).toBe('HMAC-SHA256');
+    });
+
+    test('should expose the principal to pre-validation middleware', async () => {
+      const preValidationMiddleware = jest.fn();
+      await createHandler([apiKeys], { preValidationMiddleware }).handleRootApi({ method: 'GET', path: '/orders', headers: { 'x-api-key': 'key-new' } });
+
+      expect(preValidationMiddleware.mock.calls[0][0].context.auth.id).toBe('svc-billing');
+    });
+  });
+
+  describe('Authorization', () => {
+    const tokenFor = (claims) => `Bearer ${signJwt({ iss: 'https://issuer.test', aud: 'orders-api', ...claims }, { key: HS_SECRET })}`;
+    const purge = (claims) => createHandler([jwt]).handleRootApi({ method: 'POST', path: '/orders/purge', headers: { authorization: tokenFor(claims) } });
+
+    test('should allow a principal with one of the roles and every scope', async () => {
+      const result = await purge({ sub: 'ops-1', roles: ['ops'], scope: 'orders:write orders:delete orders:read' });
+
+      expect(result.ok).toBe(true);
+    });
+
+    test('should return 403 FORBIDDEN listing what is missing', async () => {
+      const result = await purge({ sub: 'user-3', roles: ['viewer'], scope: 'orders:write' });
+
+      expect(result.status).toBe(403);
+      expect(result.error.code).toBe('FORBIDDEN');
+      expect(result.error.details[0].data).toEqual({ missingRoles: ['admin', 'ops'], missingScopes: ['orders:delete'] });
+      expect(mockAutoLoader.ensureRouteDependencies).not.toHaveBeenCalled();
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.forbidden' }));
+    });
+
+    test('should check scopes alone when no roles are declared', async () => {
+      const handler = createHandler([jwt]);
+
+      const allowed = await handler.handleRootApi({ method: 'POST', path: '/orders', body: { sku: 'A1' }, headers: { authorization: tokenFor({ sub: 'u', scope: 'orders:write' }) } });
+      const denied = await handler.handleRootApi({ method: 'POST', path: '/orders', body: { sku: 'A1' }, headers: { authorization: tokenFor({ sub: 'u', scope: 'orders:read' }) } });
+
+      expect(allowed.ok).toBe(true);
+      expect(denied.error.details[0].data).toEqual({ missingRoles: [], missingScopes: ['orders:write'] });
+    });
+
+    test('should enforce permissions on a principal supplied through context', async () => {
+      const handler = createHandler([]);
+
+      const anonymous = await handler.handleRootApi({ method: 'POST', path: '/orders', body: { sku: 'A1' } });
+      const trusted = await handler.handleRootApi({ method: 'POST', path: '/orders', body: { sku: 'A1' }, context: { auth: { id: 'gateway-user', roles: [], scopes: ['orders:write'] } } });
+
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.error.code).toBe('UNAUTHENTICATED');
+      expect(trusted.ok).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * ApiHandler Batch Test Suite
+ *
+ * Tests for executing multiple namespace/action operations in one request
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const { Readable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      if (rule.required && (rule.value === undefined || rule.value === null)) {
+        throw new TypeError(`Missing required parameter: ${key}`);
+      }
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        get: { params: [{ name: "id", type: "int", required: true }] },
+        fail: { params: [] },
+        export: { params: [] }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  enableBatch: true,
+  ...options
+});
+
+describe('ApiHandler Batch Requests', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+      handlerFns: entry === routeConfig.apiHandler[0].users.fail
+        ? [() => { throw new Error('boom'); }]
+        : [(input) => ({ id: input.validated.id, batchIndex: input.context.batchIndex })]
+    }));
+  });
+
+  test('should execute each operation independently with per-item results', async () => {
+    const apiHandler = createHandler();
+
+    const result = await apiHandler.handleRootApi({
+      method: 'POST',
+      body: [
+        { namespace: 'users', action: 'get', id: 1 },
+        { namespace: 'users', action: 'get' },
+        { namespace: 'users', action: 'fail' },
+        { namespace: 'users', action: 'missing' },
+        'not-an-object'
+      ]
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.status).toBe(200);
+    expect(result.requestId).toMatch(/^batch_\d+_[a-f0-9]+$/);
+
+    const [first, second, third, fourth, fifth] = result.data.results;
+    expect(first).toEqual(expect.objectContaining({ ok: true, status: 200, data: { id: 1, batchIndex: 0 } }));
+    expect(second.status).toBe(400);
+    expect(second.error.code).toBe('VALIDATION_FAILED');
+    expect(third.status).toBe(500);
+    expect(third.error.code).toBe('HANDLER_EXCEPTION');
+    expect(fourth.error.code).toBe('ROUTE_NOT_FOUND');
+    expect(fifth.error.code).toBe('INVALID_BATCH_ITEM');
+    expect(result.data.succeeded).toBe(1);
+    expect(result.data.failed).toBe(4);
+  });
+
+  test('should reject non-JSON item responses and release their streams', async () => {
+    const source = Readable.from(['a,b\n']);
+    const items = (async function* () { yield 1; })();
+    const exporters = [
+      () => ApiResponse.stream(source, { contentType: 'text/csv' }),
+      () => ApiResponse.ndjson(items),
+      () => ApiResponse.text('plain').setHeader('X-Internal', 'yes')
+    ];
+    let call = 0;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+      handlerFns: entry === routeConfig.apiHandler[0].users.export ? [exporters[call++]] : [(input) => ({ id: input.validated.id })]
+    }));
+
+    const result = await createHandler().handleRootApi({
+      method: 'POST',
+      body: [
+        { namespace: 'users', action: 'export' },
+        { namespace: 'users', action: 'export' },
+        { namespace: 'users', action: 'export' },
+        { namespace: 'users', action: 'get', id: 2 }
+      ]
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [streamed, encoded, text, json] = result.data.results;
+    for (const item of [streamed, encoded, text]) {
+      expect(item.status).toBe(400);
+      expect(item.error.code).toBe('BATCH_UNSUPPORTED_RESPONSE');
+    }
+    expect(source.destroyed).toBe(true);
+    // The producer was closed without ever being pulled
+    expect(await items.next()).toEqual({ done: true, value: undefined });
+    expect(Object.keys(json).sort()).toEqual(['data', 'ok', 'requestId', 'status']);
+    expect(JSON.stringify(result)).not.toMatch(/_readableState|X-Internal/);
+  });
+
+  test('should run operations sequentially by default', async () => {
+    const order = [];
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [async (input) => {
+        order.push(`start-${input.validated.id}`);
+        await new Promise(resolve => setTimeout(resolve, input.validated.id === 1 ? 20 : 0));
+        order.push(`end-${input.validated.id}`);
+        return {};
+      }]
+    }));
+    const apiHandler = createHandler();
+
+    await apiHandler.handleRootApi({
+      method: 'POST',
+      body: [{ namespace: 'users', action: 'get', id: 1 }, { namespace: 'users', action: 'get', id: 2 }]
+    });
+
+    expect(order).toEqual(['start-1', 'end-1', 'start-2', 'end-2']);
+  });
+
+  test('should run operations concurrently when batchMode is concurrent', async () => {
+    const order = [];
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [async (input) => {
+        order.push(`start-${input.validated.id}`);
+        await new Promise(resolve => setTimeout(resolve, input.validated.id === 1 ? 20 : 0));
+        order.push(`end-${input.validated.id}`);
+        return {};
+      }]
+    }));
+    const apiHandler = createHandler({ batchMode: 'concurrent' });
+
+    const result = await apiHandler.handleRootApi({
+      method: 'POST',
+      body: [{ namespace: 'users', action: 'get', id: 1 }, { namespace: 'users', action: 'get', id: 2 }]
+    });
+
+    expect(order).toEqual(['start-1', 'start-2', 'end-2', 'end-1']);
+    expect(result.data.mode).toBe('concurrent');
+  });
+
+  test('should reject batches larger than maxBatchSize', async () => {
+    const apiHandler = createHandler({ maxBatchSize: 2 });
+
+    const result = await apiHandler.handleRootApi({
+      method: 'POST',
+      body: Array.from({ length: 3 }, (_, i) => ({ namespace: 'users', action: 'get', id: i }))
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.status).toBe(413);
+    expect(result.error.code).toBe('BATCH_TOO_LARGE');
+  });
+
+  test('should reject empty batches', async () => {
+    const result = await createHandler().handleBatchApi({ method: 'POST', body: [] });
+
+    expect(result.status).toBe(400);
+    expect(result.error.code).toBe('INVALID_BATCH');
+  });
+
+  test('should pass GET batch operations as query args', async () => {
+    const result = await createHandler().handleBatchApi({
+      method: 'GET',
+      body: [{ namespace: 'users', action: 'get', id: '4' }]
+    });
+
+    expect(result.data.results[0].data.id).toBe(4);
+  });
+
+  test('should ignore array bodies when batch mode is disabled', async () => {
+    const apiHandler = createHandler({ enableBatch: false });
+
+    const result = await apiHandler.handleRootApi({
+      method: 'POST',
+      body: [{ namespace: 'users', action: 'get', id: 1 }]
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe('MISSING_ROUTE_FIELDS');
+  });
+});
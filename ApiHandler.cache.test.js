@@ -0,0 +1,270 @@
+/**
+ * ApiHandler Response Cache Test Suite
+ *
+ * Tests for per-route cache policies, vary-by keys and invalidation by route or tag
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const ResponseCache = require('./ResponseCache.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const buildRouteConfig = (productCache) => ({
+  apiHandler: [
+    {
+      catalog: {
+        product: {
+          path: '/products/:id',
+          methods: ['GET', 'POST'],
+          params: [{ name: 'id', type: 'string', required: true }],
+          cache: productCache
+        },
+        search: {
+          path: '/products',
+          methods: ['GET'],
+          params: [{ name: 'q', type: 'string' }, { name: 'page', type: 'int' }],
+          cache: { ttlMs: 5000, varyBy: { params: ['q'], headers: ['Accept-Language'], principal: false } }
+        },
+        uncached: { path: '/featured', methods: ['GET'], params: [] }
+      }
+    }
+  ]
+});
+
+const defaultProductCache = { ttlMs: 10000, tags: (validated) => ['products', `product:${validated.id}`] };
+
+let now;
+let calls;
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig: buildRouteConfig(defaultProductCache),
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  timestampFn: () => now,
+  ...options
+});
+
+const get = (handler, path, extra = {}) => handler.handleRootApi({ method: 'GET', path, ...extra });
+
+describe('ApiHandler Response Cache', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1000000;
+    calls = 0;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => {
+        calls++;
+        return { call: calls, params: input.validated };
+      }]
+    }));
+  });
+
+  test('should serve repeated requests from cache without loading dependencies', async () => {
+    const handler = createHandler();
+
+    const first = await get(handler, '/products/p1');
+    now += 3000;
+    const second = await get(handler, '/products/p1');
+
+    expect(first.headers['X-Cache']).toBe('MISS');
+    expect(second.data).toEqual(first.data);
+    expect(second.headers).toEqual(expect.objectContaining({ 'X-Cache': 'HIT', Age: '3' }));
+    expect(second.requestId).not.toBe(first.requestId);
+    expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledTimes(1);
+  });
+
+  test('should expire entries after the route ttl', async () => {
+    const handler = createHandler();
+
+    await get(handler, '/products/p1');
+    now += 10001;
+    const expired = await get(handler, '/products/p1');
+
+    expect(expired.headers['X-Cache']).toBe('MISS');
+    expect(calls).toBe(2);
+  });
+
+  test('should key entries by validated params and principal by default', async () => {
+    const handler = createHandler();
+
+    await get(handler, '/products/p1', { context: { auth: { id: 'alice' } } });
+    await get(handler, '/products/p2', { context: { auth: { id: 'alice' } } });
+    await get(handler, '/products/p1', { context: { auth: { id: 'bob' } } });
+    const hit = await get(handler, '/products/p1', { context: { auth: { id: 'alice' } } });
+
+    expect(calls).toBe(3);
+    expect(hit.data.call).toBe(1);
+  });
+
+  test('should vary only by the listed params and headers', async () => {
+    const handler = createHandler();
+
+    await get(handler, '/products', { query: { q: 'lamp', page: 1 }, headers: { 'Accept-Language': 'en' }, context: { auth: { id: 'alice' } } });
+    const otherPage = await get(handler, '/products', { query: { q: 'lamp', page: 2 }, headers: { 'accept-language': 'en' }, context: { auth: { id: 'bob' } } });
+    const otherLanguage = await get(handler, '/products', { query: { q: 'lamp' }, headers: { 'Accept-Language': 'de' } });
+
+    expect(otherPage.headers['X-Cache']).toBe('HIT');
+    expect(otherLanguage.headers['X-Cache']).toBe('MISS');
+    expect(calls).toBe(2);
+  });
+
+  test('should only cache successful JSON results for cacheable methods', async () => {
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [() => { calls++; return ApiResponse.error(404, 'Not found'); }]
+    }));
+    const handler = createHandler();
+
+    await get(handler, '/products/missing');
+    await get(handler, '/products/missing');
+    await handler.handleRootApi({ method: 'POST', path: '/products/missing' });
+
+    expect(calls).toBe(3);
+    expect(ResponseCache.isCacheable({ ok: true, status: 200, data: {}, headers: { 'Set-Cookie': ['a=1'] } })).toBe(false);
+  });
+
+  test('should honour Cache-Control no-cache and no-store request headers', async () => {
+    const handler = createHandler();
+
+    await get(handler, '/products/p1');
+    const refreshed = await get(handler, '/products/p1', { headers: { 'Cache-Control': 'no-cache' } });
+    const bypassed = await get(handler, '/products/p1', { headers: { 'Cache-Control': 'no-store' } });
+    const cached = await get(handler, '/products/p1');
+
+    expect(refreshed.headers['X-Cache']).toBe('MISS');
+    expect(bypassed.headers['X-Cache']).toBeUndefined();
+    expect(cached.data.call).toBe(2);
+  });
+
+  test('should leave routes without a cache policy untouched', async () => {
+    const handler = createHandler();
+
+    const first = await get(handler, '/featured');
+    await get(handler, '/featured');
+
+    expect(calls).toBe(2);
+    expect(first.headers['X-Cache']).toBeUndefined();
+  });
+
+  describe('invalidation', () => {
+    test('should invalidate every entry of a route', async () => {
+      const handler = createHandler();
+      await get(handler, '/products/p1');
+      await get(handler, '/products/p2');
+
+      now += 1;
+      await handler.invalidateCache({ namespace: 'catalog', action: 'product' });
+      await get(handler, '/products/p1');
+      await get(handler, '/products/p2');
+
+      expect(calls).toBe(4);
+    });
+
+    test('should invalidate only entries carrying the tag', async () => {
+      const handler = createHandler();
+      await get(handler, '/products/p1');
+      await get(handler, '/products/p2');
+
+      now += 1;
+      await handler.invalidateCache({ tags: 'product:p1' });
+      const p1 = await get(handler, '/products/p1');
+      const p2 = await get(handler, '/products/p2');
+
+      expect(p1.headers['X-Cache']).toBe('MISS');
+      expect(p2.headers['X-Cache']).toBe('HIT');
+    });
+
+    test('should not keep results produced by requests that started before the invalidation', async () => {
+      const handler = createHandler();
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [async () => {
+          calls++;
+          // The data changes and is invalidated while this request is still running
+          await handler.invalidateCache({ tags: 'products' });
+          return { call: calls };
+        }]
+      }));
+
+      await get(handler, '/products/p1');
+      const next = await get(handler, '/products/p1');
+
+      expect(next.headers['X-Cache']).toBe('MISS');
+    });
+
+    test('should invalidate changed routes on config reload', async () => {
+      const handler = createHandler();
+      await get(handler, '/products/p1');
+
+      now += 1;
+      await handler.reloadRouteConfig(buildRouteConfig({ ...defaultProductCache, ttlMs: 20000 }));
+      const after = await get(handler, '/products/p1');
+
+      expect(after.headers['X-Cache']).toBe('MISS');
+    });
+
+    test('should require a route or tags', async () => {
+      await expect(createHandler().invalidateCache({ namespace: 'catalog' })).rejects.toThrow(TypeError);
+    });
+  });
+
+  test('should fail open when the cache store is unavailable', async () => {
+    const store = {
+      get: async () => { throw new Error('connection refused'); },
+      set: async () => { throw new Error('connection refused'); },
+      delete: async () => {}
+    };
+    const handler = createHandler({ responseCache: { store } });
+
+    const first = await get(handler, '/products/p1');
+    const second = await get(handler, '/products/p1');
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(calls).toBe(2);
+    expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.response_cache_failed' }));
+  });
+
+  test('should reject invalid route cache policies when the config is loaded or reloaded', async () => {
+    const handler = createHandler();
+
+    expect(() => createHandler({ routeConfig: buildRouteConfig({ ttlMs: 0 }) })).toThrow(/Cache policy for catalog\/product needs a positive ttlMs/);
+    await expect(handler.reloadRouteConfig(buildRouteConfig({ ttlMs: 1000, tags: 'products' }))).rejects.toThrow(/Route config reload rejected: Cache tags for catalog\/product/);
+    expect((await get(handler, '/products/p1')).headers['X-Cache']).toBe('MISS');
+  });
+
+  test('should reject an invalid cache policy', () => {
+    expect(() => ResponseCache.normalizePolicy({ ttlMs: -1 }, 'catalog/product')).toThrow(TypeError);
+    expect(ResponseCache.normalizePolicy(true, 'catalog/product')).toEqual(expect.objectContaining({ ttlMs: 60000, methods: ['GET', 'HEAD'] }));
+  });
+});
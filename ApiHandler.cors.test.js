@@ -0,0 +1,218 @@
+/**
+ * ApiHandler CORS Test Suite
+ *
+ * Tests for preflight OPTIONS handling and CORS response headers
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const CorsPolicy = require('./CorsPolicy.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        list: { path: '/users', methods: ['GET'], params: [] },
+        create: { path: '/users', methods: ['POST'], params: [] },
+        internal: { path: '/internal', params: [], cors: false },
+        partner: { path: '/partner', params: [], cors: { origins: ['https://partner.io'], credentials: true } }
+      }
+    }
+  ]
+};
+
+const globalCors = {
+  origins: ['https://app.example.com', 'https://*.example.org'],
+  allowedHeaders: ['Authorization', 'X-Trace'],
+  exposedHeaders: ['X-Request-Id'],
+  maxAge: 300
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  cors: globalCors,
+  ...options
+});
+
+const preflight = (apiHandler, path, headers) => apiHandler.handleRootApi({
+  method: 'OPTIONS',
+  path,
+  headers: { origin: 'https://app.example.com', 'access-control-request-method': 'POST', ...headers }
+});
+
+describe('ApiHandler CORS', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [() => ({ done: true })]
+    }));
+  });
+
+  describe('Preflight requests', () => {
+    test('should answer preflight with 204 and CORS headers without running handlers', async () => {
+      const result = await preflight(createHandler(), '/users', { 'access-control-request-headers': 'authorization, content-type' });
+
+      expect(result.status).toBe(204);
+      expect(result.headers).toEqual(expect.objectContaining({
+        'Access-Control-Allow-Origin': 'https://app.example.com',
+        'Access-Control-Allow-Methods': 'POST',
+        'Access-Control-Allow-Headers': 'Authorization, X-Trace',
+        'Access-Control-Max-Age': '300'
+      }));
+      expect(mockAutoLoader.ensureRouteDependencies).not.toHaveBeenCalled();
+    });
+
+    test('should advertise every method served on a shared path', async () => {
+      const result = await preflight(createHandler(), '/users', { 'access-control-request-method': 'DELETE' });
+
+      expect(result.status).toBe(403);
+      expect(result.error.code).toBe('CORS_PREFLIGHT_REJECTED');
+      expect(result.error.message).toMatch(/allowed methods: GET, HEAD, POST/);
+    });
+
+    test('should reject origins outside the allow list', async () => {
+      const result = await preflight(createHandler(), '/users', { origin: 'https://evil.test' });
+
+      expect(result.status).toBe(403);
+      expect(result.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    });
+
+    test('should match wildcard origin patterns', async () => {
+      const result = await preflight(createHandler(), '/users', { origin: 'https://shop.example.org' });
+
+      expect(result.headers['Access-Control-Allow-Origin']).toBe('https://shop.example.org');
+    });
+
+    test('should reject request headers that are not allowed', async () => {
+      const result = await preflight(createHandler(), '/users', { 'access-control-request-headers': 'x-secret' });
+
+      expect(result.status).toBe(403);
+      expect(result.error.message).toMatch(/x-secret/);
+    });
+
+    test('should apply per-route overrides', async () => {
+      const result = await preflight(createHandler(), '/partner', { origin: 'https://partner.io', 'access-control-request-method': 'GET' });
+
+      expect(result.status).toBe(204);
+      expect(result.headers['Access-Control-Allow-Credentials']).toBe('true');
+    });
+
+    test('should fall back to 405 for routes that opt out of CORS', async () => {
+      const result = await preflight(createHandler(), '/internal', { 'access-control-request-method': 'GET' });
+
+      expect(result.status).toBe(405);
+    });
+
+    test('should answer plain OPTIONS with the Allow list', async () => {
+      const result = await createHandler().handleRootApi({ method: 'OPTIONS', path: '/users' });
+
+      expect(result.status).toBe(204);
+      expect(result.headers).toEqual({ Allow: 'GET, HEAD, OPTIONS' });
+    });
+
+    test('should keep rejecting OPTIONS when CORS is not configured', async () => {
+      const result = await preflight(createHandler({ cors: null }), '/users');
+
+      expect(result.status).toBe(405);
+    });
+  });
+
+  describe('Response decoration', () => {
+    test('should add CORS headers to successful responses', async () => {
+      const result = await createHandler().handleRootApi({ method: 'GET', path: '/users', headers: { Origin: 'https://app.example.com' } });
+
+      expect(result.ok).toBe(true);
+      expect(result.headers).toEqual({
+        'Access-Control-Allow-Origin': 'https://app.example.com',
+        'Access-Control-Expose-Headers': 'X-Request-Id',
+        Vary: 'Origin',
+        ETag: expect.any(String)
+      });
+    });
+
+    test('should add CORS headers to error responses', async () => {
+      const result = await createHandler().handleRootApi({ method: 'GET', path: '/missing', headers: { origin: 'https://app.example.com' } });
+
+      expect(result.status).toBe(404);
+      expect(result.headers['Access-Control-Allow-Origin']).toBe('https://app.example.com');
+    });
+
+    test('should leave responses alone for disallowed origins and opted-out routes', async () => {
+      const apiHandler = createHandler();
+
+      const denied = await apiHandler.handleRootApi({ method: 'GET', path: '/users', headers: { origin: 'https://evil.test' } });
+      const internal = await apiHandler.handleRootApi({ method: 'GET', path: '/internal', headers: { origin: 'https://app.example.com' } });
+
+      expect(denied.headers).toEqual({ Vary: 'Origin', ETag: expect.any(String) });
+      expect(internal.headers).toEqual({ ETag: expect.any(String) });
+    });
+
+    test('should use "*" for wildcard origins without credentials', async () => {
+      const result = await createHandler({ cors: true }).handleRootApi({ method: 'GET', path: '/users', headers: { origin: 'https://any.test' } });
+
+      expect(result.headers).toEqual({ 'Access-Control-Allow-Origin': '*', ETag: expect.any(String) });
+    });
+  });
+
+  describe('CorsPolicy', () => {
+    test('should echo the origin when "*" is combined with credentials', () => {
+      const policy = CorsPolicy.normalize({ origins: '*', credentials: true });
+
+      expect(CorsPolicy.matchOrigin(policy, 'https://a.test')).toBe('https://a.test');
+    });
+
+    test('should accept predicate and RegExp origins', () => {
+      expect(CorsPolicy.matchOrigin(CorsPolicy.normalize({ origins: (o) => o.endsWith('.local') }), 'http://dev.local')).toBe('http://dev.local');
+      expect(CorsPolicy.matchOrigin(CorsPolicy.normalize({ origins: [/^https:\/\/\w+\.corp$/] }), 'https://hr.corp')).toBe('https://hr.corp');
+    });
+
+    test('should not let a subdomain wildcard match other hosts', () => {
+      const policy = CorsPolicy.normalize({ origins: 'https://*.example.org' });
+
+      expect(CorsPolicy.matchOrigin(policy, 'https://example.org.evil.test')).toBeNull();
+    });
+  });
+
+  test('should send preflight responses without a body', () => {
+    const response = HttpAdapter.toHttpResponse({ ok: true, status: 204, data: null, requestId: 'req_1', headers: { Allow: 'GET' } });
+
+    expect(response.body).toBe('');
+    expect(response.headers['Content-Type']).toBeUndefined();
+    expect(response.headers.Allow).toBe('GET');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * ApiHandler ETag Test Suite
+ *
+ * Tests for ETag generation, If-None-Match / If-Modified-Since and handler-supplied validators
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const ConditionalRequest = require('./ConditionalRequest.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      orders: {
+        list: { path: '/orders', methods: ['GET', 'POST'], params: [], handlers: ['list'] },
+        versioned: { path: '/orders/versioned', methods: ['GET'], params: [], handlers: ['versioned'] },
+        dated: { path: '/orders/dated', methods: ['GET'], params: [], handlers: ['dated'] },
+        export: { path: '/orders/export', methods: ['GET'], params: [], handlers: ['export'] },
+        live: { path: '/orders/live', methods: ['GET'], params: [], etag: false, handlers: ['list'] }
+      }
+    }
+  ]
+};
+
+const LAST_MODIFIED = new Date(Date.UTC(2026, 2, 1, 12, 0, 0));
+
+let orders;
+
+const handlersByName = {
+  list: () => ({ orders }),
+  versioned: () => ApiResponse.json({ orders }).setETag('v42'),
+  dated: () => ApiResponse.json({ orders }).setLastModified(LAST_MODIFIED),
+  export: () => ApiResponse.text('id,total\n1,10').setETag('export-1')
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+const get = (handler, path, headers = {}) => handler.handleRootApi({ method: 'GET', path, headers });
+
+describe('ApiHandler ETag', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orders = [{ id: 1, total: 10 }];
+    mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+      handlerFns: [handlersByName[entry.handlers[0]]]
+    }));
+  });
+
+  describe('ETag generation', () => {
+    test('should add a stable weak ETag derived from the response data', async () => {
+      const handler = createHandler();
+
+      const first = await get(handler, '/orders');
+      const second = await get(handler, '/orders');
+      orders.push({ id: 2, total: 20 });
+      const changed = await get(handler, '/orders');
+
+      // Weak: the envelope sent around the data carries a different requestId every time
+      expect(first.headers.ETag).toMatch(/^W\/"[\w-]+"$/);
+      expect(second.headers.ETag).toBe(first.headers.ETag);
+      expect(changed.headers.ETag).not.toBe(first.headers.ETag);
+    });
+
+    test('should not depend on key order', () => {
+      expect(ConditionalRequest.entityTag({ a: 1, b: [1, 2] })).toBe(ConditionalRequest.entityTag({ b: [1, 2], a: 1 }));
+    });
+
+    test('should skip non-GET requests, errors and opted-out routes', async () => {
+      const handler = createHandler();
+
+      const posted = await handler.handleRootApi({ method: 'POST', path: '/orders' });
+      const missing = await get(handler, '/orders/nowhere');
+      const live = await get(handler, '/orders/live');
+      const disabled = await get(createHandler({ etag: false }), '/orders');
+
+      expect(posted.headers).toBeUndefined();
+      expect(missing.headers?.ETag).toBeUndefined();
+      expect(live.headers).toBeUndefined();
+      expect(disabled.headers).toBeUndefined();
+    });
+
+    test('should keep handler-supplied validators without hashing', async () => {
+      const handler = createHandler();
+
+      const versioned = await get(handler, '/orders/versioned');
+      const dated = await get(handler, '/orders/dated');
+
+      expect(versioned.headers.ETag).toBe('"v42"');
+      expect(dated.headers['Last-Modified']).toBe('Sun, 01 Mar 2026 12:00:00 GMT');
+      expect(dated.headers.ETag).toBeUndefined();
+    });
+
+    test('should format weak and pre-quoted tags', () => {
+      expect(ApiResponse.json({}).setETag('abc', { weak: true }).headers.ETag).toBe('W/"abc"');
+      expect(ApiResponse.json({}).setETag('"abc"').headers.ETag).toBe('"abc"');
+    });
+  });
+
+  describe('Conditional requests', () => {
+    test('should answer 304 with validators but no data when If-None-Match matches', async () => {
+      const handler = createHandler();
+      const { headers: { ETag } } = await get(handler, '/orders');
+
+      const result = await get(handler, '/orders', { 'If-None-Match': ETag });
+
+      expect(result).toEqual({ ok: true, status: 304, data: null, requestId: expect.any(String), headers: { ETag } });
+      const response = HttpAdapter.toHttpResponse(result);
+      expect(response.statusCode).toBe(304);
+      expect(response.body).toBe('');
+    });
+
+    test('should match lists, weak tags and the wildcard', async () => {
+      const handler = createHandler();
+      const { headers: { ETag } } = await get(handler, '/orders');
+
+      const listed = await get(handler, '/orders', { 'if-none-match': `"stale", ${ETag.replace(/^W\//, '')}` });
+      const wildcard = await get(handler, '/orders', { 'if-none-match': '*' });
+      const stale = await get(handler, '/orders', { 'if-none-match': '"stale"' });
+
+      expect(listed.status).toBe(304);
+      expect(wildcard.status).toBe(304);
+      expect(stale.status).toBe(200);
+    });
+
+    test('should honour If-Modified-Since against a handler Last-Modified', async () => {
+      const handler = createHandler();
+
+      const current = await get(handler, '/orders/dated', { 'If-Modified-Since': 'Sun, 01 Mar 2026 12:00:00 GMT' });
+      const outdated = await get(handler, '/orders/dated', { 'If-Modified-Since': 'Sat, 28 Feb 2026 00:00:00 GMT' });
+      const ignored = await get(handler, '/orders/dated', { 'If-Modified-Since': 'Sun, 01 Mar 2026 12:00:00 GMT', 'If-None-Match': '"other"' });
+
+      expect(current.status).toBe(304);
+      expect(current.headers['Last-Modified']).toBe('Sun, 01 Mar 2026 12:00:00 GMT');
+      expect(outdated.status).toBe(200);
+      expect(ignored.status).toBe(200);
+    });
+
+    test('should apply to non-JSON bodies that carry a handler ETag', async () => {
+      const result = await get(createHandler(), '/orders/export', { 'If-None-Match': '"export-1"' });
+
+      expect(result.status).toBe(304);
+      expect(result.body).toBeUndefined();
+      expect(result.headers).toEqual({ ETag: '"export-1"' });
+    });
+
+    test('should revalidate cached responses', async () => {
+      const cachedRoutes = { apiHandler: [{ orders: { list: { ...routeConfig.apiHandler[0].orders.list, cache: { ttlMs: 60000 } } } }] };
+      const handler = createHandler({ routeConfig: cachedRoutes });
+      const { headers: { ETag } } = await get(handler, '/orders');
+
+      const result = await get(handler, '/orders', { 'If-None-Match': ETag });
+
+      expect(result.status).toBe(304);
+      expect(result.headers['X-Cache']).toBe('HIT');
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledTimes(1);
+    });
+  });
+});
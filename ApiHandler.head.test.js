@@ -0,0 +1,179 @@
+/**
+ * ApiHandler HEAD Test Suite
+ *
+ * Tests for HEAD requests running the GET pipeline and returning status and headers only
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const { Readable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      reports: {
+        summary: { path: '/reports/summary', methods: ['GET'], params: [{ name: 'year', type: 'int' }], handlers: ['summary'] },
+        large: { path: '/reports/large', methods: ['GET'], params: [], handlers: ['large'] },
+        csv: { path: '/reports/csv', methods: ['GET'], params: [], handlers: ['csv'] },
+        feed: { path: '/reports/feed', methods: ['GET'], params: [], handlers: ['feed'] },
+        cached: { path: '/reports/cached', methods: ['GET'], params: [], cache: { ttlMs: 60000 }, handlers: ['large'] },
+        create: { path: '/reports', methods: ['POST'], params: [], handlers: ['summary'] }
+      }
+    }
+  ]
+};
+
+let bodiesBuilt;
+let feedStream;
+
+const handlersByName = {
+  summary: (input) => ({ year: input.validated.year, total: 1200 }),
+  // Builds the expensive body only when it will be sent
+  large: (input) => {
+    if (input.isHead) {
+      return ApiResponse.json(null).setETag('report-v3').setHeader('Content-Length', '52000');
+    }
+    bodiesBuilt++;
+    return ApiResponse.json({ rows: new Array(100).fill('row') }).setETag('report-v3');
+  },
+  csv: () => ApiResponse.text('id,total\n1,10\n', { contentType: 'text/csv; charset=utf-8' }),
+  feed: () => {
+    feedStream = Readable.from(['a', 'b']);
+    return ApiResponse.stream(feedStream);
+  }
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+const request = (handler, method, path, extra = {}) => handler.handleRootApi({ method, path, ...extra });
+
+describe('ApiHandler HEAD', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bodiesBuilt = 0;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+      handlerFns: [handlersByName[entry.handlers[0]]]
+    }));
+  });
+
+  test('should run the GET route and return the GET headers without data', async () => {
+    const handler = createHandler();
+
+    const get = await request(handler, 'GET', '/reports/summary', { query: { year: 2026 } });
+    const head = await request(handler, 'HEAD', '/reports/summary', { query: { year: 2026 } });
+
+    const getResponse = HttpAdapter.toHttpResponse(get);
+    expect(head.status).toBe(200);
+    expect(head.head).toBe(true);
+    expect(head).not.toHaveProperty('data');
+    expect(head.headers).toEqual({
+      ETag: get.headers.ETag,
+      'Content-Type': getResponse.headers['Content-Type'],
+      'Content-Length': getResponse.headers['Content-Length']
+    });
+  });
+
+  test('should be sent by the HTTP adapter with headers only', async () => {
+    const head = await request(createHandler(), 'HEAD', '/reports/summary');
+
+    const response = HttpAdapter.toHttpResponse(head);
+
+    expect(response.body).toBe('');
+    expect(response.headers['Content-Length']).toBe(head.headers['Content-Length']);
+    expect(response.headers['X-Request-Id']).toBe(head.requestId);
+  });
+
+  test('should let handlers detect HEAD, skip the body and supply their own headers', async () => {
+    const head = await request(createHandler(), 'HEAD', '/reports/large');
+
+    expect(bodiesBuilt).toBe(0);
+    expect(head.headers).toEqual(expect.objectContaining({ ETag: '"report-v3"', 'Content-Length': '52000' }));
+  });
+
+  test('should describe text bodies and release streams', async () => {
+    const handler = createHandler();
+
+    const csv = await request(handler, 'HEAD', '/reports/csv');
+    const feed = await request(handler, 'HEAD', '/reports/feed');
+
+    expect(csv.headers).toEqual(expect.objectContaining({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Length': '14' }));
+    expect(csv).not.toHaveProperty('body');
+    expect(feed.headers['Content-Length']).toBeUndefined();
+    expect(feedStream.destroyed).toBe(true);
+  });
+
+  test('should honour If-None-Match with 304', async () => {
+    const handler = createHandler();
+    const { headers: { ETag } } = await request(handler, 'GET', '/reports/summary');
+
+    const head = await request(handler, 'HEAD', '/reports/summary', { headers: { 'If-None-Match': ETag } });
+
+    expect(head.status).toBe(304);
+    expect(head.head).toBeUndefined();
+  });
+
+  test('should keep error statuses but send no body', async () => {
+    const handler = createHandler();
+
+    const missing = await request(handler, 'HEAD', '/reports/nowhere');
+    const wrongMethod = await request(handler, 'HEAD', '/reports');
+
+    expect(missing.status).toBe(404);
+    expect(HttpAdapter.toHttpResponse(missing).body).toBe('');
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.head).toBe(true);
+  });
+
+  test('should be served from the response cache without filling it', async () => {
+    const handler = createHandler();
+
+    await request(handler, 'HEAD', '/reports/cached');
+    const get = await request(handler, 'GET', '/reports/cached');
+    const head = await request(handler, 'HEAD', '/reports/cached');
+
+    expect(get.headers['X-Cache']).toBe('MISS');
+    expect(get.data.rows).toHaveLength(100);
+    expect(head.headers['X-Cache']).toBe('HIT');
+    expect(head.headers['Content-Length']).toBe(HttpAdapter.toHttpResponse(get).headers['Content-Length']);
+    expect(bodiesBuilt).toBe(1);
+  });
+});
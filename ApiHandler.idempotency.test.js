@@ -0,0 +1,211 @@
+/**
+ * ApiHandler Idempotency Test Suite
+ *
+ * Tests for Idempotency-Key replay, payload fingerprint checks and concurrent duplicates
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const MemoryStore = require('./MemoryStore.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      billing: {
+        charge: {
+          path: '/billing/charges',
+          methods: ['POST'],
+          params: [{ name: 'amount', type: 'int', required: true }],
+          idempotency: true
+        },
+        refund: {
+          path: '/billing/refunds',
+          methods: ['POST'],
+          params: [{ name: 'chargeId', type: 'string', required: true }],
+          idempotency: { required: true }
+        },
+        note: { path: '/billing/notes', methods: ['POST'], params: [] }
+      }
+    }
+  ]
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let charges;
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+const charge = (handler, key, amount = 500, extra = {}) => handler.handleRootApi({
+  method: 'POST',
+  path: '/billing/charges',
+  body: { amount },
+  headers: key ? { 'Idempotency-Key': key } : {},
+  ...extra
+});
+
+describe('ApiHandler Idempotency', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    charges = 0;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [async (input) => {
+        charges++;
+        await sleep(20);
+        return ApiResponse.created({ chargeId: `ch_${charges}`, amount: input.validated.amount }, { location: `/billing/charges/ch_${charges}` });
+      }]
+    }));
+  });
+
+  test('should replay the stored result for a retried request', async () => {
+    const handler = createHandler();
+
+    const first = await charge(handler, 'key-1');
+    const retry = await charge(handler, 'key-1');
+
+    expect(charges).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.data).toEqual(first.data);
+    expect(retry.headers).toEqual(expect.objectContaining({ Location: '/billing/charges/ch_1', 'Idempotent-Replayed': 'true' }));
+    expect(retry.requestId).not.toBe(first.requestId);
+    expect(first.headers['Idempotent-Replayed']).toBeUndefined();
+  });
+
+  test('should treat the same key as distinct per principal and route', async () => {
+    const handler = createHandler();
+
+    await charge(handler, 'shared', 500, { context: { auth: { id: 'alice' } } });
+    await charge(handler, 'shared', 500, { context: { auth: { id: 'bob' } } });
+
+    expect(charges).toBe(2);
+  });
+
+  test('should reject a reused key with a different payload', async () => {
+    const handler = createHandler();
+
+    await charge(handler, 'key-2', 500);
+    const reused = await charge(handler, 'key-2', 900);
+
+    expect(reused.status).toBe(422);
+    expect(reused.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(charges).toBe(1);
+  });
+
+  test('should make concurrent duplicates wait for the original and share its result', async () => {
+    const handler = createHandler();
+
+    const results = await Promise.all([charge(handler, 'key-3'), charge(handler, 'key-3'), charge(handler, 'key-3')]);
+
+    expect(charges).toBe(1);
+    expect(results.map(r => r.data.chargeId)).toEqual(['ch_1', 'ch_1', 'ch_1']);
+    expect(results.filter(r => r.headers['Idempotent-Replayed'] === 'true')).toHaveLength(2);
+  });
+
+  test('should answer 409 when the original is in flight in another process', async () => {
+    const store = new MemoryStore();
+    const first = createHandler({ idempotency: { store } });
+    const second = createHandler({ idempotency: { store } });
+
+    const [a, b] = await Promise.all([charge(first, 'key-4'), charge(second, 'key-4')]);
+
+    expect(a.status).toBe(201);
+    expect(b.status).toBe(409);
+    expect(b.error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(b.headers['Retry-After']).toBe('1');
+  });
+
+  test('should release the key after a server error so the client can retry', async () => {
+    mockAutoLoader.ensureRouteDependencies
+      .mockImplementationOnce(() => ({ handlerFns: [() => { throw new Error('gateway timeout'); }] }));
+    const handler = createHandler();
+
+    const failed = await charge(handler, 'key-5');
+    const retried = await charge(handler, 'key-5');
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(201);
+    expect(retried.headers['Idempotent-Replayed']).toBeUndefined();
+  });
+
+  test('should store client errors such as validation failures', async () => {
+    const handler = createHandler();
+
+    const invalid = await charge(handler, 'key-6', 'not-a-number');
+    const again = await charge(handler, 'key-6', 'not-a-number');
+
+    expect(invalid.status).toBe(again.status);
+    expect(again.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  describe('key handling', () => {
+    test('should require a key when the route says so and validate its length', async () => {
+      const handler = createHandler();
+      const refund = (headers) => handler.handleRootApi({ method: 'POST', path: '/billing/refunds', body: { chargeId: 'ch_1' }, headers });
+
+      const missing = await refund({});
+      const tooLong = await refund({ 'Idempotency-Key': 'x'.repeat(256) });
+
+      expect(missing.status).toBe(400);
+      expect(missing.error.code).toBe('IDEMPOTENCY_KEY_REQUIRED');
+      expect(tooLong.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    });
+
+    test('should run normally without a key or on routes that did not opt in', async () => {
+      const handler = createHandler();
+
+      await charge(handler, null);
+      await charge(handler, null);
+      const note = await handler.handleRootApi({ method: 'POST', path: '/billing/notes', headers: { 'Idempotency-Key': 'n' } });
+
+      expect(charges).toBe(3);
+      expect(note.headers['Idempotent-Replayed']).toBeUndefined();
+    });
+  });
+
+  test('should fail closed with 503 when the store is unavailable', async () => {
+    const store = { get: async () => { throw new Error('connection refused'); } };
+    const result = await charge(createHandler({ idempotency: { store } }), 'key-7');
+
+    expect(result.status).toBe(503);
+    expect(result.error.code).toBe('IDEMPOTENCY_STORE_UNAVAILABLE');
+    expect(charges).toBe(0);
+  });
+});
@@ -1,6 +1,21 @@
 const ErrorHandler = require("./ErrorHandler.js");
-const Logger = require("./UtilityLogger.js");
 const SafeUtils = require("./SafeUtils.js");
+const HttpAdapter = require("./HttpAdapter.js");
+const FrameworkAdapters = require("./FrameworkAdapters.js");
+const LambdaAdapter = require("./LambdaAdapter.js");
+const JsonRpcAdapter = require("./JsonRpcAdapter.js");
+const OpenApiGenerator = require("./OpenApiGenerator.js");
+const CorsPolicy = require("./CorsPolicy.js");
+const ApiResponse = require("./ApiResponse.js");
+const ResponseStream = require("./ResponseStream.js");
+const MultipartParser = require("./MultipartParser.js");
+const Authenticators = require("./Authenticators.js");
+const MiddlewareChain = require("./MiddlewareChain.js");
+const PluginRegistry = require("./PluginRegistry.js");
+const RateLimiter = require("./RateLimiter.js");
+const Idempotency = require("./Idempotency.js");
+const ResponseCache = require("./ResponseCache.js");
+const ConditionalRequest = require("./ConditionalRequest.js");
 const crypto = require('crypto');
 
 // Default configuration constants
@@ -10,9 +25,13 @@ const DEFAULT_CONFIG = Object.freeze({
   RETRY_DELAY_MS: 100,
   MAX_ROUTE_CACHE_SIZE: 1000,
   MAX_SANITIZE_DEPTH: 5,
+  MAX_BATCH_SIZE: 20,
   REQUEST_ID_BYTES: 8
 });
 
+// Param types understood natively; plugins may add more through addParamType
+const BUILTIN_PARAM_TYPES = Object.freeze(['int', 'integer', 'float', 'numeric', 'bool', 'boolean', 'string', 'text', 'array', 'iterable', 'email', 'url', 'html', 'object', 'file']);
+
 class ApiHandler {
   constructor({ 
     routeConfig, 
@@ -22,14 +41,26 @@ class ApiHandler {
     allowedMethods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'], 
     preValidationMiddleware = null, 
     dependencyRetries = DEFAULT_CONFIG.MAX_RETRIES,
-    logger = Logger,
+    logger = null,
     safeUtils = SafeUtils,
     enableRouteCache = true,
     enableVersioning = false,
     handlerTimeout = DEFAULT_CONFIG.HANDLER_TIMEOUT_MS,
     debugMode = false,
     parallelHandlers = false,
-    timestampFn = null
+    timestampFn = null,
+    enableBatch = false,
+    maxBatchSize = DEFAULT_CONFIG.MAX_BATCH_SIZE,
+    batchMode = 'sequential',
+    defaultVersions = {},
+    cors = null,
+    authenticators = null,
+    middleware = [],
+    plugins = [],
+    rateLimit = null,
+    idempotency = null,
+    responseCache = null,
+    etag = true
   }) {
     try {
       this._validateRouteConfig(routeConfig);
@@ -54,18 +85,65 @@ class ApiHandler {
     // New configuration options
     this.enableRouteCache = enableRouteCache;
     this.enableVersioning = enableVersioning;
+    this.defaultVersions = defaultVersions || {}; // { namespace: version, '*': version }
     this.handlerTimeout = handlerTimeout;
     this.debugMode = debugMode;
     this.parallelHandlers = parallelHandlers;
     this.timestampFn = timestampFn || (() => Date.now()); // Injectable for testing
     
+    // Batch mode: array bodies carry multiple namespace/action operations
+    this.enableBatch = enableBatch;
+    this.maxBatchSize = maxBatchSize;
+    this.batchMode = batchMode === 'concurrent' ? 'concurrent' : 'sequential';
+    
+    // CORS: global policy, merged with per-route entry.cors (false disables it for a route)
+    this.cors = cors;
+    
+    // Authentication: tried in order; entry.auth === false or { required: false } relaxes a route
+    this.authenticators = authenticators ? [].concat(authenticators) : [];
+    
+    // Rate limiting: global rules plus entry.rateLimit (false exempts a route from the global rules)
+    this.rateLimitRules = RateLimiter.normalizeRules(rateLimit ? rateLimit.rules : null, 'global');
+    this.rateLimiter = new RateLimiter({ store: rateLimit ? rateLimit.store : null });
+    
+    // Idempotency records for routes with entry.idempotency ({ store, ttlMs, inFlightTtlMs })
+    this.idempotency = new Idempotency(idempotency || {});
+    
+    // Cached results for routes with entry.cache ({ store, maxEntries, maxTtlMs })
+    this.responseCache = new ResponseCache(responseCache || {});
+    
+    // Route rate-limit rules and cache policies are checked now, like the global rules above
+    ({ rateLimitRules: this._routeRateLimitRules, cachePolicies: this._routeCachePolicies } = this._normalizeRoutePolicies(routeConfig));
+    
+    // ETags on GET/HEAD results and 304 answers to conditional requests; entry.etag === false opts out
+    this.etag = etag !== false;
+    
+    // Phased middleware (see MiddlewareChain); entry.middleware adds per-route middleware after these
+    this.middleware = [];
+    for (const mw of middleware || []) {
+      this.addMiddleware(mw);
+    }
+    
     // Route cache for performance
     this._routeCache = enableRouteCache ? new Map() : null;
     
-    // Inject dependencies for testability
-    this.logger = logger;
+    // Compiled path patterns, built lazily on first path-routed request
+    this._pathTable = null;
+    
+    // Requests currently inside handleRootApi (reported on config reload)
+    this._inFlightRequests = 0;
+    
+    // Inject dependencies for testability. The default logger is loaded only when needed: it
+    // pulls in dotenv, moment and the AWS SDK, which tools such as the OpenAPI CLI do without
+    this.logger = logger || require("./UtilityLogger.js");
     this.safeUtils = safeUtils;
     
+    // Plugins install after everything else is configured so they can build on it
+    this.plugins = new PluginRegistry();
+    if (Array.isArray(plugins) && plugins.length > 0) {
+      this.use(plugins);
+    }
+    
     // Async-safe initialization of core utilities
     if (this.autoLoader && typeof this.autoLoader.loadCoreUtilities === "function") {
       this._initCoreUtilities();
@@ -140,10 +218,173 @@ class ApiHandler {
     }
   }
 
-  async handleRootApi({ method = "POST", query = {}, body = {}, headers = {}, context = {} }) {
+  /**
+   * Register global middleware; it runs after previously registered middleware in every phase.
+   *
+   * @param {object} middleware - { name?, preRouting?, postValidation?, postHandler?, onError? }.
+   *
+   * @returns {ApiHandler} this, for chaining.
+   */
+  addMiddleware(middleware) {
+    this.middleware.push(MiddlewareChain.validate(middleware));
+    return this;
+  }
+
+  /**
+   * Install one plugin or a list of plugins (ordered by their declared dependencies).
+   *
+   * @param {object|Array<object>} plugin - { name, version?, dependencies?, install(api, options) }.
+   * @param {object} [options] - Passed to each plugin's install().
+   *
+   * @returns {ApiHandler} this, for chaining.
+   */
+  use(plugin, options = {}) {
+    const requested = Array.isArray(plugin) ? plugin : [plugin];
+    let ordered;
+    try {
+      ordered = PluginRegistry.order(requested, name => this.plugins.has(name));
+      for (const p of ordered) {
+        if (this.plugins.has(p.name)) {
+          throw new Error(`Plugin ${p.name} is already installed`);
+        }
+      }
+    } catch (err) {
+      ErrorHandler.addError(`Plugin registration failed: ${err.message}`, {
+        code: "PLUGIN_INSTALL_FAILED",
+        origin: "ApiHandler.use",
+        data: { plugins: requested.map(p => p && p.name), error: err.message }
+      });
+      throw err;
+    }
+    for (const p of ordered) {
+      this._installPlugin(p, options);
+    }
+    return this;
+  }
+
+  /**
+   * Installed plugins in install order, with what each registered.
+   *
+   * @returns {Array<object>} { name, version, dependencies, middleware, paramTypes, hooks, contextKeys, installedAt }.
+   */
+  listPlugins() {
+    return this.plugins.list();
+  }
+
+  _installPlugin(plugin, options) {
+    const record = {
+      name: plugin.name,
+      version: plugin.version || null,
+      dependencies: [...(plugin.dependencies || [])],
+      middleware: [],
+      paramTypes: [],
+      hooks: [],
+      contextKeys: [],
+      installedAt: this.timestampFn()
+    };
+    const addedMiddleware = [];
+    const api = {
+      handler: this,
+      addMiddleware: (middleware) => {
+        this.addMiddleware(middleware);
+        addedMiddleware.push(middleware);
+        record.middleware.push(middleware.name || '(anonymous)');
+        return api;
+      },
+      addParamType: (name, definition) => {
+        this.plugins.addParamType(name, definition, record, BUILTIN_PARAM_TYPES);
+        return api;
+      },
+      addHook: (event, fn) => {
+        this.plugins.addHook(event, fn, record);
+        return api;
+      },
+      decorateContext: (key, value) => {
+        this.plugins.decorateContext(key, value, record);
+        return api;
+      }
+    };
+    
+    try {
+      const installed = plugin.install(api, options);
+      if (installed && typeof installed.then === 'function') {
+        throw new TypeError(`Plugin ${plugin.name} install() must be synchronous; load resources in an onRequest hook or beforehand`);
+      }
+    } catch (err) {
+      // Leave the handler exactly as it was before the failed install
+      this.plugins.rollback(record);
+      this.middleware = this.middleware.filter(mw => !addedMiddleware.includes(mw));
+      const message = `Plugin ${plugin.name} failed to install: ${err.message}`;
+      ErrorHandler.addError(message, {
+        code: "PLUGIN_INSTALL_FAILED",
+        origin: "ApiHandler._installPlugin",
+        data: { plugin: plugin.name, error: err.message }
+      });
+      throw new Error(message);
+    }
+    
+    this.plugins.installed.push(record);
+    this._debugLog(`🧩 [ApiHandler] Plugin installed: ${plugin.name}${record.version ? `@${record.version}` : ''}`);
+  }
+
+  async _emitPluginHook(event, args) {
+    await this.plugins.emit(event, args, async (err, pluginName) => {
+      const sanitizedError = this._sanitizeErrorMessage(err);
+      const message = `Plugin ${pluginName} ${event} hook failed: ${sanitizedError}`;
+      ErrorHandler.addError(message, {
+        code: "PLUGIN_HOOK_FAILED",
+        origin: "ApiHandler._emitPluginHook",
+        data: { plugin: pluginName, event, error: sanitizedError }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.plugin_hook_failed", message, critical: false, data: { plugin: pluginName, event, error: sanitizedError, at: this.timestampFn() } });
+    });
+  }
+
+  async handleRootApi({ method = "POST", path = null, query = {}, body = {}, files = null, headers = {}, context = {} }) {
+    // Array bodies are batches of independent operations when batch mode is enabled
+    if (this.enableBatch && Array.isArray(body)) {
+      MultipartParser.cleanup(files);
+      const batchResult = await this.handleBatchApi({ method, query, body, headers, context });
+      return this._applyCorsHeaders(batchResult, headers, {});
+    }
+    
+    // Request-scoped state: the pipeline records the resolved entry here so per-route CORS applies
+    // to every outcome, and middleware phases share it (locals is free-form scratch space)
+    const requestState = { entry: null, preflight: false, locals: {} };
+    const result = await this._dispatchRootApi({ method, path, query, body, files, headers, context }, requestState);
+    // Batch operations and JSON-RPC calls share one set of request headers, so only single requests are conditional
+    const conditionalResult = this._toHeadResult(this._applyConditionalRequest(result, requestState), requestState);
+    return this._applyCorsHeaders(conditionalResult, headers, requestState);
+  }
+
+  /**
+   * Answer a request the transport rejected before dispatch (unreadable, oversized or unsupported
+   * body). It gets a requestId and CORS headers like any handleRootApi result, so browsers on
+   * allowed origins can read the error.
+   *
+   * @param {Error} err - Body error carrying { status, code }.
+   * @param {object} [request] - { method, headers } of the rejected request.
+   *
+   * @returns {Promise<object>} Error result.
+   */
+  async handleRequestError(err, { method = null, headers = {} } = {}) {
+    const requestTimestamp = this.timestampFn();
+    const requestId = this._createRequestId('req', requestTimestamp);
+    const status = err?.status || 400;
+    const code = err?.code || 'INVALID_BODY';
+    const message = err?.message || 'Invalid request body';
+    
+    this._debugLog(`❌ [ApiHandler] [${requestId}] Request rejected before dispatch: ${message}`);
+    await this._safeLogWrite({ flag: this.logFlagError, action: "api.request_rejected", message, critical: false, data: { method, status, code, requestId, at: requestTimestamp } });
+    return this._applyCorsHeaders(this._errorResponse(status, message, null, code, requestId), headers, {});
+  }
+
+  async _dispatchRootApi({ method = "POST", path = null, query = {}, body = {}, files = null, headers = {}, context = {} }, requestState = {}) {
     // Catch-all error guard to prevent any unexpected exceptions from crashing the app
+    this._inFlightRequests++;
     try {
-      return await this._handleRootApiInternal({ method, query, body, headers, context });
+      const result = await this._handleRootApiInternal({ method, path, query, body, files, headers, context }, requestState);
+      return await this._finishDispatch(result, requestState);
     } catch (err) {
       // Last-resort error handler for unexpected exceptions outside normal flow
       const message = `Unexpected API handler exception: ${err?.message || err}`;
@@ -171,18 +412,300 @@ class ApiHandler {
         } 
       });
       
-      return this._errorResponse(500, 'Internal server error - unexpected exception', [{ message, data: { error: String(err) } }]);
+      requestState.error = err;
+      return this._finishDispatch(this._errorResponse(500, 'Internal server error - unexpected exception', [{ message, data: { error: String(err) } }]), requestState);
+    } finally {
+      this._inFlightRequests--;
+      // Temp-file uploads live only for the pipeline; handlers copy what they need to keep
+      MultipartParser.cleanup(files);
+    }
+  }
+
+  async reloadRouteConfig(newConfig) {
+    let nextPolicies;
+    try {
+      this._validateRouteConfig(newConfig);
+      nextPolicies = this._normalizeRoutePolicies(newConfig);
+    } catch (err) {
+      const message = `Route config reload rejected: ${err.message}`;
+      ErrorHandler.addError(message, {
+        code: "ROUTE_CONFIG_RELOAD_FAILED",
+        origin: "ApiHandler.reloadRouteConfig",
+        data: { error: err.message }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.route_config_reload_failed", message, critical: true, data: { error: err.message, at: this.timestampFn() } });
+      throw new Error(message);
+    }
+    
+    // Build everything derived from the new config before swapping so the swap itself is synchronous.
+    // In-flight requests already hold their resolved entry and finish on the old config.
+    const previousRoutes = this._collectRouteEntries();
+    const nextRoutes = this._collectRouteEntries(newConfig);
+    const nextPathTable = this._buildPathTable(newConfig);
+    
+    this.routeConfig = newConfig;
+    this._pathTable = nextPathTable;
+    this._routeRateLimitRules = nextPolicies.rateLimitRules;
+    this._routeCachePolicies = nextPolicies.cachePolicies;
+    this._routeCache = this.enableRouteCache ? new Map() : null;
+    this._paramDefsCache = new Map();
+    
+    const diff = this._diffRouteEntries(previousRoutes, nextRoutes);
+    
+    // Results cached under a route's previous definition no longer apply
+    const staleRoutes = [...diff.changed, ...diff.removed];
+    try {
+      for (const route of staleRoutes) {
+        const [namespace, ...rest] = route.split('/');
+        await this.responseCache.invalidate({ namespace, actionKey: rest.join('/') }, this.timestampFn());
+      }
+    } catch (err) {
+      await this._cacheStoreFailed(err, 'Failed to invalidate cached results on reload', 'ApiHandler.reloadRouteConfig', {});
+    }
+    
+    const summary = { ...diff, inFlight: this._inFlightRequests, at: this.timestampFn() };
+    
+    this._debugLog(`🔁 [ApiHandler] Route config reloaded: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`);
+    await this._safeLogWrite({
+      flag: this.logFlagOk,
+      action: "api.route_config_reloaded",
+      message: `Route config reloaded: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`,
+      critical: false,
+      data: summary
+    });
+    
+    await this._emitPluginHook(PluginRegistry.PLUGIN_HOOK_EVENTS.ON_RELOAD, [summary, newConfig]);
+    return summary;
+  }
+
+  _diffRouteEntries(previousRoutes, nextRoutes) {
+    const fingerprint = (entry) => {
+      try {
+        // Functions are compared by name; everything else by value
+        return JSON.stringify(entry, (key, value) => (typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value));
+      } catch {
+        // Unserializable entries (e.g. circular) always count as changed
+        return Symbol('unserializable');
+      }
+    };
+    const index = (routes) => new Map(routes.map(r => [`${r.namespace}/${r.actionKey}`, fingerprint(r.entry)]));
+    const before = index(previousRoutes);
+    const after = index(nextRoutes);
+    
+    const added = [...after.keys()].filter(key => !before.has(key)).sort();
+    const removed = [...before.keys()].filter(key => !after.has(key)).sort();
+    const changed = [...after.keys()].filter(key => before.has(key) && before.get(key) !== after.get(key)).sort();
+    
+    return { added, removed, changed };
+  }
+
+  async handleBatchApi({ method = "POST", query = {}, body = [], headers = {}, context = {} }) {
+    const requestTimestamp = this.timestampFn();
+    const requestId = this._createRequestId('batch', requestTimestamp);
+    const operations = Array.isArray(body) ? body : [];
+    
+    if (operations.length === 0) {
+      const message = "Batch request must contain a non-empty array of operations";
+      ErrorHandler.addError(message, {
+        code: "INVALID_BATCH",
+        origin: "ApiHandler.handleBatchApi",
+        data: { receivedType: typeof body, requestId }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.batch_invalid", message, critical: false, data: { method, requestId, at: requestTimestamp } });
+      return this._errorResponse(400, message, null, 'INVALID_BATCH', requestId);
+    }
+    
+    if (operations.length > this.maxBatchSize) {
+      const message = `Batch contains ${operations.length} operations; maximum allowed is ${this.maxBatchSize}`;
+      ErrorHandler.addError(message, {
+        code: "BATCH_TOO_LARGE",
+        origin: "ApiHandler.handleBatchApi",
+        data: { size: operations.length, maxBatchSize: this.maxBatchSize, requestId }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.batch_too_large", message, critical: false, data: { method, requestId, size: operations.length, at: requestTimestamp } });
+      return this._errorResponse(413, message, null, 'BATCH_TOO_LARGE', requestId);
+    }
+    
+    this._debugLog(`📦 [ApiHandler] [${requestId}] Batch of ${operations.length} operation(s), mode: ${this.batchMode}`);
+    
+    // Each operation runs through the full pipeline independently; one failure never fails the batch
+    const runOperation = async (operation, index) => {
+      if (!operation || typeof operation !== "object" || Array.isArray(operation)) {
+        const message = `Batch operation ${index} must be an object with namespace and action`;
+        return this._errorResponse(400, message, null, 'INVALID_BATCH_ITEM', requestId);
+      }
+      // GET/HEAD only collect query args, so operations travel as the query there
+      const isQueryOnly = ["GET", "HEAD"].includes(String(method || "").toUpperCase());
+      const result = await this._dispatchRootApi({
+        method,
+        query: isQueryOnly ? operation : {},
+        body: isQueryOnly ? {} : operation,
+        headers,
+        context: { ...context, batchId: requestId, batchIndex: index }
+      });
+      return this._toBatchItem(result, index, requestId);
+    };
+    
+    let results;
+    if (this.batchMode === 'concurrent') {
+      results = await Promise.all(operations.map((operation, index) => runOperation(operation, index)));
+    } else {
+      results = [];
+      for (let i = 0; i < operations.length; i++) {
+        results.push(await runOperation(operations[i], i));
+      }
+    }
+    
+    const succeeded = results.filter(r => r && r.ok).length;
+    const totalDuration = this.timestampFn() - requestTimestamp;
+    await this._safeLogWrite({
+      flag: this.logFlagOk,
+      action: "api.batch_ok",
+      message: `Batch completed: ${succeeded}/${results.length} succeeded`,
+      critical: false,
+      data: { method, requestId, size: results.length, succeeded, mode: this.batchMode, totalDuration, at: requestTimestamp }
+    });
+    
+    return {
+      ok: true,
+      status: 200,
+      data: { results, succeeded, failed: results.length - succeeded, mode: this.batchMode },
+      requestId
+    };
+  }
+
+  _toBatchItem(result, index, batchId) {
+    // Items share one JSON response, so only the envelope travels; transport headers stay behind
+    if (result && result.body !== undefined && result.body !== null) {
+      // Text, binary and streamed bodies cannot be embedded; release stream producers instead of leaking them
+      if (ApiResponse.isStream(result.body) && typeof result.body.destroy === 'function') result.body.destroy();
+      const message = `Batch operation ${index} returned a non-JSON response, which batches cannot carry`;
+      ErrorHandler.addError(message, {
+        code: "BATCH_UNSUPPORTED_RESPONSE",
+        origin: "ApiHandler._toBatchItem",
+        data: { index, contentType: result.contentType || null, batchId }
+      });
+      return this._errorResponse(400, message, null, 'BATCH_UNSUPPORTED_RESPONSE', result.requestId || batchId);
+    }
+    
+    const item = {};
+    for (const key of ['ok', 'status', 'data', 'error', 'requestId']) {
+      if (result && result[key] !== undefined) item[key] = result[key];
+    }
+    return item;
+  }
+
+  async handleJsonRpc(payload, options = {}) {
+    // JSON-RPC 2.0 front-end: "namespace.action" methods with named params
+    return JsonRpcAdapter.handle(this, payload, options);
+  }
+
+  /**
+   * Drop cached results for a route, for tags, or both.
+   *
+   * @param {object} target - { namespace, action, tags }.
+   *
+   * @returns {Promise<number>} Number of invalidation markers written.
+   */
+  async invalidateCache({ namespace = null, action = null, tags = [] } = {}) {
+    const tagList = [].concat(tags || []).map(String);
+    if (!(namespace && action) && tagList.length === 0) {
+      throw new TypeError('invalidateCache needs a namespace and action, or tags');
     }
+    const count = await this.responseCache.invalidate({ namespace, actionKey: action, tags: tagList }, this.timestampFn());
+    this._debugLog(`🧹 [ApiHandler] Cache invalidated: ${namespace && action ? `${namespace}/${action} ` : ''}${tagList.join(', ')}`);
+    await this._safeLogWrite({ flag: this.logFlagOk, action: "api.cache_invalidated", message: `Invalidated ${count} cache scope(s)`, critical: false, data: { namespace, action, tags: tagList, at: this.timestampFn() } });
+    return count;
   }
 
-  async _handleRootApiInternal({ method = "POST", query = {}, body = {}, headers = {}, context = {} }) {
+  listRoutes() {
+    // Normalized, JSON-safe metadata for every configured route entry
+    return this._collectRouteEntries()
+      .map(route => this._describeRouteEntry(route))
+      .sort((a, b) => a.namespace.localeCompare(b.namespace) || a.actionKey.localeCompare(b.actionKey));
+  }
+
+  describeRoute(namespace, action, version = null) {
+    const ns = this._findNamespace(String(namespace || "").trim());
+    if (!ns) return null;
+    
+    // Resolve exactly like a request would, then describe the matching entry
+    const actionKey = String(action || "").trim();
+    const entry = version
+      ? this._resolveVersionedEntry(ns, actionKey, String(version).trim())
+      : this._resolveStandardEntry(ns, actionKey);
+    if (!entry || typeof entry !== "object") return null;
+    
+    const route = this._collectRouteEntries().find(r => r.entry === entry && r.namespace === namespace);
+    return route ? this._describeRouteEntry(route) : null;
+  }
+
+  _describeRouteEntry({ namespace, actionKey, action, version, versions, entry }) {
+    const params = (Array.isArray(entry.params) ? entry.params : [])
+      .filter(def => def && typeof def === "object" && def.name)
+      .map(def => ({
+        name: String(def.name),
+        type: String(def.type || "string").trim().toLowerCase(),
+        required: !!def.required,
+        default: def.default === undefined ? null : this._deepClone(def.default)
+      }));
+    
+    // Handler modules are resolved by the autoLoader; count what the entry declares without loading it
+    let handlerCount = null;
+    if (Array.isArray(entry.handlers)) handlerCount = entry.handlers.length;
+    else if (entry.handler) handlerCount = 1;
+    
+    const allVersions = [...new Set([...(version ? [version] : []), ...versions])];
+    
+    return {
+      namespace,
+      action,
+      actionKey,
+      versions: allVersions,
+      paths: entry.path ? (Array.isArray(entry.path) ? [...entry.path] : [entry.path]) : [],
+      methods: Array.isArray(entry.methods) && entry.methods.length > 0
+        ? entry.methods.map(m => String(m).toUpperCase())
+        : [...this.allowedMethods],
+      params,
+      handlerCount,
+      deprecated: !!entry.deprecated,
+      sunset: entry.sunset || null,
+      replacement: entry.replacement || null
+    };
+  }
+
+  toOpenAPI(options = {}) {
+    // OpenAPI 3.1 document generated from routeConfig
+    return OpenApiGenerator.generate(this, options);
+  }
+
+  createHttpListener(options = {}) {
+    // Node http adapter: (req, res) listener for http.createServer()
+    return HttpAdapter.createListener(this, options);
+  }
+
+  createExpressMiddleware(options = {}) {
+    // Express/Connect adapter: (req, res, next) middleware
+    return FrameworkAdapters.createExpressMiddleware(this, options);
+  }
+
+  createKoaMiddleware(options = {}) {
+    // Koa adapter: (ctx, next) middleware
+    return FrameworkAdapters.createKoaMiddleware(this, options);
+  }
+
+  createLambdaHandler(options = {}) {
+    // API Gateway (v1 REST / v2 HTTP) proxy adapter: async (event, context) handler
+    return LambdaAdapter.createHandler(this, options);
+  }
+
+  async _handleRootApiInternal({ method = "POST", path = null, query = {}, body = {}, files = null, headers = {}, context = {} }, requestState = {}) {
     // Capture timestamp once for entire request
     const requestTimestamp = this.timestampFn();
     const requestStartTime = requestTimestamp;
     
     // Generate unique request ID for tracing (crypto-based for collision resistance)
-    const randomHex = crypto.randomBytes(DEFAULT_CONFIG.REQUEST_ID_BYTES).toString('hex');
-    const requestId = `req_${requestTimestamp}_${randomHex}`;
+    const requestId = this._createRequestId('req', requestTimestamp);
     
     // Create request-scoped error handler with categorization
     const errorHandler = { errors: [] };
@@ -197,8 +720,49 @@ class ApiHandler {
     const sanitizedBody = this._sanitizeForLogging(body);
     this._debugLog(`\n🚀 [ApiHandler] [${requestId}] New Request - Method: ${method}, Query:`, sanitizedQuery, 'Body:', sanitizedBody);
 
+    let normalizedMethod = String(method || "").toUpperCase();
+
+    // CORS preflight and automatic OPTIONS are answered without invoking handlers
+    if (normalizedMethod === 'OPTIONS') {
+      const optionsResponse = await this._handleOptionsRequest({ path, query, headers, requestId, requestTimestamp });
+      if (optionsResponse) {
+        requestState.preflight = true;
+        return optionsResponse;
+      }
+    }
+
+    // Pre-routing middleware sees the raw request and may rewrite it before routing
+    Object.assign(requestState, { requestId, method: normalizedMethod, path, query, body, headers, context, startedAt: requestTimestamp });
+    if (!requestState.locals) requestState.locals = {};
+    await this._emitPluginHook(PluginRegistry.PLUGIN_HOOK_EVENTS.ON_REQUEST, [requestState]);
+    if (this.middleware.length > 0) {
+      try {
+        const phase = await MiddlewareChain.run(MiddlewareChain.MIDDLEWARE_PHASES.PRE_ROUTING, this.middleware, requestState);
+        if (phase.aborted) {
+          this._debugLog(`🛑 [ApiHandler] [${requestId}] Pre-routing middleware aborted request`);
+          return this._middlewareAbortResult(phase.response, requestId);
+        }
+      } catch (err) {
+        return this._middlewareFailedResult(err, { requestId, requestTimestamp, errorHandler });
+      }
+      ({ path, query, body, headers, context } = requestState);
+      method = requestState.method;
+      normalizedMethod = String(method || "").toUpperCase();
+    }
+
+    // Plugin context decorations; kept aside so handlers get them by reference, not deep-cloned
+    requestState.decorations = {};
+    if (this.plugins.contextDecorators.size > 0) {
+      try {
+        requestState.decorations = await this.plugins.resolveDecorations(requestState);
+      } catch (err) {
+        return this._middlewareFailedResult(err, { requestId, requestTimestamp, errorHandler });
+      }
+      context = { ...context, ...requestState.decorations };
+      requestState.context = context;
+    }
+
     // Validate HTTP method
-    const normalizedMethod = String(method || "").toUpperCase();
     if (!this.allowedMethods.includes(normalizedMethod)) {
       // Provide specific guidance for common methods that might be unsupported
       const commonUnsupported = ['OPTIONS', 'PATCH', 'TRACE', 'CONNECT'];
@@ -214,20 +778,46 @@ class ApiHandler {
       });
       errorHandler.add(message, { method: normalizedMethod, allowedMethods: this.allowedMethods }, 'method_validation');
       await this._safeLogWrite({ flag: this.logFlagError, action: "api.method_not_allowed", message, critical: false, data: { method: normalizedMethod, requestId, at: requestTimestamp } });
-      return this._errorResponse(405, message, errorHandler.getAll(), 'METHOD_NOT_ALLOWED', requestId);
+      return { ...this._errorResponse(405, message, errorHandler.getAll(), 'METHOD_NOT_ALLOWED', requestId), headers: { Allow: this.allowedMethods.join(', ') } };
     }
 
-    const args = this._collectIncomingArgs(method, query, body);
+    const collectedArgs = this._collectIncomingArgs(method, query, body);
+    
+    // Path-based routing takes precedence; namespace/action fields remain the fallback
+    const normalizedPath = path ? this._normalizePath(path) : null;
+    const pathMatch = normalizedPath ? this._resolveRouteFromPath(normalizedPath, normalizedMethod) : null;
+    
+    // Named path params override same-named query/body fields so they flow into validation
+    let args = pathMatch ? { ...collectedArgs, ...pathMatch.params } : collectedArgs;
     
     // Extract namespace, actionKey, and optional version
-    const namespace = String(args.namespace || "").trim();
-    const actionKey = String(args.action || "").trim();
-    const version = this.enableVersioning ? String(args.version || args.v || "").trim() : null;
+    const namespace = pathMatch ? pathMatch.namespace : String(args.namespace || "").trim();
+    const actionKey = pathMatch ? pathMatch.actionKey : String(args.action || "").trim();
+    // Version precedence: explicit args, then Accept-Version header, then the namespace default
+    const requestedVersion = this.enableVersioning && !pathMatch
+      ? String(args.version || args.v || this._getHeader(headers, 'accept-version') || "").trim()
+      : "";
+    const defaultVersion = this.enableVersioning && !pathMatch && !requestedVersion ? this._getDefaultVersion(namespace) : null;
+    const version = requestedVersion || defaultVersion || null;
     
     const routeIdentifier = version ? `${namespace}/${actionKey}@${version}` : `${namespace}/${actionKey}`;
     const sanitizedArgs = this._sanitizeForLogging(args);
     this._debugLog(`🚀 [ApiHandler] [${requestId}] Route: ${routeIdentifier}, Args:`, sanitizedArgs);
 
+    // A path that matched no pattern and carried no routing fields is a plain 404
+    if (normalizedPath && !pathMatch && !namespace && !actionKey) {
+      const message = `API route not found for path ${normalizedPath}`;
+      this._debugLog(`❌ [ApiHandler] [${requestId}] Path not found: ${normalizedPath}`);
+      ErrorHandler.addError(message, {
+        code: "ROUTE_NOT_FOUND",
+        origin: "ApiHandler._handleRootApiInternal",
+        data: { path: normalizedPath, requestId }
+      });
+      errorHandler.add(message, { path: normalizedPath }, 'routing');
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.route_not_found", message, critical: true, data: { path: normalizedPath, method, requestId, at: requestTimestamp } });
+      return this._errorResponse(404, message, null, 'ROUTE_NOT_FOUND', requestId);
+    }
+
     // Explicit validation: check for empty strings and actual content
     if (!namespace || namespace.length === 0 || !actionKey || actionKey.length === 0) {
       const message = "Missing or empty routing fields: 'namespace' and/or 'action' must be non-empty strings";
@@ -242,7 +832,12 @@ class ApiHandler {
       return this._errorResponse(400, message, errorHandler.getAll(), 'MISSING_ROUTE_FIELDS', requestId);
     }
 
-    const resolved = this._resolveRouteFromArgs(namespace, actionKey, version);
+    let resolved = pathMatch ? { entry: pathMatch.entry } : this._resolveRouteFromArgs(namespace, actionKey, version);
+    
+    // A namespace default version only applies to actions that are actually versioned
+    if (!resolved && defaultVersion) {
+      resolved = this._resolveRouteFromArgs(namespace, actionKey, null);
+    }
     
     // LRU cache management (Issue #9)
     if (resolved && this._routeCache && this._routeCache.size >= this.maxRouteCacheSize) {
@@ -267,6 +862,7 @@ class ApiHandler {
     }
     this._debugLog(`✅ [ApiHandler] [${requestId}] Route resolved: ${routeIdentifier}`);
     const { entry } = resolved;
+    Object.assign(requestState, { entry, namespace, actionKey, version });
 
     // Validate entry structure
     if (!entry || typeof entry !== "object") {
@@ -281,6 +877,151 @@ class ApiHandler {
       return this._errorResponse(500, message, errorHandler.getAll(), 'INVALID_ROUTE_ENTRY', requestId);
     }
 
+    // Per-route allowed methods narrow the global allowedMethods list
+    const routeMethods = pathMatch && pathMatch.allowedMethods ? pathMatch.allowedMethods : this._getRouteMethods(entry);
+    if (routeMethods && !routeMethods.includes(normalizedMethod)) {
+      const message = `Method ${normalizedMethod} not allowed for ${routeIdentifier}. Supported methods: ${routeMethods.join(', ')}`;
+      this._debugLog(`❌ [ApiHandler] [${requestId}] Method not allowed for route: ${normalizedMethod}`);
+      ErrorHandler.addError(message, {
+        code: "METHOD_NOT_ALLOWED",
+        origin: "ApiHandler._handleRootApiInternal",
+        data: { method: normalizedMethod, allowedMethods: routeMethods, namespace, actionKey, requestId }
+      });
+      errorHandler.add(message, { method: normalizedMethod, allowedMethods: routeMethods }, 'method_validation');
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.method_not_allowed", message, critical: false, data: { method: normalizedMethod, namespace, actionKey, requestId, at: requestTimestamp } });
+      return { ...this._errorResponse(405, message, errorHandler.getAll(), 'METHOD_NOT_ALLOWED', requestId), headers: { Allow: routeMethods.join(', ') } };
+    }
+
+    // Routes may pin where arguments come from instead of the method-based default
+    if (entry.argsFrom) {
+      const routeArgs = this._collectIncomingArgs(method, query, body, entry.argsFrom);
+      args = pathMatch ? { ...routeArgs, ...pathMatch.params } : routeArgs;
+    }
+
+    // Deprecation/sunset lifecycle: 410 after the sunset date, headers and usage logging before it
+    const lifecycle = this._getRouteLifecycle(entry, requestTimestamp);
+    const responseHeaders = lifecycle ? this._buildLifecycleHeaders(lifecycle) : {};
+    // Merged into every outcome by _finishDispatch, so error paths keep deprecation and rate limit headers
+    requestState.responseHeaders = responseHeaders;
+    if (lifecycle && lifecycle.isSunset) {
+      const message = `API route ${routeIdentifier} was retired on ${lifecycle.sunset.toISOString()}` +
+        (lifecycle.replacement ? `; use ${lifecycle.replacement} instead` : '');
+      this._debugLog(`🪦 [ApiHandler] [${requestId}] Route sunset: ${routeIdentifier}`);
+      ErrorHandler.addError(message, {
+        code: "ROUTE_SUNSET",
+        origin: "ApiHandler._handleRootApiInternal",
+        data: { namespace, actionKey, version, sunset: lifecycle.sunset.toISOString(), requestId }
+      });
+      errorHandler.add(message, { namespace, actionKey, sunset: lifecycle.sunset.toISOString(), replacement: lifecycle.replacement }, 'lifecycle');
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.route_sunset", message, critical: false, data: { namespace, actionKey, version, method, requestId, caller: this._describeCaller(headers, context), at: requestTimestamp } });
+      return this._errorResponse(410, message, errorHandler.getAll(), 'ROUTE_SUNSET', requestId);
+    }
+    if (lifecycle && lifecycle.deprecated) {
+      await this._safeLogWrite({
+        flag: this.logFlagOk,
+        action: "api.deprecated_route_used",
+        message: `Deprecated route used: ${routeIdentifier}`,
+        critical: false,
+        data: {
+          namespace,
+          actionKey,
+          version,
+          method,
+          requestId,
+          sunset: lifecycle.sunset ? lifecycle.sunset.toISOString() : null,
+          replacement: lifecycle.replacement,
+          caller: this._describeCaller(headers, context),
+          at: requestTimestamp
+        }
+      });
+    }
+
+    // Authenticate before any middleware or handler sees the request
+    if (this.authenticators.length > 0 && entry.auth !== false) {
+      const authOutcome = await this._authenticate({ entry, method: normalizedMethod, path, query, body, headers, context, requestId, requestTimestamp });
+      if (authOutcome.error) {
+        const { message, reason } = authOutcome.error;
+        this._debugLog(`❌ [ApiHandler] [${requestId}] Authentication failed: ${reason}`);
+        ErrorHandler.addError(message, {
+          code: "UNAUTHENTICATED",
+          origin: "ApiHandler._handleRootApiInternal",
+          data: { namespace, actionKey, reason, requestId }
+        });
+        errorHandler.add(message, { reason }, 'authentication');
+        await this._safeLogWrite({ flag: this.logFlagError, action: "api.auth_failed", message, critical: false, data: { namespace, actionKey, reason, requestId, caller: this._describeCaller(headers, context), at: requestTimestamp } });
+        return {
+          ...this._errorResponse(401, message, errorHandler.getAll(), 'UNAUTHENTICATED', requestId),
+          headers: { 'WWW-Authenticate': authOutcome.challenge }
+        };
+      }
+      if (authOutcome.principal) {
+        context = { ...context, auth: authOutcome.principal };
+        requestState.context = context;
+      }
+    }
+
+    // Authorization: roles/scopes declared on entry.auth are checked before any dependency loading
+    const principal = context?.auth || null;
+    const missingPermissions = this._getMissingPermissions(entry.auth, principal);
+    if (missingPermissions) {
+      const principalId = principal ? principal.id : null;
+      const status = principal ? 403 : 401;
+      const code = principal ? 'FORBIDDEN' : 'UNAUTHENTICATED';
+      const message = principal
+        ? `Principal lacks required permissions for ${routeIdentifier}`
+        : `Authentication required for ${routeIdentifier}`;
+      this._debugLog(`❌ [ApiHandler] [${requestId}] ${message}`);
+      ErrorHandler.addError(message, {
+        code,
+        origin: "ApiHandler._handleRootApiInternal",
+        data: { namespace, actionKey, principal: principalId, ...missingPermissions, requestId }
+      });
+      errorHandler.add(message, missingPermissions, 'authorization');
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.forbidden", message, critical: false, data: { namespace, actionKey, principal: principalId, ...missingPermissions, requestId, at: requestTimestamp } });
+      return this._errorResponse(status, message, errorHandler.getAll(), code, requestId);
+    }
+
+    // Rate limits are checked once the caller is known but before any expensive work
+    const rateLimitRules = this._getRateLimitRules(entry, namespace, actionKey);
+    if (rateLimitRules.length > 0) {
+      let limitOutcome = null;
+      try {
+        limitOutcome = await this.rateLimiter.check(rateLimitRules, { headers, context, namespace, actionKey }, requestTimestamp);
+      } catch (err) {
+        // Fail open: an unavailable store must not take the API down with it
+        const sanitizedError = this._sanitizeErrorMessage(err);
+        ErrorHandler.addError(`Rate limit check failed: ${sanitizedError}`, {
+          code: "RATE_LIMIT_STORE_FAILED",
+          origin: "ApiHandler._handleRootApiInternal",
+          data: { namespace, actionKey, error: sanitizedError, requestId }
+        });
+        await this._safeLogWrite({ flag: this.logFlagError, action: "api.rate_limit_store_failed", message: `Rate limit check failed: ${sanitizedError}`, critical: true, data: { namespace, actionKey, requestId, error: sanitizedError, at: requestTimestamp } });
+      }
+      if (limitOutcome) {
+        Object.assign(responseHeaders, RateLimiter.headers(limitOutcome));
+        if (!limitOutcome.allowed) {
+          const retryAfterSeconds = Number(responseHeaders['Retry-After']);
+          const message = `Rate limit exceeded for ${routeIdentifier}; retry in ${retryAfterSeconds}s`;
+          const details = { rule: limitOutcome.rule, limit: limitOutcome.limit, remaining: limitOutcome.remaining, retryAfterSeconds, resetSeconds: Math.ceil(limitOutcome.resetMs / 1000) };
+          this._debugLog(`🚦 [ApiHandler] [${requestId}] ${message}`);
+          ErrorHandler.addError(message, {
+            code: "RATE_LIMITED",
+            origin: "ApiHandler._handleRootApiInternal",
+            data: { namespace, actionKey, ...details, requestId }
+          });
+          errorHandler.add(message, details, 'rate_limit');
+          await this._safeLogWrite({ flag: this.logFlagError, action: "api.rate_limited", message, critical: false, data: { namespace, actionKey, ...details, caller: this._describeCaller(headers, context), requestId, at: requestTimestamp } });
+          return this._errorResponse(429, message, errorHandler.getAll(), 'RATE_LIMITED', requestId);
+        }
+      }
+    }
+
+    // Retried requests replay their stored outcome instead of running the handlers again
+    if (entry.idempotency) {
+      const idempotencyResponse = await this._beginIdempotentRequest({ entry, method: normalizedMethod, args, headers, context, namespace, actionKey, routeIdentifier, requestId, requestTimestamp, responseHeaders, errorHandler, requestState });
+      if (idempotencyResponse) return idempotencyResponse;
+    }
+
     // Execute pre-validation middleware if configured
     if (this.preValidationMiddleware && typeof this.preValidationMiddleware === 'function') {
       this._debugLog(`🔍 [ApiHandler] [${requestId}] Running pre-validation middleware...`);
@@ -301,7 +1042,9 @@ class ApiHandler {
         // Allow middleware to short-circuit the request
         if (middlewareResult && middlewareResult.abort === true) {
           this._debugLog(`🛑 [ApiHandler] [${requestId}] Pre-validation middleware aborted request`);
-          return middlewareResult.response || this._errorResponse(403, 'Request blocked by middleware', null, 'MIDDLEWARE_BLOCKED', requestId);
+          return middlewareResult.response
+            ? this._toAbortResult(middlewareResult.response, requestId)
+            : this._errorResponse(403, 'Request blocked by middleware', null, 'MIDDLEWARE_BLOCKED', requestId);
         }
       } catch (err) {
         const sanitizedError = this._sanitizeErrorMessage(err);
@@ -328,6 +1071,13 @@ class ApiHandler {
         ? await validationResult 
         : validationResult;
       
+      // Uploaded files and plugin param types bypass sanitizeValidate, which only knows the built-in types
+      const fileValues = this._validateFileParams(entry.params, files);
+      const customValues = await this._validateCustomParams(entry.params, args);
+      if (Object.keys(fileValues).length > 0 || Object.keys(customValues).length > 0) {
+        validated = { ...validated, ...fileValues, ...customValues };
+      }
+      
       this._debugLog(`✅ [ApiHandler] [${requestId}] Validation passed`);
     } catch (err) {
       const sanitizedError = this._sanitizeErrorMessage(err);
@@ -349,6 +1099,29 @@ class ApiHandler {
     const extra = { userInput: rawExtra };
     this._debugLog(`✅ [ApiHandler] [${requestId}] Extra args namespaced under userInput`);
 
+    // Post-validation middleware may enrich validated params or context, or stop the request
+    const routeMiddleware = MiddlewareChain.forRoute(this.middleware, entry);
+    if (routeMiddleware.length > 0) {
+      Object.assign(requestState, { args, validated, context });
+      try {
+        const phase = await MiddlewareChain.run(MiddlewareChain.MIDDLEWARE_PHASES.POST_VALIDATION, routeMiddleware, requestState);
+        if (phase.aborted) {
+          this._debugLog(`🛑 [ApiHandler] [${requestId}] Post-validation middleware aborted request`);
+          return this._middlewareAbortResult(phase.response, requestId);
+        }
+      } catch (err) {
+        return this._middlewareFailedResult(err, { namespace, actionKey, requestId, requestTimestamp, errorHandler });
+      }
+      ({ validated, context } = requestState);
+    }
+
+    // Cache hits skip dependency loading and the handlers entirely
+    const cachePolicy = this._getCachePolicy(entry, routeIdentifier);
+    if (cachePolicy && cachePolicy.methods.includes(normalizedMethod)) {
+      const cachedResponse = await this._lookupCachedResponse({ cachePolicy, method: normalizedMethod, namespace, actionKey, version, validated, extra: rawExtra, headers, context, routeIdentifier, requestId, requestTimestamp, responseHeaders, requestState });
+      if (cachedResponse) return cachedResponse;
+    }
+
     let handlerFns;
     let lastError;
     
@@ -393,8 +1166,10 @@ class ApiHandler {
         body: this._deepClone(body), 
         headers: this._deepClone(headers) 
       }, 
-      context: { ...this._deepClone(context), requestId }, // Add requestId to context
-      method 
+      context: { ...this._deepClone(context), ...requestState.decorations, requestId }, // Add requestId to context
+      method,
+      // HEAD runs the GET pipeline but sends no body; handlers may skip building it (and supply ETag / Content-Length)
+      isHead: normalizedMethod === 'HEAD'
     };
     
     // Freeze to prevent accidental mutations (handlers should not modify input)
@@ -431,7 +1206,231 @@ class ApiHandler {
       data: { namespace, actionKey, method, requestId, pipelineDuration, totalDuration, at: requestTimestamp }
     });
 
-    return { ok: true, status: 200, data: lastNonUndefined !== undefined ? lastNonUndefined : {}, requestId };
+    const result = this._toApiResult(lastNonUndefined, requestId, responseHeaders, headers);
+    if (routeMiddleware.length === 0) return result;
+    
+    // Post-handler middleware may transform the result; ApiResponse replacements are converted
+    try {
+      const phase = await MiddlewareChain.run(MiddlewareChain.MIDDLEWARE_PHASES.POST_HANDLER, routeMiddleware, requestState, result, {
+        convert: (value) => ApiResponse.isApiResponse(value) ? this._toApiResult(value, requestId, responseHeaders, headers) : value
+      });
+      return phase.result;
+    } catch (err) {
+      return this._middlewareFailedResult(err, { namespace, actionKey, requestId, requestTimestamp, errorHandler });
+    }
+  }
+
+  async _finishDispatch(result, requestState) {
+    // Tag before caching so cache hits carry the ETag without hashing again
+    const finalResult = this._applyEntityTag(this._mergeResponseHeaders(await this._applyErrorMiddleware(result, requestState), requestState), requestState);
+    if (requestState.idempotency) {
+      await this._completeIdempotentRequest(requestState, finalResult);
+    }
+    if (requestState.cache && ResponseCache.isCacheable(finalResult)) {
+      await this._storeCachedResponse(requestState, finalResult);
+    }
+    await this._emitPluginHook(PluginRegistry.PLUGIN_HOOK_EVENTS.ON_RESPONSE, [requestState, finalResult]);
+    return finalResult;
+  }
+
+  /**
+   * Add the route's lifecycle and rate limit headers to any outcome that does not carry them yet;
+   * headers the result already has win.
+   */
+  _mergeResponseHeaders(result, requestState) {
+    const routeHeaders = requestState.responseHeaders;
+    if (!result || typeof result !== 'object' || !routeHeaders || Object.keys(routeHeaders).length === 0) return result;
+    return { ...result, headers: { ...routeHeaders, ...(result.headers || {}) } };
+  }
+  
+  /**
+   * Add a strong ETag over `data` to successful GET/HEAD JSON results, unless the handler already
+   * supplied a validator (ETag or Last-Modified).
+   */
+  _applyEntityTag(result, requestState) {
+    if (!this._isConditionalCandidate(result, requestState) || result.body !== undefined) return result;
+    if (this._getHeader(result.headers, 'etag') !== undefined || this._getHeader(result.headers, 'last-modified') !== undefined) return result;
+    // Weak: the tag covers `data`, but the bytes sent are the envelope with its per-request requestId
+    return { ...result, headers: { ...(result.headers || {}), ETag: ConditionalRequest.entityTag(result.data, { weak: true }) } };
+  }
+  
+  /**
+   * Answer 304 Not Modified when the request's If-None-Match / If-Modified-Since show the client's
+   * copy is current.
+   */
+  _applyConditionalRequest(result, requestState) {
+    if (!this._isConditionalCandidate(result, requestState)) return result;
+    const requestHeaders = requestState.headers;
+    const notModified = ConditionalRequest.isNotModified(
+      { ifNoneMatch: this._getHeader(requestHeaders, 'if-none-match'), ifModifiedSince: this._getHeader(requestHeaders, 'if-modified-since') },
+      { etag: this._getHeader(result.headers, 'etag'), lastModified: this._getHeader(result.headers, 'last-modified') }
+    );
+    if (!notModified) return result;
+    
+    this._debugLog(`📭 [ApiHandler] [${result.requestId}] Not modified`);
+    if (result.body && typeof result.body.destroy === 'function') {
+      // A stream body that will not be sent must still be released
+      result.body.destroy();
+    }
+    return { ok: true, status: 304, data: null, requestId: result.requestId, headers: ConditionalRequest.notModifiedHeaders(result.headers) };
+  }
+  
+  /**
+   * Reduce a HEAD result to status and headers. Content-Type and Content-Length describe what GET
+   * would have sent, unless the handler supplied them; `head: true` tells adapters to send no body.
+   */
+  _toHeadResult(result, requestState) {
+    if (!result || String(requestState.method || '').toUpperCase() !== 'HEAD' || HttpAdapter.EMPTY_BODY_STATUSES.includes(result.status)) {
+      return result;
+    }
+    const { headers: representationHeaders } = HttpAdapter.toHttpResponse(result);
+    const headers = { ...(result.headers || {}) };
+    for (const name of ['Content-Type', 'Content-Length']) {
+      if (this._getHeader(headers, name) === undefined && representationHeaders[name] !== undefined) {
+        headers[name] = representationHeaders[name];
+      }
+    }
+    if (result.body && typeof result.body.destroy === 'function') {
+      // A stream body that will not be sent must still be released
+      result.body.destroy();
+    }
+    const { data, body, contentType, ...rest } = result;
+    return { ...rest, headers, head: true };
+  }
+  
+  _isConditionalCandidate(result, requestState) {
+    if (!this.etag || !result || result.status !== 200) return false;
+    if (requestState.entry && requestState.entry.etag === false) return false;
+    return ConditionalRequest.CONDITIONAL_METHODS.includes(String(requestState.method || '').toUpperCase());
+  }
+
+  /**
+   * Give onError middleware the chance to replace an error outcome. Never throws: a failing hook
+   * is logged and the error response it was given is kept.
+   */
+  async _applyErrorMiddleware(result, requestState) {
+    if (!result || typeof result !== 'object' || !(result.status >= 400)) return result;
+    const middlewares = MiddlewareChain.forRoute(this.middleware, requestState.entry);
+    if (middlewares.length === 0) return result;
+    
+    const requestId = result.requestId || requestState.requestId || null;
+    try {
+      const phase = await MiddlewareChain.run(MiddlewareChain.MIDDLEWARE_PHASES.ON_ERROR, middlewares, requestState, result, {
+        convert: (value) => ApiResponse.isApiResponse(value) ? this._toApiResult(value, requestId) : value
+      });
+      return phase.result;
+    } catch (err) {
+      const sanitizedError = this._sanitizeErrorMessage(err);
+      const message = `Error middleware failed: ${sanitizedError}`;
+      ErrorHandler.addError(message, {
+        code: "MIDDLEWARE_FAILED",
+        origin: "ApiHandler._applyErrorMiddleware",
+        data: { middleware: err.middleware || null, phase: err.phase || null, error: sanitizedError, requestId }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.middleware_failed", message, critical: true, data: { middleware: err.middleware || null, phase: err.phase || null, requestId, error: sanitizedError, at: this.timestampFn() } });
+      return result;
+    }
+  }
+
+  _middlewareAbortResult(response, requestId) {
+    return response
+      ? this._toAbortResult(response, requestId)
+      : this._errorResponse(403, 'Request blocked by middleware', null, 'MIDDLEWARE_BLOCKED', requestId);
+  }
+
+  async _middlewareFailedResult(err, { namespace = null, actionKey = null, requestId, requestTimestamp, errorHandler }) {
+    const sanitizedError = this._sanitizeErrorMessage(err);
+    const message = `Middleware failed: ${sanitizedError}`;
+    ErrorHandler.addError(message, {
+      code: "MIDDLEWARE_FAILED",
+      origin: "ApiHandler._handleRootApiInternal",
+      data: { namespace, actionKey, middleware: err.middleware || null, phase: err.phase || null, error: sanitizedError, requestId }
+    });
+    errorHandler.add(message, { namespace, actionKey, middleware: err.middleware || null, phase: err.phase || null }, 'middleware');
+    await this._safeLogWrite({ flag: this.logFlagError, action: "api.middleware_failed", message, critical: true, data: { namespace, actionKey, middleware: err.middleware || null, phase: err.phase || null, requestId, error: sanitizedError, at: requestTimestamp } });
+    return this._errorResponse(500, message, errorHandler.getAll(), 'MIDDLEWARE_FAILED', requestId);
+  }
+
+  _toApiResult(out, requestId, baseHeaders = {}, requestHeaders = {}) {
+    // Async iterators and Readables returned directly stream as NDJSON, or SSE when the client asks for it
+    if (ResponseStream.isStreamable(out) && !ApiResponse.isApiResponse(out)) {
+      const format = ResponseStream.formatFromAccept(this._getHeader(requestHeaders, 'accept'));
+      out = format === ResponseStream.STREAM_FORMATS.SSE ? ApiResponse.sse(out) : ApiResponse.ndjson(out);
+    }
+    
+    // Plain returns keep the original contract: 200 with the value as data
+    if (!ApiResponse.isApiResponse(out)) {
+      const response = { ok: true, status: 200, data: out !== undefined ? out : {}, requestId };
+      if (Object.keys(baseHeaders).length > 0) {
+        response.headers = baseHeaders;
+      }
+      return response;
+    }
+    
+    const streamHeaders = out.streamFormat ? this._streamHeaders(out.streamFormat) : {};
+    const headers = { ...baseHeaders, ...streamHeaders, ...out.headers };
+    if (out.cookies.length > 0) {
+      headers['Set-Cookie'] = out.cookies.map(c => ApiResponse.serializeCookie(c.name, c.value, c.options));
+    }
+    
+    // Middleware, abort and onError responses skip handler validation; a bad header would only throw in the transport
+    const headerError = ApiResponse.validateHeaders(headers);
+    if (headerError) {
+      if (ApiResponse.isStream(out.body) && typeof out.body.destroy === 'function') out.body.destroy();
+      const message = `Invalid response header: ${headerError}`;
+      ErrorHandler.addError(message, {
+        code: "INVALID_RESPONSE_HEADER",
+        origin: "ApiHandler._toApiResult",
+        data: { requestId }
+      });
+      this._safeLogWrite({ flag: this.logFlagError, action: "api.invalid_response_header", message, critical: false, data: { requestId, at: this.timestampFn() } });
+      return this._errorResponse(500, message, null, 'INVALID_RESPONSE_HEADER', requestId);
+    }
+    
+    const bodyType = out.bodyType;
+    const response = { ok: out.status < 400, status: out.status, data: bodyType === 'json' ? out.body : null, requestId };
+    // Non-JSON bodies bypass the envelope; adapters send them as-is with their content type
+    if (bodyType === 'text' || bodyType === 'binary' || bodyType === 'stream') {
+      response.body = out.streamFormat ? this._encodeItemStream(out.body, out.streamFormat, requestId) : out.body;
+      response.contentType = out.contentType;
+    }
+    if (Object.keys(headers).length > 0) {
+      response.headers = headers;
+    }
+    return response;
+  }
+
+  _streamHeaders(format) {
+    // Proxies must not buffer or cache a response that is delivered over time
+    const headers = { 'Cache-Control': 'no-cache' };
+    if (format === ResponseStream.STREAM_FORMATS.SSE) {
+      headers['X-Accel-Buffering'] = 'no';
+    }
+    return headers;
+  }
+
+  _encodeItemStream(source, format, requestId) {
+    // The handler timeout bounds the wait for each item, not the whole stream
+    return ResponseStream.toReadable(source, {
+      format,
+      idleTimeout: this.handlerTimeout,
+      requestId,
+      onError: (err, code) => {
+        const sanitizedError = this._sanitizeErrorMessage(err);
+        const message = `Response stream failed: ${sanitizedError}`;
+        ErrorHandler.addError(message, {
+          code,
+          origin: "ApiHandler._encodeItemStream",
+          data: { format, error: sanitizedError, requestId }
+        });
+        this._safeLogWrite({ flag: this.logFlagError, action: "api.stream_failed", message, critical: false, data: { format, code, requestId, error: sanitizedError, at: this.timestampFn() } });
+      }
+    });
+  }
+
+  _toAbortResult(abortResponse, requestId) {
+    // Free-form abort responses pass through untouched for backwards compatibility
+    return ApiResponse.isApiResponse(abortResponse) ? this._toApiResult(abortResponse, requestId) : abortResponse;
   }
 
   _resolveRouteFromArgs(namespace, actionKey, version = null) {
@@ -467,6 +1466,154 @@ class ApiHandler {
     return result;
   }
 
+  _normalizePath(path) {
+    // Drop query string/fragment, collapse duplicate slashes and strip trailing slash
+    let p = String(path || "").split(/[?#]/)[0].trim();
+    p = ("/" + p).replace(/\/{2,}/g, "/");
+    if (p.length > 1 && p.endsWith("/")) {
+      p = p.slice(0, -1);
+    }
+    return p;
+  }
+
+  _compilePathPattern(pattern) {
+    const normalized = this._normalizePath(pattern);
+    const paramNames = [];
+    const segments = normalized === "/" ? [] : normalized.slice(1).split("/");
+    let staticSegments = 0;
+    
+    const source = segments.map((segment) => {
+      if (segment.startsWith(":") && segment.length > 1) {
+        paramNames.push(segment.slice(1));
+        return "/([^/]+)";
+      }
+      staticSegments++;
+      return "/" + segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    
+    return {
+      pattern: normalized,
+      regex: new RegExp(`^${source || "/"}$`),
+      paramNames,
+      segmentCount: segments.length,
+      staticSegments
+    };
+  }
+
+  _buildPathTable(routeConfig = this.routeConfig) {
+    const table = [];
+    const containers = Array.isArray(routeConfig?.apiHandler) ? routeConfig.apiHandler : [];
+    
+    for (const group of containers) {
+      if (!group || typeof group !== "object") continue;
+      for (const [namespace, ns] of Object.entries(group)) {
+        if (!ns || typeof ns !== "object") continue;
+        for (const [actionKey, entry] of Object.entries(ns)) {
+          if (!entry || typeof entry !== "object" || !entry.path) continue;
+          // An entry may expose several patterns (e.g. legacy and current paths)
+          const patterns = Array.isArray(entry.path) ? entry.path : [entry.path];
+          for (const pattern of patterns) {
+            if (typeof pattern !== "string" || !pattern.trim()) {
+              ErrorHandler.addError(`Invalid path pattern for ${namespace}/${actionKey}`, {
+                code: "INVALID_PATH_PATTERN",
+                origin: "ApiHandler._buildPathTable",
+                data: { namespace, actionKey, pattern }
+              });
+              continue;
+            }
+            table.push({ namespace, actionKey, entry, ...this._compilePathPattern(pattern) });
+          }
+        }
+      }
+    }
+    
+    // Most specific patterns first: more static segments win over params
+    table.sort((a, b) => (b.staticSegments - a.staticSegments) || (b.segmentCount - a.segmentCount));
+    return table;
+  }
+
+  _resolveRouteFromPath(path, method = null) {
+    // Compile lazily once; patterns are static for the lifetime of routeConfig
+    if (!this._pathTable) {
+      this._pathTable = this._buildPathTable();
+    }
+    
+    // Several entries may share one path with different methods (GET /users vs POST /users)
+    let fallback = null;
+    const pathMethods = new Set();
+    
+    for (const route of this._pathTable) {
+      const match = route.regex.exec(path);
+      if (!match) continue;
+      
+      const params = {};
+      route.paramNames.forEach((name, i) => {
+        let value = match[i + 1];
+        try {
+          value = decodeURIComponent(value);
+        } catch {
+          // Keep raw segment if it is not valid percent-encoding
+        }
+        params[name] = value;
+      });
+      const resolved = { namespace: route.namespace, actionKey: route.actionKey, entry: route.entry, pattern: route.pattern, params };
+      
+      const routeMethods = this._getRouteMethods(route.entry);
+      if (!method || !routeMethods || routeMethods.includes(method)) {
+        return resolved;
+      }
+      if (!fallback) fallback = resolved;
+      if (route.pattern === fallback.pattern) {
+        routeMethods.forEach(m => pathMethods.add(m));
+      }
+    }
+    
+    // No entry accepts this method: return the first match so the caller answers 405 with the path's Allow list
+    if (fallback) {
+      fallback.allowedMethods = [...pathMethods];
+    }
+    return fallback;
+  }
+
+  _getRouteMethods(entry) {
+    if (!entry || !Array.isArray(entry.methods) || entry.methods.length === 0) return null;
+    
+    const methods = entry.methods.map(m => String(m).toUpperCase());
+    // HEAD is implied wherever GET is served (and HEAD is enabled globally)
+    if (methods.includes('GET') && !methods.includes('HEAD') && this.allowedMethods.includes('HEAD')) {
+      methods.push('HEAD');
+    }
+    return methods.filter(m => this.allowedMethods.includes(m));
+  }
+
+  _collectRouteEntries(routeConfig = this.routeConfig) {
+    // Flatten routeConfig into one record per namespace/action key (versioned keys like "list.v2" included)
+    const routes = [];
+    const containers = Array.isArray(routeConfig?.apiHandler) ? routeConfig.apiHandler : [];
+    
+    containers.forEach((group, groupIndex) => {
+      if (!group || typeof group !== "object") return;
+      for (const [namespace, ns] of Object.entries(group)) {
+        if (!ns || typeof ns !== "object") continue;
+        for (const [actionKey, entry] of Object.entries(ns)) {
+          if (!entry || typeof entry !== "object") continue;
+          const versionedKey = /^(.+)\.(v\d+(?:\.\d+)*)$/.exec(actionKey);
+          routes.push({
+            namespace,
+            actionKey,
+            action: versionedKey ? versionedKey[1] : actionKey,
+            version: versionedKey ? versionedKey[2] : (entry.version || null),
+            versions: Array.isArray(entry.versions) ? [...entry.versions] : [],
+            entry,
+            groupIndex
+          });
+        }
+      }
+    });
+    
+    return routes;
+  }
+
   _findNamespace(namespace) {
     const containers = Array.isArray(this.routeConfig?.apiHandler) ? this.routeConfig.apiHandler : [];
     
@@ -491,14 +1638,463 @@ class ApiHandler {
     // Strategy 2: Look for entry with version/versions property
     if (Object.prototype.hasOwnProperty.call(ns, actionKey)) {
       const entry = ns[actionKey];
-      if (entry.version === version || (Array.isArray(entry.versions) && entry.versions.includes(version))) {
+      if (entry && (entry.version === version || (Array.isArray(entry.versions) && entry.versions.includes(version)))) {
         return entry;
       }
     }
     
+    // Strategy 3: Semver-style range ("latest", "^2", "~2.1", "2.x", "2") picks the highest compatible version
+    const range = this._parseVersionRange(version);
+    if (!range) return null;
+    
+    let best = null;
+    for (const candidate of this._collectVersionCandidates(ns, actionKey)) {
+      if (!this._versionSatisfies(candidate.parsed, range)) continue;
+      if (!best || this._compareVersions(candidate.parsed, best.parsed) > 0) {
+        best = candidate;
+      }
+    }
+    
+    return best ? best.entry : null;
+  }
+
+  _collectVersionCandidates(ns, actionKey) {
+    const candidates = [];
+    const prefix = `${actionKey}.`;
+    
+    for (const [key, entry] of Object.entries(ns)) {
+      if (!entry || typeof entry !== "object") continue;
+      if (key.startsWith(prefix)) {
+        const parsed = this._parseVersion(key.slice(prefix.length));
+        if (parsed) candidates.push({ parsed, entry });
+      } else if (key === actionKey) {
+        const declared = [...(entry.version ? [entry.version] : []), ...(Array.isArray(entry.versions) ? entry.versions : [])];
+        for (const v of declared) {
+          const parsed = this._parseVersion(v);
+          if (parsed) candidates.push({ parsed, entry });
+        }
+      }
+    }
+    
+    return candidates;
+  }
+
+  _parseVersion(version) {
+    // "v2", "2", "2.1", "v2.1.3" -> [major, minor, patch]
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/i.exec(String(version || "").trim());
+    if (!match) return null;
+    return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)];
+  }
+
+  _parseVersionRange(range) {
+    const raw = String(range || "").trim().toLowerCase();
+    if (!raw) return null;
+    if (raw === "latest" || raw === "*" || raw === "x") {
+      return { min: [0, 0, 0], fixed: 0 };
+    }
+    
+    // "^2.1" locks major, "~2.1" locks major.minor; bare/wildcard forms lock what is given
+    const operator = raw[0] === "^" || raw[0] === "~" ? raw[0] : "";
+    const body = raw.slice(operator.length).replace(/^v/, "");
+    const parts = body.split(".");
+    if (parts.length === 0 || parts.length > 3) return null;
+    
+    const numbers = [];
+    for (const part of parts) {
+      if (part === "x" || part === "*") break;
+      if (!/^\d+$/.test(part)) return null;
+      numbers.push(Number(part));
+    }
+    if (numbers.length === 0) return null;
+    
+    const min = [numbers[0], numbers[1] || 0, numbers[2] || 0];
+    if (operator === "^") return { min, fixed: 1 };
+    if (operator === "~") return { min, fixed: Math.min(2, Math.max(1, numbers.length)) };
+    return { min, fixed: numbers.length };
+  }
+
+  _versionSatisfies(parsed, range) {
+    // The first `fixed` components must match exactly, and the version must not be below the minimum
+    for (let i = 0; i < range.fixed; i++) {
+      if (parsed[i] !== range.min[i]) return false;
+    }
+    return this._compareVersions(parsed, range.min) >= 0;
+  }
+
+  _compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  _getDefaultVersion(namespace) {
+    const defaults = this.defaultVersions || {};
+    if (Object.prototype.hasOwnProperty.call(defaults, namespace)) return String(defaults[namespace]);
+    if (Object.prototype.hasOwnProperty.call(defaults, '*')) return String(defaults['*']);
     return null;
   }
 
+  _getRouteLifecycle(entry, now) {
+    const parseDate = (value) => {
+      if (value === undefined || value === null || value === true || value === false) return null;
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    };
+    
+    // deprecated: true | date the deprecation took effect; sunset: date the route stops serving
+    const deprecatedAt = parseDate(entry.deprecated);
+    const sunset = parseDate(entry.sunset);
+    const deprecated = entry.deprecated === true || (deprecatedAt !== null && deprecatedAt.getTime() <= now) || sunset !== null;
+    if (!deprecated && !sunset) return null;
+    
+    return {
+      deprecated,
+      deprecatedAt,
+      sunset,
+      replacement: entry.replacement ? String(entry.replacement) : null,
+      isSunset: sunset !== null && sunset.getTime() <= now
+    };
+  }
+
+  _buildLifecycleHeaders(lifecycle) {
+    const headers = {};
+    if (lifecycle.deprecated) {
+      // RFC 9745: "@<epoch seconds>" when the deprecation date is known
+      headers['Deprecation'] = lifecycle.deprecatedAt ? `@${Math.floor(lifecycle.deprecatedAt.getTime() / 1000)}` : 'true';
+    }
+    if (lifecycle.sunset) {
+      // RFC 8594: HTTP-date
+      headers['Sunset'] = lifecycle.sunset.toUTCString();
+    }
+    if (lifecycle.replacement) {
+      headers['Link'] = `<${lifecycle.replacement}>; rel="successor-version"`;
+    }
+    return headers;
+  }
+
+  _describeCaller(headers, context) {
+    return {
+      ip: context?.ip || this._getHeader(headers, 'x-forwarded-for') || null,
+      userAgent: context?.userAgent || this._getHeader(headers, 'user-agent') || null,
+      principal: context?.auth?.id || context?.userId || null
+    };
+  }
+
+  /**
+   * Run the configured authenticators (optionally narrowed by entry.auth.authenticators) in order.
+   *
+   * @returns {Promise<object>} { principal } on success or when auth is optional, else { error, challenge }.
+   */
+  async _authenticate({ entry, method, path, query, body, headers, context, requestId, requestTimestamp }) {
+    const routeAuth = entry.auth && typeof entry.auth === 'object' ? entry.auth : {};
+    const names = Array.isArray(routeAuth.authenticators) ? routeAuth.authenticators : null;
+    const candidates = names ? this.authenticators.filter(a => names.includes(a.name)) : this.authenticators;
+    const challenge = [...new Set(candidates.map(a => a.scheme).filter(Boolean))].join(', ') || 'Bearer';
+    const request = { method, path, query, body, headers, context, requestId, timestamp: requestTimestamp };
+    
+    for (const authenticator of candidates) {
+      try {
+        const principal = await authenticator.authenticate(request);
+        if (principal) return { principal };
+      } catch (err) {
+        // Credentials were presented and rejected: do not fall through to other schemes
+        const reason = Authenticators.isAuthError(err) ? err.reason : 'AUTHENTICATOR_FAILED';
+        const message = Authenticators.isAuthError(err)
+          ? `Authentication failed: ${err.message}`
+          : `Authentication failed: ${this._sanitizeErrorMessage(err)}`;
+        return { error: { message, reason }, challenge };
+      }
+    }
+    
+    if (routeAuth.required === false) return { principal: null };
+    return { error: { message: 'Authentication required', reason: 'MISSING_CREDENTIALS' }, challenge };
+  }
+
+  /**
+   * Claim the request's Idempotency-Key or answer from its record.
+   *
+   * @returns {Promise<object|null>} Response to return (replay or idempotency error), or null to run the request.
+   */
+  async _beginIdempotentRequest({ entry, method, args, headers, context, namespace, actionKey, routeIdentifier, requestId, requestTimestamp, responseHeaders, errorHandler, requestState }) {
+    const key = this._getHeader(headers, Idempotency.DEFAULT_IDEMPOTENCY_CONFIG.HEADER);
+    const required = typeof entry.idempotency === 'object' && entry.idempotency.required === true;
+    
+    const reject = async (status, code, message, extraHeaders = {}) => {
+      this._debugLog(`❌ [ApiHandler] [${requestId}] ${message}`);
+      ErrorHandler.addError(message, {
+        code,
+        origin: "ApiHandler._beginIdempotentRequest",
+        data: { namespace, actionKey, requestId }
+      });
+      errorHandler.add(message, { namespace, actionKey }, 'idempotency');
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.idempotency_rejected", message, critical: false, data: { namespace, actionKey, code, requestId, at: requestTimestamp } });
+      return { ...this._errorResponse(status, message, errorHandler.getAll(), code, requestId), headers: extraHeaders };
+    };
+    
+    if (key === undefined || key === null) {
+      return required ? reject(400, 'IDEMPOTENCY_KEY_REQUIRED', `${routeIdentifier} requires an Idempotency-Key header`) : null;
+    }
+    const keyProblem = Idempotency.validateKey(key);
+    if (keyProblem) {
+      return reject(400, 'INVALID_IDEMPOTENCY_KEY', keyProblem);
+    }
+    
+    const storeKey = Idempotency.storeKey({ principal: context?.auth?.id, namespace, actionKey, key });
+    const fingerprint = Idempotency.fingerprint({ method, args });
+    let claim;
+    try {
+      claim = await this.idempotency.begin(storeKey, fingerprint, requestTimestamp);
+    } catch (err) {
+      // Fail closed: running a payment twice is worse than asking the client to retry
+      const sanitizedError = this._sanitizeErrorMessage(err);
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.idempotency_store_failed", message: `Idempotency store failed: ${sanitizedError}`, critical: true, data: { namespace, actionKey, requestId, error: sanitizedError, at: requestTimestamp } });
+      return reject(503, 'IDEMPOTENCY_STORE_UNAVAILABLE', 'Idempotency store unavailable; retry the request later', { 'Retry-After': '1' });
+    }
+    
+    switch (claim.outcome) {
+      case 'proceed':
+        requestState.idempotency = { storeKey, fingerprint };
+        return null;
+      case 'replay':
+        this._debugLog(`♻️ [ApiHandler] [${requestId}] Replaying stored result for Idempotency-Key`);
+        await this._safeLogWrite({ flag: this.logFlagOk, action: "api.idempotent_replay", message: `Replayed ${routeIdentifier}`, critical: false, data: { namespace, actionKey, requestId, at: requestTimestamp } });
+        return {
+          ...claim.result,
+          ...(claim.result.ok ? { requestId } : {}),
+          headers: { ...(claim.result.headers || {}), ...responseHeaders, 'Idempotent-Replayed': 'true' }
+        };
+      case 'mismatch':
+        return reject(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used with a different request payload');
+      default:
+        return reject(409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed', { 'Retry-After': '1' });
+    }
+  }
+
+  async _completeIdempotentRequest(requestState, result) {
+    const { storeKey, fingerprint } = requestState.idempotency;
+    try {
+      await this.idempotency.complete(storeKey, fingerprint, result, this.timestampFn());
+    } catch (err) {
+      const sanitizedError = this._sanitizeErrorMessage(err);
+      ErrorHandler.addError(`Failed to store idempotent result: ${sanitizedError}`, {
+        code: "IDEMPOTENCY_STORE_FAILED",
+        origin: "ApiHandler._completeIdempotentRequest",
+        data: { requestId: requestState.requestId, error: sanitizedError }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.idempotency_store_failed", message: `Failed to store idempotent result: ${sanitizedError}`, critical: true, data: { requestId: requestState.requestId, error: sanitizedError, at: this.timestampFn() } });
+    }
+  }
+
+  /**
+   * Normalize every route's rateLimit rules and cache policy, so a malformed one fails the
+   * constructor or reloadRouteConfig instead of a live request.
+   *
+   * @param {object} routeConfig - Route config being loaded.
+   *
+   * @returns {{ rateLimitRules: WeakMap, cachePolicies: WeakMap }} Normalized values keyed by entry.
+   */
+  _normalizeRoutePolicies(routeConfig) {
+    const rateLimitRules = new WeakMap();
+    const cachePolicies = new WeakMap();
+    for (const { namespace, actionKey, entry } of this._collectRouteEntries(routeConfig)) {
+      if (entry.rateLimit) rateLimitRules.set(entry, RateLimiter.normalizeRules(entry.rateLimit, `${namespace}/${actionKey}`));
+      if (entry.cache) cachePolicies.set(entry, ResponseCache.normalizePolicy(entry.cache, `${namespace}/${actionKey}`));
+    }
+    return { rateLimitRules, cachePolicies };
+  }
+
+  _getCachePolicy(entry, routeIdentifier) {
+    if (!entry.cache) return null;
+    // Entries added after loading (e.g. by mutating routeConfig) are normalized on first use
+    if (!this._routeCachePolicies.has(entry)) {
+      this._routeCachePolicies.set(entry, ResponseCache.normalizePolicy(entry.cache, routeIdentifier));
+    }
+    return this._routeCachePolicies.get(entry);
+  }
+
+  /**
+   * Serve a request from the response cache, or note where its result should be stored.
+   * Cache-Control: no-cache skips the lookup, no-store bypasses the cache entirely.
+   *
+   * @returns {Promise<object|null>} Cached response, or null to run the handlers.
+   */
+  async _lookupCachedResponse({ cachePolicy, method, namespace, actionKey, version, validated, extra, headers, context, routeIdentifier, requestId, requestTimestamp, responseHeaders, requestState }) {
+    const cacheControl = String(this._getHeader(headers, 'cache-control') || '').toLowerCase();
+    if (cacheControl.includes('no-store')) return null;
+    
+    const key = ResponseCache.key(cachePolicy, { namespace, actionKey, version, validated, extra, headers, principal: context?.auth?.id });
+    responseHeaders['X-Cache'] = 'MISS';
+    // HEAD is served from cache but never fills it: its handlers may have skipped building the body
+    requestState.cache = method === 'HEAD' ? null : {
+      key,
+      namespace,
+      actionKey,
+      ttlMs: cachePolicy.ttlMs,
+      tags: ResponseCache.resolveTags(cachePolicy, validated, context),
+      startedAt: requestTimestamp
+    };
+    if (cacheControl.includes('no-cache')) return null;
+    
+    let hit;
+    try {
+      hit = await this.responseCache.get(key, requestTimestamp);
+    } catch (err) {
+      // Fail open: the handlers can always produce the result themselves
+      await this._cacheStoreFailed(err, 'Response cache lookup failed', 'ApiHandler._lookupCachedResponse', { namespace, actionKey, requestId });
+      return null;
+    }
+    if (!hit) return null;
+    
+    // The entry is still fresh, so there is nothing to write back
+    requestState.cache = null;
+    this._debugLog(`⚡ [ApiHandler] [${requestId}] Serving ${routeIdentifier} from cache`);
+    await this._safeLogWrite({ flag: this.logFlagOk, action: "api.cache_hit", message: `Cache hit: ${routeIdentifier}`, critical: false, data: { namespace, actionKey, requestId, at: requestTimestamp } });
+    const age = Math.max(0, Math.floor((requestTimestamp - hit.cachedAt) / 1000));
+    return {
+      ...hit.result,
+      requestId,
+      headers: { ...(hit.result.headers || {}), ...responseHeaders, 'X-Cache': 'HIT', Age: String(age) }
+    };
+  }
+
+  async _storeCachedResponse(requestState, result) {
+    const { key, startedAt, ...meta } = requestState.cache;
+    try {
+      await this.responseCache.set(key, result, meta, startedAt);
+    } catch (err) {
+      await this._cacheStoreFailed(err, 'Failed to cache result', 'ApiHandler._storeCachedResponse', { namespace: meta.namespace, actionKey: meta.actionKey, requestId: requestState.requestId });
+    }
+  }
+
+  async _cacheStoreFailed(err, prefix, origin, { namespace = null, actionKey = null, requestId = null }) {
+    const sanitizedError = this._sanitizeErrorMessage(err);
+    const message = `${prefix}: ${sanitizedError}`;
+    ErrorHandler.addError(message, {
+      code: "RESPONSE_CACHE_FAILED",
+      origin,
+      data: { namespace, actionKey, error: sanitizedError, requestId }
+    });
+    await this._safeLogWrite({ flag: this.logFlagError, action: "api.response_cache_failed", message, critical: false, data: { namespace, actionKey, requestId, error: sanitizedError, at: this.timestampFn() } });
+  }
+
+  _getRateLimitRules(entry, namespace, actionKey) {
+    if (entry.rateLimit === false) return [];
+    if (!entry.rateLimit) return this.rateLimitRules;
+    // Entries added after loading (e.g. by mutating routeConfig) are normalized on first use
+    if (!this._routeRateLimitRules.has(entry)) {
+      this._routeRateLimitRules.set(entry, RateLimiter.normalizeRules(entry.rateLimit, `${namespace}/${actionKey}`));
+    }
+    return [...this.rateLimitRules, ...this._routeRateLimitRules.get(entry)];
+  }
+
+  /**
+   * Compare entry.auth requirements against the principal. The principal needs at least one of
+   * `roles` and every one of `scopes`.
+   *
+   * @returns {object|null} { missingRoles, missingScopes } when access is denied, else null.
+   */
+  _getMissingPermissions(routeAuth, principal) {
+    if (!routeAuth || typeof routeAuth !== 'object') return null;
+    const roles = Array.isArray(routeAuth.roles) ? routeAuth.roles : [];
+    const scopes = Array.isArray(routeAuth.scopes) ? routeAuth.scopes : [];
+    if (roles.length === 0 && scopes.length === 0) return null;
+    
+    const heldRoles = principal && Array.isArray(principal.roles) ? principal.roles : [];
+    const heldScopes = principal && Array.isArray(principal.scopes) ? principal.scopes : [];
+    const missingRoles = roles.length > 0 && !roles.some(role => heldRoles.includes(role)) ? [...roles] : [];
+    const missingScopes = scopes.filter(scope => !heldScopes.includes(scope));
+    if (principal && missingRoles.length === 0 && missingScopes.length === 0) return null;
+    return { missingRoles, missingScopes };
+  }
+
+  async _handleOptionsRequest({ path, query, headers, requestId, requestTimestamp }) {
+    const origin = this._getHeader(headers, 'origin');
+    const requestMethod = String(this._getHeader(headers, 'access-control-request-method') || "").toUpperCase();
+    const isPreflight = !!(origin && requestMethod);
+    
+    // Plain OPTIONS stays with the handlers when it was enabled explicitly
+    if (!isPreflight && this.allowedMethods.includes('OPTIONS')) return null;
+    
+    // Preflights never carry a body, so only the path or query can identify the route
+    let entry = null;
+    let routeMethods = null;
+    if (path) {
+      const pathMatch = this._resolveRouteFromPath(this._normalizePath(path), requestMethod || null);
+      if (pathMatch) {
+        entry = pathMatch.entry;
+        routeMethods = pathMatch.allowedMethods || this._getRouteMethods(entry);
+      }
+    } else if (query && query.namespace && query.action) {
+      const version = this.enableVersioning ? String(query.version || query.v || this._getHeader(headers, 'accept-version') || "").trim() : "";
+      const resolved = this._resolveRouteFromArgs(String(query.namespace).trim(), String(query.action).trim(), version || null)
+        || (version ? this._resolveRouteFromArgs(String(query.namespace).trim(), String(query.action).trim(), null) : null);
+      if (resolved) {
+        entry = resolved.entry;
+        routeMethods = this._getRouteMethods(entry);
+      }
+    }
+    
+    const policy = CorsPolicy.resolve(this.cors, entry ? entry.cors : undefined);
+    if (!policy) return null;
+    routeMethods = routeMethods || this.allowedMethods.filter(m => m !== 'OPTIONS');
+    
+    if (!isPreflight) {
+      return { ok: true, status: CorsPolicy.DEFAULT_CORS_CONFIG.PREFLIGHT_STATUS, data: null, requestId, headers: { Allow: [...routeMethods, 'OPTIONS'].join(', ') } };
+    }
+    
+    const outcome = CorsPolicy.preflight(policy, {
+      origin,
+      requestMethod,
+      requestHeaders: this._getHeader(headers, 'access-control-request-headers'),
+      routeMethods
+    });
+    if (!outcome.allowed) {
+      const message = `CORS preflight rejected: ${outcome.reason}`;
+      this._debugLog(`❌ [ApiHandler] [${requestId}] ${message}`);
+      ErrorHandler.addError(message, {
+        code: "CORS_PREFLIGHT_REJECTED",
+        origin: "ApiHandler._handleOptionsRequest",
+        data: { origin, requestMethod, path, requestId }
+      });
+      await this._safeLogWrite({ flag: this.logFlagError, action: "api.cors_preflight_rejected", message, critical: false, data: { origin, requestMethod, path, requestId, at: requestTimestamp } });
+      return { ...this._errorResponse(403, message, null, 'CORS_PREFLIGHT_REJECTED', requestId), headers: outcome.headers };
+    }
+    
+    this._debugLog(`✅ [ApiHandler] [${requestId}] CORS preflight accepted for ${origin} (${requestMethod})`);
+    return { ok: true, status: CorsPolicy.DEFAULT_CORS_CONFIG.PREFLIGHT_STATUS, data: null, requestId, headers: outcome.headers };
+  }
+
+  _applyCorsHeaders(result, headers, requestState) {
+    const origin = this._getHeader(headers, 'origin');
+    if (!origin || requestState.preflight || !result || typeof result !== 'object') return result;
+    
+    const entry = requestState.entry;
+    const policy = CorsPolicy.resolve(this.cors, entry ? entry.cors : undefined);
+    if (!policy) return result;
+    
+    const corsHeaders = CorsPolicy.responseHeaders(policy, origin);
+    if (Object.keys(corsHeaders).length === 0) return result;
+    
+    const merged = { ...(result.headers || {}), ...corsHeaders };
+    if (result.headers && result.headers.Vary && corsHeaders.Vary) {
+      merged.Vary = [...new Set(`${result.headers.Vary}, ${corsHeaders.Vary}`.split(',').map(v => v.trim()))].join(', ');
+    }
+    return { ...result, headers: merged };
+  }
+
+  _getHeader(headers, name) {
+    if (!headers || typeof headers !== "object") return undefined;
+    const target = String(name).toLowerCase();
+    for (const key of Object.keys(headers)) {
+      if (key.toLowerCase() === target) {
+        const value = headers[key];
+        return Array.isArray(value) ? value.join(", ") : value;
+      }
+    }
+    return undefined;
+  }
+
   _resolveStandardEntry(ns, actionKey) {
     return (ns && Object.prototype.hasOwnProperty.call(ns, actionKey)) ? ns[actionKey] : null;
   }
@@ -510,7 +2106,7 @@ class ApiHandler {
     }
     
     const schema = {};
-    const validTypes = ['int', 'integer', 'float', 'numeric', 'bool', 'boolean', 'string', 'text', 'array', 'iterable', 'email', 'url', 'html', 'object'];
+    const validTypes = [...BUILTIN_PARAM_TYPES, ...this.plugins.paramTypes.keys()];
     
     for (const def of paramDefs) {
       // Validate each param definition structure
@@ -545,6 +2141,9 @@ class ApiHandler {
         throw new TypeError(`Invalid param type "${type}" for "${name}". Must be one of: ${validTypes.join(', ')}`);
       }
       
+      // File params are checked by _validateFileParams against the uploaded files, plugin types by _validateCustomParams
+      if (type === 'file' || this.plugins.paramTypes.has(type)) continue;
+      
       // Apply type coercion to incoming value
       let coercedValue = incoming[name];
       
@@ -562,6 +2161,75 @@ class ApiHandler {
     return schema;
   }
 
+  _validateFileParams(paramDefs = [], files = null) {
+    const uploaded = Array.isArray(files) ? files : [];
+    const values = {};
+    
+    for (const def of Array.isArray(paramDefs) ? paramDefs : []) {
+      if (!def || typeof def !== "object" || String(def.type || "").trim().toLowerCase() !== 'file') continue;
+      
+      const name = String(def.name || "").trim();
+      const matching = uploaded.filter(file => file.fieldName === name);
+      const maxCount = Number.isInteger(def.maxCount) && def.maxCount > 0 ? def.maxCount : 1;
+      
+      if (def.required && matching.length === 0) {
+        throw new TypeError(`Missing required file "${name}"`);
+      }
+      if (matching.length > maxCount) {
+        throw new TypeError(`Too many files for "${name}": ${matching.length} uploaded, at most ${maxCount} allowed`);
+      }
+      for (const file of matching) {
+        if (Number.isFinite(def.maxSize) && file.size > def.maxSize) {
+          throw new TypeError(`File "${file.filename}" for "${name}" is ${file.size} bytes; at most ${def.maxSize} allowed`);
+        }
+        if (Array.isArray(def.mimeTypes) && def.mimeTypes.length > 0 && !this._mimeTypeAllowed(file.mimeType, def.mimeTypes)) {
+          throw new TypeError(`File "${file.filename}" for "${name}" has type ${file.mimeType}; allowed: ${def.mimeTypes.join(', ')}`);
+        }
+      }
+      
+      // maxCount > 1 always yields an array so handlers need not branch on count
+      values[name] = maxCount > 1 ? matching : (matching[0] || null);
+    }
+    return values;
+  }
+
+  async _validateCustomParams(paramDefs = [], incoming = {}) {
+    const values = {};
+    for (const def of Array.isArray(paramDefs) ? paramDefs : []) {
+      if (!def || typeof def !== "object") continue;
+      const paramType = this.plugins.paramTypes.get(String(def.type || "").trim().toLowerCase());
+      if (!paramType) continue;
+      
+      const name = String(def.name || "").trim();
+      let value = incoming[name];
+      if ((value === undefined || value === null) && def.default !== undefined) {
+        value = def.default;
+      }
+      if (value === undefined || value === null) {
+        if (def.required) {
+          throw new TypeError(`Missing required parameter "${name}"`);
+        }
+        values[name] = null;
+        continue;
+      }
+      try {
+        values[name] = await paramType.validate(value, def);
+      } catch (err) {
+        throw new TypeError(`Invalid value for "${name}" (${def.type}): ${err?.message || err}`);
+      }
+    }
+    return values;
+  }
+
+  _mimeTypeAllowed(mimeType, allowed) {
+    const actual = String(mimeType || "").toLowerCase();
+    return allowed.some((pattern) => {
+      const expected = String(pattern).trim().toLowerCase();
+      // 'image/*' accepts any subtype
+      return expected.endsWith('/*') ? actual.startsWith(expected.slice(0, -1)) : actual === expected;
+    });
+  }
+
   _sanitizeExtraArgs(paramDefs = [], incoming = {}, validated = {}) {
     // Use cached Set with stable string keys (Issue #15)
     let allowed;
@@ -605,7 +2273,7 @@ class ApiHandler {
     return extra;
   }
 
-  _collectIncomingArgs(method = "POST", query = {}, body = {}) {
+  _collectIncomingArgs(method = "POST", query = {}, body = {}, source = null) {
     const m = String(method || "").toUpperCase();
     const q = query && typeof query === "object" ? query : {};
     const b = body && typeof body === "object" ? body : {};
@@ -614,6 +2282,11 @@ class ApiHandler {
     const safeQuery = this.safeUtils.sanitizeDeep(q);
     const safeBody = this.safeUtils.sanitizeDeep(b);
     
+    // Per-route override (entry.argsFrom): 'query', 'body' or 'both' (body wins on conflicts)
+    if (source === "query") return safeQuery;
+    if (source === "body") return safeBody;
+    if (source === "both") return { ...safeQuery, ...safeBody };
+    
     // HEAD behaves like GET - query params only
     if (m === "GET" || m === "HEAD") return safeQuery;
     if (m === "POST" || m === "PUT" || m === "PATCH" || m === "DELETE") return { ...safeQuery, ...safeBody };
@@ -714,6 +2387,18 @@ class ApiHandler {
       return null; // Allow null/undefined returns
     }
     
+    // Item streams are produced lazily; there is nothing to walk yet
+    if (ResponseStream.isStreamable(response)) {
+      return null;
+    }
+    
+    // Explicit response objects validate themselves; only JSON bodies need the circular check
+    if (ApiResponse.isApiResponse(response)) {
+      const responseError = response.validate();
+      if (responseError) return responseError;
+      return response.bodyType === 'json' && this._hasCircularReference(response.body) ? 'Response contains circular references' : null;
+    }
+    
     // If it's an abort response, validate structure
     if (typeof response === 'object' && response.abort === true) {
       if (!response.response) {
@@ -759,6 +2444,10 @@ class ApiHandler {
         return obj;
       }
       
+      // Summarize raw bodies instead of walking every byte or stream internals
+      if (Buffer.isBuffer(obj)) return `[Buffer ${obj.length} bytes]`;
+      if (ApiResponse.isStream(obj) || ResponseStream.isStreamable(obj)) return '[Stream]';
+      
       if (Array.isArray(obj)) {
         return obj.map(item => sanitize(item, depth + 1));
       }
@@ -904,7 +2593,7 @@ class ApiHandler {
           this._debugLog(`🛑 [ApiHandler] Handler ${i + 1} requested abort, short-circuiting pipeline`);
           const sanitizedResponse = this._sanitizeForLogging(out.response);
           this._debugLog('🛑 [ApiHandler] Abort response:', sanitizedResponse);
-          return { ...out.response, _isErrorResponse: true };
+          return { ...this._toAbortResult(out.response, basePipelineInput.context.requestId), _isErrorResponse: true };
         }
         if (typeof out !== "undefined") {
           lastNonUndefined = out;
@@ -924,7 +2613,7 @@ class ApiHandler {
         });
         errorHandler.add(message, { namespace, actionKey, handlerIndex: i, handlerName: fn.name || 'anonymous', duration: handlerDuration }, 'handler_execution');
         await this._safeLogWrite({ flag: this.logFlagError, action: "api.handler_exception", message, critical: true, data: { namespace, actionKey, handlerIndex: i, error: sanitizedError, duration: handlerDuration, at: requestTimestamp } });
-        return { ...this._errorResponse(500, message, errorHandler.getAll(), 'HANDLER_EXCEPTION', requestId), _isErrorResponse: true };
+        return { ...this._errorResponse(500, message, errorHandler.getAll(), 'HANDLER_EXCEPTION', basePipelineInput.context.requestId), _isErrorResponse: true };
       }
     }
     
@@ -969,7 +2658,7 @@ class ApiHandler {
       });
       errorHandler.add(message, { namespace, actionKey, handlerIndex: failedHandler.index }, 'handler_execution');
       await this._safeLogWrite({ flag: this.logFlagError, action: "api.handler_exception", message, critical: true, data: { namespace, actionKey, handlerIndex: failedHandler.index, error: failedHandler.error, at: requestTimestamp } });
-      return { ...this._errorResponse(500, message, errorHandler.getAll(), 'HANDLER_EXCEPTION', requestId), _isErrorResponse: true };
+      return { ...this._errorResponse(500, message, errorHandler.getAll(), 'HANDLER_EXCEPTION', basePipelineInput.context.requestId), _isErrorResponse: true };
     }
     
     // Return last non-undefined result
@@ -1054,6 +2743,10 @@ class ApiHandler {
     return obj;
   }
 
+  _createRequestId(prefix, timestamp) {
+    return `${prefix}_${timestamp}_${crypto.randomBytes(DEFAULT_CONFIG.REQUEST_ID_BYTES).toString('hex')}`;
+  }
+
   _errorResponse(status, message, details = null, code = null, requestId = null) {
     // Standardized error format (Issue #16)
     return {
@@ -1070,4 +2763,13 @@ class ApiHandler {
   }
 }
 
+// Handlers can reach the response builder without a separate require
+ApiHandler.ApiResponse = ApiResponse;
+ApiHandler.Authenticators = Authenticators;
+ApiHandler.BUILTIN_PARAM_TYPES = BUILTIN_PARAM_TYPES;
+ApiHandler.RateLimiter = RateLimiter;
+ApiHandler.Idempotency = Idempotency;
+ApiHandler.ResponseCache = ResponseCache;
+ApiHandler.ConditionalRequest = ConditionalRequest;
+
 module.exports = ApiHandler;
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * ApiHandler Route Lifecycle Test Suite
+ *
+ * Tests for route deprecation, sunset dates and replacement hints
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+// Fixed clock: 2026-06-01T00:00:00Z
+const NOW = Date.UTC(2026, 5, 1);
+
+const lifecycleConfig = {
+  apiHandler: [
+    {
+      reports: {
+        legacy: {
+          params: [],
+          deprecated: '2026-01-01T00:00:00Z',
+          sunset: '2026-12-31T00:00:00Z',
+          replacement: '/reports/v2/summary'
+        },
+        flagged: { params: [], deprecated: true },
+        retired: { params: [], sunset: '2026-03-01T00:00:00Z', replacement: 'reports/current' },
+        upcoming: { params: [], deprecated: '2027-01-01T00:00:00Z' },
+        current: { params: [] }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig: lifecycleConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  timestampFn: () => NOW,
+  ...options
+});
+
+const call = (apiHandler, action, extra = {}) => apiHandler.handleRootApi({
+  method: 'GET',
+  query: { namespace: 'reports', action },
+  headers: { 'user-agent': 'report-client/1.0' },
+  context: { ip: '9.9.9.9' },
+  ...extra
+});
+
+describe('ApiHandler Route Lifecycle', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [() => ({ rows: [] })]
+    }));
+  });
+
+  describe('Deprecated routes', () => {
+    test('should add Deprecation, Sunset and Link headers', async () => {
+      const result = await call(createHandler(), 'legacy');
+
+      expect(result.ok).toBe(true);
+      expect(result.headers).toEqual({
+        Deprecation: `@${Date.UTC(2026, 0, 1) / 1000}`,
+        Sunset: 'Thu, 31 Dec 2026 00:00:00 GMT',
+        Link: '</reports/v2/summary>; rel="successor-version"',
+        ETag: expect.any(String)
+      });
+    });
+
+    test('should use "true" when no deprecation date is given', async () => {
+      const result = await call(createHandler(), 'flagged');
+
+      expect(result.headers).toEqual({ Deprecation: 'true', ETag: expect.any(String) });
+    });
+
+    test('should log deprecated usage with caller info', async () => {
+      await call(createHandler(), 'legacy');
+
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'api.deprecated_route_used',
+        data: expect.objectContaining({
+          namespace: 'reports',
+          actionKey: 'legacy',
+          replacement: '/reports/v2/summary',
+          caller: { ip: '9.9.9.9', userAgent: 'report-client/1.0', principal: null }
+        })
+      }));
+    });
+
+    test('should not flag routes whose deprecation date is in the future', async () => {
+      const result = await call(createHandler(), 'upcoming');
+
+      expect(result.headers).toEqual({ ETag: expect.any(String) });
+      expect(mockLogger.writeLog).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'api.deprecated_route_used' }));
+    });
+
+    test('should keep lifecycle headers on validation and handler errors', async () => {
+      const apiHandler = createHandler();
+      mockSafeUtils.sanitizeValidate.mockImplementationOnce(() => { throw new Error('Missing required parameter: year'); });
+
+      const invalid = await call(apiHandler, 'legacy');
+      mockAutoLoader.ensureRouteDependencies.mockImplementationOnce(() => ({ handlerFns: [() => { throw new Error('boom'); }] }));
+      const failed = await call(apiHandler, 'legacy');
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.headers).toEqual(expect.objectContaining({ Deprecation: `@${Date.UTC(2026, 0, 1) / 1000}`, Sunset: 'Thu, 31 Dec 2026 00:00:00 GMT' }));
+      expect(failed.status).toBe(500);
+      expect(failed.headers.Deprecation).toBe(`@${Date.UTC(2026, 0, 1) / 1000}`);
+    });
+
+    test('should leave regular routes untouched', async () => {
+      const result = await call(createHandler(), 'current');
+
+      expect(result).toEqual({ ok: true, status: 200, data: { rows: [] }, requestId: expect.any(String), headers: { ETag: expect.any(String) } });
+    });
+  });
+
+  describe('Sunset routes', () => {
+    test('should return 410 Gone after the sunset date without running handlers', async () => {
+      const result = await call(createHandler(), 'retired');
+
+      expect(result.ok).toBe(false);
+      expect(result.status).toBe(410);
+      expect(result.error.code).toBe('ROUTE_SUNSET');
+      expect(result.error.message).toMatch(/use reports\/current instead/);
+      expect(result.headers.Sunset).toBe('Sun, 01 Mar 2026 00:00:00 GMT');
+      expect(mockAutoLoader.ensureRouteDependencies).not.toHaveBeenCalled();
+    });
+
+    test('should keep serving before the sunset date', async () => {
+      const apiHandler = createHandler({ timestampFn: () => Date.UTC(2026, 1, 1) });
+
+      const result = await call(apiHandler, 'retired');
+
+      expect(result.ok).toBe(true);
+      expect(result.headers.Deprecation).toBe('true');
+    });
+  });
+
+  describe('Transport headers', () => {
+    test('should send lifecycle headers on the HTTP response, not in the body', async () => {
+      const result = await call(createHandler(), 'legacy');
+
+      const response = HttpAdapter.toHttpResponse(result);
+
+      expect(response.headers.Sunset).toBe('Thu, 31 Dec 2026 00:00:00 GMT');
+      expect(JSON.parse(response.body).headers).toBeUndefined();
+    });
+  });
+});
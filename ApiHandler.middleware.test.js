@@ -0,0 +1,197 @@
+/**
+ * ApiHandler Middleware Test Suite
+ *
+ * Tests for the ordered preRouting / postValidation / postHandler / onError middleware chain
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const calls = [];
+const tracer = (name) => ({
+  name,
+  preRouting: (state) => { calls.push(`${name}.preRouting`); },
+  postValidation: (state) => { calls.push(`${name}.postValidation`); },
+  postHandler: (state, result) => { calls.push(`${name}.postHandler`); },
+  onError: (state, result) => { calls.push(`${name}.onError`); }
+});
+
+const routeMiddleware = tracer('route');
+
+const routeConfig = {
+  apiHandler: [
+    {
+      items: {
+        get: { path: '/items/:id', methods: ['GET'], params: [{ name: 'id', type: 'string' }], middleware: [routeMiddleware] },
+        list: { path: '/items', methods: ['GET'], params: [] }
+      }
+    }
+  ]
+};
+
+const createHandler = (middleware = [], options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  middleware,
+  ...options
+});
+
+describe('ApiHandler Middleware', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calls.length = 0;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => {
+        calls.push('handler');
+        return { id: input.validated.id || null, tenant: input.context.tenant || null };
+      }]
+    }));
+  });
+
+  test('should run phases in order, global before route middleware', async () => {
+    const result = await createHandler([tracer('first'), tracer('second')]).handleRootApi({ method: 'GET', path: '/items/42' });
+
+    expect(result.ok).toBe(true);
+    expect(calls).toEqual([
+      'first.preRouting', 'second.preRouting',
+      'first.postValidation', 'second.postValidation', 'route.postValidation',
+      'handler',
+      'first.postHandler', 'second.postHandler', 'route.postHandler'
+    ]);
+  });
+
+  test('should share one request-scoped state across phases', async () => {
+    const seen = [];
+    const middleware = {
+      name: 'state',
+      preRouting: (state) => { state.locals.started = true; seen.push(['pre', state.requestId, state.entry]); },
+      postValidation: (state) => { seen.push(['post', state.requestId, state.locals.started, state.namespace, state.validated.id]); }
+    };
+    const result = await createHandler([middleware]).handleRootApi({ method: 'GET', path: '/items/7' });
+
+    expect(seen[0]).toEqual(['pre', result.requestId, null]);
+    expect(seen[1]).toEqual(['post', result.requestId, true, 'items', '7']);
+  });
+
+  test('should let preRouting rewrite the request before routing', async () => {
+    const rewrite = {
+      preRouting: (state) => {
+        state.path = state.path.replace(/^\/v1/, '');
+        state.method = state.headers['x-http-method-override'] || state.method;
+      }
+    };
+    const result = await createHandler([rewrite]).handleRootApi({ method: 'POST', path: '/v1/items/9', headers: { 'x-http-method-override': 'GET' } });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.id).toBe('9');
+  });
+
+  test('should let postValidation enrich context and abort requests', async () => {
+    const tenant = { postValidation: (state) => { state.context = { ...state.context, tenant: 'acme' }; } };
+    const enriched = await createHandler([tenant]).handleRootApi({ method: 'GET', path: '/items' });
+
+    const blocker = { postValidation: () => ({ abort: true, response: ApiResponse.json({ reason: 'maintenance' }, { status: 503 }) }) };
+    const blocked = await createHandler([blocker]).handleRootApi({ method: 'GET', path: '/items' });
+
+    expect(enriched.data.tenant).toBe('acme');
+    expect(blocked.status).toBe(503);
+    expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let postHandler transform the result', async () => {
+    const envelope = {
+      postHandler: (state, result) => ({ ...result, data: { item: result.data, requestId: state.requestId } })
+    };
+    const wrapped = await createHandler([envelope]).handleRootApi({ method: 'GET', path: '/items/1' });
+
+    const asResponse = { postHandler: () => ApiResponse.text('replaced') };
+    const replaced = await createHandler([asResponse]).handleRootApi({ method: 'GET', path: '/items' });
+
+    expect(wrapped.data).toEqual({ item: { id: '1', tenant: null }, requestId: wrapped.requestId });
+    expect(replaced.body).toBe('replaced');
+  });
+
+  describe('onError', () => {
+    test('should run for routing failures with only global middleware', async () => {
+      const result = await createHandler([tracer('global')]).handleRootApi({ method: 'GET', path: '/missing' });
+
+      expect(result.status).toBe(404);
+      expect(calls).toEqual(['global.preRouting', 'global.onError']);
+    });
+
+    test('should replace the error response and include route middleware', async () => {
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [() => { throw new Error('boom'); }]
+      }));
+      const problemJson = {
+        name: 'problem',
+        onError: (state, result) => ApiResponse.json({ title: result.error.code, requestId: state.requestId }, { status: result.status })
+          .setHeader('Content-Type', 'application/problem+json')
+      };
+      const result = await createHandler([problemJson]).handleRootApi({ method: 'GET', path: '/items/1' });
+
+      expect(result.status).toBe(500);
+      expect(result.data).toEqual({ title: 'HANDLER_EXCEPTION', requestId: result.requestId });
+      expect(calls).toEqual(['route.postValidation', 'route.onError']);
+    });
+
+    test('should keep the original error when an onError hook throws', async () => {
+      const broken = { name: 'broken', onError: () => { throw new Error('oops'); } };
+      const result = await createHandler([broken]).handleRootApi({ method: 'GET', path: '/missing' });
+
+      expect(result.status).toBe(404);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.middleware_failed' }));
+    });
+  });
+
+  test('should return 500 MIDDLEWARE_FAILED naming the failing middleware and phase', async () => {
+    const failing = { name: 'audit', postHandler: () => { throw new Error('disk full'); } };
+    const result = await createHandler([failing]).handleRootApi({ method: 'GET', path: '/items' });
+
+    expect(result.status).toBe(500);
+    expect(result.error.code).toBe('MIDDLEWARE_FAILED');
+    expect(result.error.details[0].data).toEqual(expect.objectContaining({ middleware: 'audit', phase: 'postHandler' }));
+  });
+
+  test('should validate middleware on registration', () => {
+    const handler = createHandler();
+
+    expect(() => handler.addMiddleware({ name: 'empty' })).toThrow(/defines none of/);
+    expect(() => handler.addMiddleware({ preRouting: 'nope' })).toThrow(/must be a function/);
+    expect(handler.addMiddleware(tracer('ok'))).toBe(handler);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * ApiHandler Plugins Test Suite
+ *
+ * Tests for ApiHandler#use(): middleware, param types, lifecycle hooks, context decoration and ordering
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const OpenApiGenerator = require('./OpenApiGenerator.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        get: { path: '/users/:id', methods: ['GET'], params: [{ name: 'id', type: 'uuid', required: true }, { name: 'name', type: 'string' }] }
+      }
+    }
+  ]
+};
+
+const USER_ID = '6f1c2b9e-1d2a-4c3b-9f4e-0a1b2c3d4e5f';
+
+const uuidPlugin = {
+  name: 'uuid-type',
+  version: '1.0.0',
+  install(api) {
+    api.addParamType('uuid', {
+      validate: (value) => {
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value))) {
+          throw new Error('not a UUID');
+        }
+        return String(value).toLowerCase();
+      },
+      schema: { type: 'string', format: 'uuid' }
+    });
+  }
+};
+
+class Database {
+  find(id) { return { id, from: 'db' }; }
+}
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+describe('ApiHandler Plugins', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ id: input.validated.id, context: input.context })]
+    }));
+  });
+
+  describe('param types', () => {
+    test('should validate and coerce plugin param types', async () => {
+      const handler = createHandler().use(uuidPlugin);
+
+      const ok = await handler.handleRootApi({ method: 'GET', path: `/users/${USER_ID.toUpperCase()}` });
+      const bad = await handler.handleRootApi({ method: 'GET', path: '/users/42' });
+
+      expect(ok.data.id).toBe(USER_ID);
+      expect(bad.status).toBe(400);
+      expect(bad.error.message).toMatch(/Invalid value for "id" \(uuid\): not a UUID/);
+      expect(Object.keys(mockSafeUtils.sanitizeValidate.mock.calls[0][0])).toEqual(['name']);
+    });
+
+    test('should reject unknown types without the plugin and document plugin types', async () => {
+      const withoutPlugin = await createHandler().handleRootApi({ method: 'GET', path: `/users/${USER_ID}` });
+      const doc = OpenApiGenerator.generate(createHandler().use(uuidPlugin));
+
+      expect(withoutPlugin.status).toBe(400);
+      expect(doc.paths['/users/{id}'].get.parameters[0].schema).toEqual({ type: 'string', format: 'uuid' });
+    });
+
+    test('should not allow redefining built-in types', () => {
+      const plugin = { name: 'bad-type', install: (api) => api.addParamType('string', { validate: v => v }) };
+
+      expect(() => createHandler().use(plugin)).toThrow(/Param type "string" is already defined/);
+    });
+  });
+
+  describe('context decoration', () => {
+    test('should expose decorated values to handlers without cloning instances', async () => {
+      const db = new Database();
+      const handler = createHandler().use([uuidPlugin, {
+        name: 'db',
+        install(api) {
+          api.decorateContext('db', db);
+          api.decorateContext('tenant', (state) => state.headers['x-tenant'] || 'default');
+        }
+      }]);
+      const result = await handler.handleRootApi({ method: 'GET', path: `/users/${USER_ID}`, headers: { 'x-tenant': 'acme' } });
+
+      expect(result.data.context.db).toBe(db);
+      expect(result.data.context.db.find('x')).toEqual({ id: 'x', from: 'db' });
+      expect(result.data.context.tenant).toBe('acme');
+    });
+
+    test('should refuse reserved and already-owned keys', () => {
+      const first = { name: 'first', install: (api) => api.decorateContext('db', {}) };
+      const second = { name: 'second', install: (api) => api.decorateContext('db', {}) };
+      const reserved = { name: 'reserved', install: (api) => api.decorateContext('auth', {}) };
+      const handler = createHandler().use(first);
+
+      expect(() => handler.use(second)).toThrow(/already owned by plugin first/);
+      expect(() => handler.use(reserved)).toThrow(/already owned by the pipeline/);
+    });
+  });
+
+  describe('hooks and middleware', () => {
+    test('should call lifecycle hooks and run plugin middleware', async () => {
+      const events = [];
+      const metrics = {
+        name: 'metrics',
+        install(api) {
+          api.addHook('onRequest', (state) => events.push(['request', state.requestId]))
+            .addHook('onResponse', (state, result) => events.push(['response', state.requestId, result.status]))
+            .addMiddleware({ name: 'timing', postHandler: (state, result) => ({ ...result, headers: { 'X-Route': state.namespace } }) });
+        }
+      };
+      const result = await createHandler().use([metrics, uuidPlugin]).handleRootApi({ method: 'GET', path: `/users/${USER_ID}` });
+
+      expect(result.headers['X-Route']).toBe('users');
+      expect(events).toEqual([['request', result.requestId], ['response', result.requestId, 200]]);
+    });
+
+    test('should log failing hooks without affecting the response', async () => {
+      const flaky = { name: 'flaky', install: (api) => api.addHook('onResponse', () => { throw new Error('statsd down'); }) };
+      const result = await createHandler().use([uuidPlugin, flaky]).handleRootApi({ method: 'GET', path: `/users/${USER_ID}` });
+
+      expect(result.ok).toBe(true);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.plugin_hook_failed' }));
+    });
+
+    test('should notify onReload hooks with the reload summary', async () => {
+      const onReload = jest.fn();
+      const handler = createHandler().use({ name: 'watcher', install: (api) => api.addHook('onReload', onReload) });
+
+      await handler.reloadRouteConfig({ apiHandler: [{ users: {} }] });
+
+      expect(onReload).toHaveBeenCalledWith(expect.objectContaining({ removed: ['users/get'] }), { apiHandler: [{ users: {} }] });
+    });
+  });
+
+  describe('ordering and diagnostics', () => {
+    const base = { name: 'base', version: '2.1.0', install: (api) => api.addMiddleware({ name: 'base-mw', preRouting: () => {} }) };
+    const dependent = { name: 'dependent', dependencies: ['base'], install: (api) => api.addHook('onRequest', () => {}) };
+
+    test('should order a list by dependencies and list what each plugin registered', () => {
+      const handler = createHandler({ plugins: [dependent, base] });
+
+      expect(handler.listPlugins()).toEqual([
+        expect.objectContaining({ name: 'base', version: '2.1.0', dependencies: [], middleware: ['base-mw'], hooks: [] }),
+        expect.objectContaining({ name: 'dependent', version: null, dependencies: ['base'], middleware: [], hooks: ['onRequest'] })
+      ]);
+    });
+
+    test('should reject missing dependencies, cycles and duplicates', () => {
+      const a = { name: 'a', dependencies: ['b'], install: () => {} };
+      const b = { name: 'b', dependencies: ['a'], install: () => {} };
+
+      expect(() => createHandler().use(dependent)).toThrow(/depends on base, which is not installed/);
+      expect(() => createHandler().use([a, b])).toThrow(/dependency cycle: a -> b -> a/);
+      expect(() => createHandler().use(base).use(base)).toThrow(/already installed/);
+    });
+
+    test('should roll back everything a failing plugin registered', () => {
+      const broken = {
+        name: 'broken',
+        install(api) {
+          api.addMiddleware({ name: 'half', preRouting: () => {} }).addParamType('money', { validate: v => v });
+          throw new Error('missing config');
+        }
+      };
+      const handler = createHandler();
+
+      expect(() => handler.use(broken)).toThrow(/Plugin broken failed to install: missing config/);
+      expect(handler.middleware).toEqual([]);
+      expect(handler.plugins.paramTypes.has('money')).toBe(false);
+      expect(handler.listPlugins()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * ApiHandler Rate Limit Test Suite
+ *
+ * Tests for token bucket / sliding window limits, key extractors, stores and 429 responses
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const RateLimiter = require('./RateLimiter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      reports: {
+        list: { path: '/reports', methods: ['GET'], params: [] },
+        export: {
+          path: '/reports/export',
+          methods: ['POST'],
+          params: [],
+          rateLimit: { limit: 2, windowMs: 60000, algorithm: 'slidingWindow', key: ['principal', 'route'] }
+        },
+        health: { path: '/reports/health', methods: ['GET'], params: [], rateLimit: false }
+      }
+    }
+  ]
+};
+
+let clock;
+
+const createHandler = (rateLimit = { rules: [{ limit: 3, windowMs: 3000 }] }) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  timestampFn: () => clock,
+  rateLimit
+});
+
+const fromIp = (ip, path = '/reports') => ({ method: 'GET', path, headers: { 'x-forwarded-for': `${ip}, 10.0.0.1` } });
+
+describe('ApiHandler Rate Limiting', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = 1_700_000_000_000;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [() => ({ ok: 'done' })]
+    }));
+  });
+
+  describe('token bucket', () => {
+    test('should allow bursts up to the limit, then return 429 with Retry-After', async () => {
+      const handler = createHandler();
+      const results = [];
+      for (let i = 0; i < 4; i++) results.push(await handler.handleRootApi(fromIp('1.1.1.1')));
+
+      expect(results.map(r => r.status)).toEqual([200, 200, 200, 429]);
+      expect(results[0].headers).toEqual(expect.objectContaining({ 'RateLimit-Limit': '3', 'RateLimit-Remaining': '2' }));
+      expect(results[3].error.code).toBe('RATE_LIMITED');
+      expect(results[3].headers['Retry-After']).toBe('1');
+      expect(results[3].error.details[0].data).toEqual({ rule: 'global#0', limit: 3, remaining: 0, retryAfterSeconds: 1, resetSeconds: 3 });
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledTimes(3);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.rate_limited' }));
+    });
+
+    test('should refill tokens over time and keep clients apart', async () => {
+      const handler = createHandler();
+      for (let i = 0; i < 3; i++) await handler.handleRootApi(fromIp('1.1.1.1'));
+
+      const otherClient = await handler.handleRootApi(fromIp('2.2.2.2'));
+      clock += 1000;
+      const afterRefill = await handler.handleRootApi(fromIp('1.1.1.1'));
+
+      expect(otherClient.status).toBe(200);
+      expect(afterRefill.status).toBe(200);
+    });
+  });
+
+  test('should report quota headers on requests that fail later in the pipeline', async () => {
+    const handler = createHandler();
+    mockAutoLoader.ensureRouteDependencies.mockImplementationOnce(() => ({ handlerFns: [() => { throw new Error('boom'); }] }));
+
+    const failed = await handler.handleRootApi(fromIp('1.1.1.1'));
+
+    expect(failed.status).toBe(500);
+    expect(failed.headers).toEqual(expect.objectContaining({ 'RateLimit-Limit': '3', 'RateLimit-Remaining': '2' }));
+  });
+
+  describe('sliding window', () => {
+    test('should weight the previous window when counting', () => {
+      const rule = { limit: 10, windowMs: 1000 };
+      const previous = { windowStart: 0, current: 10, prior: 0 };
+
+      const early = RateLimiter.slidingWindow(previous, rule, 1050);
+      const later = RateLimiter.slidingWindow(previous, rule, 1950);
+
+      expect(early.outcome).toEqual(expect.objectContaining({ allowed: false, retryAfterMs: 50 }));
+      expect(later.outcome).toEqual(expect.objectContaining({ allowed: true, remaining: 8 }));
+    });
+
+    test('should apply route rules keyed by principal and route on top of global rules', async () => {
+      const handler = createHandler({ rules: [{ limit: 10, windowMs: 3000, key: 'principal' }] });
+      const asUser = (id) => ({ method: 'POST', path: '/reports/export', context: { auth: { id } } });
+
+      const statuses = [];
+      for (let i = 0; i < 3; i++) statuses.push((await handler.handleRootApi(asUser('alice'))).status);
+      const bob = await handler.handleRootApi(asUser('bob'));
+      const listing = await handler.handleRootApi({ method: 'GET', path: '/reports', context: { auth: { id: 'alice' } } });
+
+      expect(statuses).toEqual([200, 200, 429]);
+      expect(bob.status).toBe(200);
+      expect(listing.status).toBe(200);
+    });
+  });
+
+  test('should exempt routes with rateLimit: false', async () => {
+    const handler = createHandler();
+    const statuses = [];
+    for (let i = 0; i < 5; i++) statuses.push((await handler.handleRootApi(fromIp('1.1.1.1', '/reports/health'))).status);
+
+    expect(statuses).toEqual([200, 200, 200, 200, 200]);
+  });
+
+  describe('key extractors', () => {
+    test('should key by hashed API key, namespace or a custom function', () => {
+      const request = { headers: { 'X-Api-Key': 'secret-key' }, context: {}, namespace: 'reports', actionKey: 'list' };
+
+      expect(RateLimiter.resolveKey('apiKey', request)).toMatch(/^key=[0-9a-f]{32}$/);
+      expect(RateLimiter.resolveKey('apiKey', request)).not.toContain('secret-key');
+      expect(RateLimiter.resolveKey(['namespace', 'ip'], request)).toBe('ns=reports|ip=unknown');
+      expect(RateLimiter.resolveKey((req) => req.headers['X-Api-Key'] === 'secret-key' ? null : 'x', request)).toBeNull();
+    });
+
+    test('should reject unknown extractors and invalid rules', () => {
+      expect(() => RateLimiter.resolveKey('cookie', {})).toThrow(/Unknown rate limit key extractor/);
+      expect(() => RateLimiter.normalizeRules([{ limit: 0 }], 'global')).toThrow(/needs a positive limit/);
+      expect(() => RateLimiter.normalizeRules([{ limit: 1, algorithm: 'leaky' }], 'global')).toThrow(/Unknown rate limit algorithm/);
+    });
+
+    test('should reject invalid route rules when the config is loaded or reloaded', async () => {
+      const withRouteRule = (rateLimit) => ({ apiHandler: [{ reports: { ...routeConfig.apiHandler[0].reports, export: { ...routeConfig.apiHandler[0].reports.export, rateLimit } } }] });
+      const handler = createHandler();
+
+      expect(() => new ApiHandler({ routeConfig: withRouteRule({ limit: 2, algorithm: 'leaky' }), autoLoader: mockAutoLoader, logger: mockLogger }))
+        .toThrow(/Unknown rate limit algorithm/);
+      await expect(handler.reloadRouteConfig(withRouteRule({ limit: 0 }))).rejects.toThrow(/Route config reload rejected: Rate limit rule reports\/export#0 needs a positive limit/);
+      expect((await handler.handleRootApi(fromIp('1.1.1.1', '/reports'))).status).toBe(200);
+    });
+  });
+
+  describe('stores', () => {
+    test('should use a pluggable async store', async () => {
+      const data = new Map();
+      const store = {
+        get: jest.fn(async (key) => data.get(key) || null),
+        set: jest.fn(async (key, state) => { data.set(key, state); })
+      };
+      const handler = createHandler({ rules: [{ limit: 1, windowMs: 1000 }], store });
+
+      const first = await handler.handleRootApi(fromIp('3.3.3.3'));
+      const second = await handler.handleRootApi(fromIp('3.3.3.3'));
+
+      expect([first.status, second.status]).toEqual([200, 429]);
+      expect(store.set).toHaveBeenCalledWith('ratelimit:global#0:ip=3.3.3.3', expect.any(Object), 2000);
+    });
+
+    test('should prefer an atomic consume() when the store provides one', async () => {
+      const store = { consume: jest.fn(async () => ({ allowed: false, remaining: 0, resetMs: 5000, retryAfterMs: 4200 })) };
+      const result = await createHandler({ rules: [{ limit: 5 }], store }).handleRootApi(fromIp('4.4.4.4'));
+
+      expect(result.headers['Retry-After']).toBe('5');
+      expect(store.consume).toHaveBeenCalledWith('ratelimit:global#0:ip=4.4.4.4', expect.objectContaining({ limit: 5, windowMs: 60000 }), clock);
+    });
+
+    test('should fail open when the store errors', async () => {
+      const store = { get: async () => { throw new Error('redis down'); }, set: async () => {} };
+      const result = await createHandler({ rules: [{ limit: 1 }], store }).handleRootApi(fromIp('5.5.5.5'));
+
+      expect(result.status).toBe(200);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.rate_limit_store_failed' }));
+    });
+
+    test('should evict the oldest keys past maxKeys', () => {
+      const store = new RateLimiter.MemoryStore({ maxKeys: 2 });
+      store.set('a', 1, 1000);
+      store.set('b', 2, 1000);
+      store.set('c', 3, 1000);
+
+      expect(store.size).toBe(2);
+      expect(store.get('a')).toBeNull();
+      expect(store.get('c')).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * ApiHandler Response Contract Test Suite
+ *
+ * Tests for ApiResponse results: status codes, headers, cookies and non-JSON bodies
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const { Readable, Writable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const LambdaAdapter = require('./LambdaAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      files: {
+        run: { params: [] }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+// Run the route with the given handler chain
+const run = (handlerFns, options = {}) => {
+  mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({ handlerFns }));
+  return createHandler(options).handleRootApi({ method: 'POST', body: { namespace: 'files', action: 'run' } });
+};
+
+const createResponseSink = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.text = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+};
+
+describe('ApiHandler Response Contract', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Backwards compatibility', () => {
+    test('should keep wrapping plain returns as 200 data', async () => {
+      const result = await run([() => ({ id: 1 })]);
+
+      expect(result).toEqual({ ok: true, status: 200, data: { id: 1 }, requestId: expect.any(String) });
+    });
+
+    test('should keep free-form abort responses untouched', async () => {
+      const result = await run([() => ({ abort: true, response: { ok: false, status: 418, custom: true } })]);
+
+      expect(result).toEqual({ ok: false, status: 418, custom: true });
+    });
+  });
+
+  describe('Status codes and headers', () => {
+    test('should return 201 with a Location header', async () => {
+      const result = await run([() => ApiResponse.created({ id: 7 }, { location: '/files/7' })]);
+
+      expect(result).toEqual({ ok: true, status: 201, data: { id: 7 }, requestId: expect.any(String), headers: { Location: '/files/7' } });
+    });
+
+    test('should return 202 for accepted work', async () => {
+      const result = await run([() => ApiResponse.accepted({ jobId: 'j1' }).setHeader('Retry-After', '5')]);
+
+      expect(result.status).toBe(202);
+      expect(result.headers['Retry-After']).toBe('5');
+    });
+
+    test('should send 204 without a body', async () => {
+      const result = await run([() => ApiResponse.noContent()]);
+      const response = HttpAdapter.toHttpResponse(result);
+
+      expect(result.status).toBe(204);
+      expect(response.body).toBe('');
+    });
+
+    test('should mark 4xx responses as not ok', async () => {
+      const result = await run([() => ApiResponse.json({ reason: 'taken' }, { status: 409 })]);
+
+      expect(result.ok).toBe(false);
+      expect(result.data).toEqual({ reason: 'taken' });
+    });
+
+    test('should let the last handler\'s response win in a chain', async () => {
+      const result = await run([() => ({ step: 1 }), () => ApiResponse.created({ step: 2 })]);
+
+      expect(result.status).toBe(201);
+      expect(result.data).toEqual({ step: 2 });
+    });
+
+    test('should accept ApiResponse as an abort response', async () => {
+      const result = await run([() => ({ abort: true, response: ApiResponse.json({ moved: true }, { status: 307, headers: { Location: '/elsewhere' } }) })]);
+
+      expect(result.status).toBe(307);
+      expect(result.headers.Location).toBe('/elsewhere');
+    });
+
+    test('should accept ApiResponse from pre-validation middleware', async () => {
+      const result = await run([() => ({ never: true })], {
+        preValidationMiddleware: () => ({ abort: true, response: ApiResponse.text('maintenance', { status: 503 }) })
+      });
+
+      expect(result.status).toBe(503);
+      expect(result.body).toBe('maintenance');
+    });
+
+    test('should reject invalid responses as handler exceptions', async () => {
+      const result = await run([() => ApiResponse.json({ a: 1 }, { status: 204 })]);
+
+      expect(result.status).toBe(500);
+      expect(result.error.code).toBe('HANDLER_EXCEPTION');
+      expect(result.error.message).toMatch(/must not carry a body/);
+    });
+
+    test('should reject header names and values the transport cannot write', async () => {
+      const handlerResult = await run([() => ApiResponse.text('x').setHeader('X-Trace', 'a\r\nInjected: 1')]);
+      const middlewareResult = await run([() => ({ never: true })], {
+        preValidationMiddleware: () => ({ abort: true, response: ApiResponse.json({}, { status: 503 }).setHeader('Retry After', '5') })
+      });
+
+      expect(handlerResult.status).toBe(500);
+      expect(handlerResult.error.message).toMatch(/Invalid value for header X-Trace/);
+      expect(middlewareResult.status).toBe(500);
+      expect(middlewareResult.error.code).toBe('INVALID_RESPONSE_HEADER');
+      expect(ApiResponse.validateHeaders({ 'Set-Cookie': ['a=1', 'b=2'], 'Content-Length': 3 })).toBeNull();
+    });
+  });
+
+  describe('Cookies', () => {
+    test('should serialize cookies into Set-Cookie headers', async () => {
+      const result = await run([() => ApiResponse.json({ ok: 1 })
+        .setCookie('session', 'a b', { maxAge: 3600, secure: true })
+        .clearCookie('legacy')]);
+
+      expect(result.headers['Set-Cookie']).toEqual([
+        'session=a%20b; Max-Age=3600; Path=/; Secure; HttpOnly; SameSite=Lax',
+        'legacy=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/; HttpOnly; SameSite=Lax'
+      ]);
+    });
+
+    test('should reject invalid cookie names', () => {
+      expect(ApiResponse.json({}).setCookie('bad name', 'x').validate()).toMatch(/Invalid cookie name/);
+    });
+  });
+
+  describe('Non-JSON bodies', () => {
+    test('should send text bodies with their content type', async () => {
+      const result = await run([() => ApiResponse.text('<p>hi</p>', { contentType: 'text/html; charset=utf-8' })]);
+      const response = HttpAdapter.toHttpResponse(result);
+
+      expect(response.body).toBe('<p>hi</p>');
+      expect(response.headers['Content-Type']).toBe('text/html; charset=utf-8');
+      expect(response.headers['Content-Length']).toBe('9');
+    });
+
+    test('should send Buffer bodies with a download filename', async () => {
+      const result = await run([() => ApiResponse.binary(Buffer.from('%PDF'), { contentType: 'application/pdf', filename: 'résumé.pdf' })]);
+      const response = HttpAdapter.toHttpResponse(result);
+
+      expect(Buffer.isBuffer(response.body)).toBe(true);
+      expect(response.headers['Content-Disposition']).toBe('attachment; filename="r_sum_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf');
+    });
+
+    test('should pipe stream bodies through the HTTP listener', async () => {
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [() => ApiResponse.stream(Readable.from(['a,b\n', '1,2\n']), { contentType: 'text/csv' })]
+      }));
+      const listener = createHandler().createHttpListener();
+      const req = Readable.from([]);
+      req.method = 'GET';
+      req.url = '/?namespace=files&action=run';
+      req.headers = {};
+      const res = createResponseSink();
+      const finished = new Promise(resolve => res.on('finish', resolve));
+
+      await listener(req, res);
+      await finished;
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv');
+      expect(res.headers['content-length']).toBeUndefined();
+      expect(res.text()).toBe('a,b\n1,2\n');
+    });
+  });
+
+  describe('Lambda proxy responses', () => {
+    test('should base64-encode binary bodies', () => {
+      const response = LambdaAdapter.toProxyResponse({ ok: true, status: 200, data: null, requestId: 'r', body: Buffer.from('hi'), contentType: 'image/png' });
+
+      expect(response.isBase64Encoded).toBe(true);
+      expect(response.body).toBe(Buffer.from('hi').toString('base64'));
+    });
+
+    test('should return cookies in the format of the payload version', () => {
+      const result = { ok: true, status: 200, data: {}, requestId: 'r', headers: { 'Set-Cookie': ['a=1', 'b=2'] } };
+
+      expect(LambdaAdapter.toProxyResponse(result, { isV2: true }).cookies).toEqual(['a=1', 'b=2']);
+      expect(LambdaAdapter.toProxyResponse(result).multiValueHeaders).toEqual({ 'Set-Cookie': ['a=1', 'b=2'] });
+      expect(LambdaAdapter.toProxyResponse(result).headers['Set-Cookie']).toBeUndefined();
+    });
+
+    test('should buffer stream bodies', async () => {
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [() => ApiResponse.stream(Readable.from([Buffer.from('ab'), Buffer.from('cd')]))]
+      }));
+      const lambda = createHandler().createLambdaHandler();
+
+      const response = await lambda({ httpMethod: 'GET', path: '/', queryStringParameters: { namespace: 'files', action: 'run' } });
+
+      expect(Buffer.from(response.body, 'base64').toString()).toBe('abcd');
+    });
+  });
+});
@@ -0,0 +1,549 @@
+/**
+ * ApiHandler Routing Test Suite
+ *
+ * Tests for path-based routing alongside namespace/action resolution
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+// Pass validated values straight through so tests can assert what reached the schema
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const pathRouteConfig = {
+  apiHandler: [
+    {
+      users: {
+        orders: {
+          path: '/users/:id/orders',
+          params: [
+            { name: "id", type: "int", required: true },
+            { name: "status", type: "string", required: false }
+          ]
+        },
+        me: {
+          path: ['/users/me', '/profile'],
+          params: []
+        },
+        get: {
+          path: '/users/:id',
+          params: [{ name: "id", type: "int", required: true }]
+        },
+        list: {
+          params: []
+        }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig: pathRouteConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+describe('ApiHandler Routing', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ validated: input.validated })]
+    }));
+  });
+
+  describe('Path-based routing', () => {
+    test('should resolve a path pattern and pass named params into validated', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'GET',
+        path: '/users/42/orders',
+        query: { status: 'open' }
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.data.validated).toEqual({ id: 42, status: 'open' });
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledWith(pathRouteConfig.apiHandler[0].users.orders);
+    });
+
+    test('should prefer static segments over params', async () => {
+      const apiHandler = createHandler();
+
+      await apiHandler.handleRootApi({ method: 'GET', path: '/users/me' });
+
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledWith(pathRouteConfig.apiHandler[0].users.me);
+    });
+
+    test('should support multiple patterns per entry', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({ method: 'GET', path: '/profile/' });
+
+      expect(result.ok).toBe(true);
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalledWith(pathRouteConfig.apiHandler[0].users.me);
+    });
+
+    test('should let path params override query and body fields', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'POST',
+        path: '/users/7',
+        body: { id: 999 }
+      });
+
+      expect(result.data.validated.id).toBe(7);
+    });
+
+    test('should decode percent-encoded segments and ignore query strings', () => {
+      const apiHandler = createHandler();
+
+      const match = apiHandler._resolveRouteFromPath(apiHandler._normalizePath('/users/a%20b/orders?x=1'));
+
+      expect(match.params).toEqual({ id: 'a b' });
+      expect(match.namespace).toBe('users');
+      expect(match.actionKey).toBe('orders');
+    });
+
+    test('should fall back to namespace/action when the path does not match', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'GET',
+        path: '/api',
+        query: { namespace: 'users', action: 'list' }
+      });
+
+      expect(result.ok).toBe(true);
+      expect(apiHandler._routeCache.has('users/list')).toBe(true);
+    });
+
+    test('should return 404 ROUTE_NOT_FOUND for an unmatched path without routing fields', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({ method: 'GET', path: '/nothing/here' });
+
+      expect(result.ok).toBe(false);
+      expect(result.status).toBe(404);
+      expect(result.error.code).toBe('ROUTE_NOT_FOUND');
+    });
+
+    test('should keep namespace/action routing working without a path', async () => {
+      const apiHandler = createHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'GET',
+        query: { namespace: 'users', action: 'get', id: '5' }
+      });
+
+      expect(result.ok).toBe(true);
+      expect(result.data.validated.id).toBe(5);
+    });
+  });
+
+  describe('Route introspection', () => {
+    const introspectionConfig = {
+      apiHandler: [
+        {
+          reports: {
+            list: {
+              params: [{ name: "page", type: "INT", default: 1 }],
+              handlers: ['reports/list.js', 'reports/format.js'],
+              methods: ['get']
+            },
+            "export.v1": {
+              params: [],
+              handler: 'reports/export-v1.js',
+              deprecated: true,
+              sunset: '2026-01-01T00:00:00Z',
+              replacement: 'reports/export@v2'
+            },
+            export: {
+              versions: ['v2', 'v3'],
+              params: [{ name: "format", type: "string", required: true }]
+            }
+          }
+        },
+        {
+          users: {
+            get: { path: '/users/:id', params: [{ name: "id", type: "int", required: true }] }
+          }
+        }
+      ]
+    };
+
+    const createIntrospectionHandler = () => new ApiHandler({
+      routeConfig: introspectionConfig,
+      autoLoader: mockAutoLoader,
+      logger: mockLogger,
+      safeUtils: mockSafeUtils,
+      enableVersioning: true
+    });
+
+    test('should list every route entry with normalized metadata', () => {
+      const routes = createIntrospectionHandler().listRoutes();
+
+      expect(routes.map(r => `${r.namespace}/${r.actionKey}`)).toEqual([
+        'reports/export', 'reports/export.v1', 'reports/list', 'users/get'
+      ]);
+      expect(routes[2]).toEqual({
+        namespace: 'reports',
+        action: 'list',
+        actionKey: 'list',
+        versions: [],
+        paths: [],
+        methods: ['GET'],
+        params: [{ name: 'page', type: 'int', required: false, default: 1 }],
+        handlerCount: 2,
+        deprecated: false,
+        sunset: null,
+        replacement: null
+      });
+      expect(routes[3].paths).toEqual(['/users/:id']);
+      expect(routes[3].handlerCount).toBeNull();
+    });
+
+    test('should expose versions and deprecation flags', () => {
+      const routes = createIntrospectionHandler().listRoutes();
+      const legacy = routes.find(r => r.actionKey === 'export.v1');
+
+      expect(legacy).toEqual(expect.objectContaining({
+        action: 'export',
+        versions: ['v1'],
+        handlerCount: 1,
+        deprecated: true,
+        sunset: '2026-01-01T00:00:00Z',
+        replacement: 'reports/export@v2'
+      }));
+      expect(routes[0].versions).toEqual(['v2', 'v3']);
+    });
+
+    test('should describe a route using request resolution rules', () => {
+      const apiHandler = createIntrospectionHandler();
+
+      expect(apiHandler.describeRoute('reports', 'export', 'v1').actionKey).toBe('export.v1');
+      expect(apiHandler.describeRoute('reports', 'export', 'v3').actionKey).toBe('export');
+      expect(apiHandler.describeRoute('reports', 'list').params[0].name).toBe('page');
+    });
+
+    test('should return null for unknown routes', () => {
+      const apiHandler = createIntrospectionHandler();
+
+      expect(apiHandler.describeRoute('reports', 'nope')).toBeNull();
+      expect(apiHandler.describeRoute('nope', 'list')).toBeNull();
+      expect(apiHandler.describeRoute('reports', 'export', 'v9')).toBeNull();
+    });
+
+    test('should return JSON-safe copies', () => {
+      const apiHandler = createIntrospectionHandler();
+      const routes = apiHandler.listRoutes();
+
+      routes[0].params.push({ name: 'x' });
+
+      expect(apiHandler.listRoutes()[0].params).toHaveLength(1);
+      expect(() => JSON.stringify(routes)).not.toThrow();
+    });
+  });
+
+  describe('Hot reload of routeConfig', () => {
+    const buildConfig = (extra = {}) => ({
+      apiHandler: [
+        {
+          users: {
+            list: { params: [] },
+            get: { path: '/users/:id', params: [{ name: "id", type: "int", required: true }] },
+            ...extra
+          }
+        }
+      ]
+    });
+
+    test('should swap config, invalidate caches and report added/removed/changed routes', async () => {
+      const apiHandler = createHandler({ routeConfig: buildConfig({ old: { params: [] } }) });
+      await apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'users', action: 'old' } });
+      await apiHandler.handleRootApi({ method: 'GET', path: '/users/1' });
+      apiHandler._paramDefsCache.set('stale', new Set());
+      expect(apiHandler._routeCache.has('users/old')).toBe(true);
+
+      const summary = await apiHandler.reloadRouteConfig({
+        apiHandler: [
+          {
+            users: {
+              list: { params: [{ name: "page", type: "int" }] },
+              get: { path: '/people/:id', params: [{ name: "id", type: "int", required: true }] },
+              fresh: { params: [] }
+            }
+          }
+        ]
+      });
+
+      expect(summary).toEqual(expect.objectContaining({
+        added: ['users/fresh'],
+        removed: ['users/old'],
+        changed: ['users/get', 'users/list'],
+        inFlight: 0
+      }));
+      expect(apiHandler._routeCache.size).toBe(0);
+      expect(apiHandler._paramDefsCache.size).toBe(0);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'api.route_config_reloaded',
+        data: expect.objectContaining({ added: ['users/fresh'] })
+      }));
+
+      const removed = await apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'users', action: 'old' } });
+      const movedPath = await apiHandler.handleRootApi({ method: 'GET', path: '/people/3' });
+      expect(removed.status).toBe(404);
+      expect(movedPath.ok).toBe(true);
+    });
+
+    test('should let in-flight requests finish on the old config', async () => {
+      const oldConfig = buildConfig();
+      const newConfig = buildConfig();
+      newConfig.apiHandler[0].users.list = { params: [], marker: 'new' };
+      const apiHandler = createHandler({ routeConfig: oldConfig });
+
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+        handlerFns: [async () => {
+          if (!entry.marker) await gate;
+          return { marker: entry.marker || 'old' };
+        }]
+      }));
+
+      const inFlight = apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'users', action: 'list' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const summary = await apiHandler.reloadRouteConfig(newConfig);
+      const fresh = await apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'users', action: 'list' } });
+      release();
+
+      expect(summary.inFlight).toBe(1);
+      expect(fresh.data.marker).toBe('new');
+      expect((await inFlight).data.marker).toBe('old');
+    });
+
+    test('should reject invalid configs and keep serving the current one', async () => {
+      const config = buildConfig();
+      const apiHandler = createHandler({ routeConfig: config });
+
+      await expect(apiHandler.reloadRouteConfig({ apiHandler: 'nope' })).rejects.toThrow(/Route config reload rejected/);
+
+      expect(apiHandler.routeConfig).toBe(config);
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.route_config_reload_failed' }));
+    });
+  });
+
+  describe('Semantic version resolution', () => {
+    const versionedConfig = {
+      apiHandler: [
+        {
+          orders: {
+            "list.v1": { params: [], tag: 'v1' },
+            "list.v2": { params: [], tag: 'v2' },
+            "list.v2.3": { params: [], tag: 'v2.3' },
+            "list.v3.0.1": { params: [], tag: 'v3.0.1' },
+            list: { params: [], tag: 'unversioned' },
+            show: { versions: ['v1', 'v1.4'], params: [], tag: 'show' },
+            ping: { params: [], tag: 'ping' }
+          }
+        }
+      ]
+    };
+
+    const createVersionedHandler = (options = {}) => new ApiHandler({
+      routeConfig: versionedConfig,
+      autoLoader: mockAutoLoader,
+      logger: mockLogger,
+      safeUtils: mockSafeUtils,
+      enableVersioning: true,
+      ...options
+    });
+
+    beforeEach(() => {
+      mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+        handlerFns: [() => ({ tag: entry.tag })]
+      }));
+    });
+
+    const tagFor = async (apiHandler, query, headers = {}) => {
+      const result = await apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'orders', ...query }, headers });
+      return result.ok ? result.data.tag : result.error.code;
+    };
+
+    test('should keep exact versioned key matches', async () => {
+      const apiHandler = createVersionedHandler();
+
+      expect(await tagFor(apiHandler, { action: 'list', version: 'v1' })).toBe('v1');
+      expect(await tagFor(apiHandler, { action: 'list', v: 'v2' })).toBe('v2');
+    });
+
+    test('should resolve caret, tilde, wildcard and bare major ranges to the highest compatible version', async () => {
+      const apiHandler = createVersionedHandler();
+
+      expect(await tagFor(apiHandler, { action: 'list', version: '^2' })).toBe('v2.3');
+      expect(await tagFor(apiHandler, { action: 'list', version: '2.x' })).toBe('v2.3');
+      expect(await tagFor(apiHandler, { action: 'list', version: '2' })).toBe('v2.3');
+      expect(await tagFor(apiHandler, { action: 'list', version: '~2.0' })).toBe('v2');
+      expect(await tagFor(apiHandler, { action: 'list', version: '3' })).toBe('v3.0.1');
+      expect(await tagFor(apiHandler, { action: 'list', version: '^4' })).toBe('ROUTE_NOT_FOUND');
+    });
+
+    test('should resolve "latest" across versioned keys and entry.versions', async () => {
+      const apiHandler = createVersionedHandler();
+
+      expect(await tagFor(apiHandler, { action: 'list', version: 'latest' })).toBe('v3.0.1');
+      expect(await tagFor(apiHandler, { action: 'show', version: '^1' })).toBe('show');
+    });
+
+    test('should read the version from the Accept-Version header', async () => {
+      const apiHandler = createVersionedHandler();
+
+      expect(await tagFor(apiHandler, { action: 'list' }, { 'Accept-Version': '^1' })).toBe('v1');
+      expect(await tagFor(apiHandler, { action: 'list', version: 'v2' }, { 'accept-version': '^1' })).toBe('v2');
+    });
+
+    test('should fall back to the namespace default version', async () => {
+      const apiHandler = createVersionedHandler({ defaultVersions: { orders: '^2' } });
+
+      expect(await tagFor(apiHandler, { action: 'list' })).toBe('v2.3');
+      // Unversioned actions still resolve when the default matches nothing
+      expect(await tagFor(apiHandler, { action: 'ping' })).toBe('ping');
+    });
+
+    test('should use the wildcard default for namespaces without their own', async () => {
+      const apiHandler = createVersionedHandler({ defaultVersions: { '*': 'latest' } });
+
+      expect(await tagFor(apiHandler, { action: 'list' })).toBe('v3.0.1');
+    });
+
+    test('should resolve unversioned entries when no version or default is given', async () => {
+      const apiHandler = createVersionedHandler();
+
+      expect(await tagFor(apiHandler, { action: 'list' })).toBe('unversioned');
+    });
+  });
+
+  describe('Per-route methods', () => {
+    const methodConfig = {
+      apiHandler: [
+        {
+          users: {
+            list: { path: '/users', methods: ['GET'], params: [], tag: 'list' },
+            create: { path: '/users', methods: ['post'], params: [{ name: "name", type: "string" }], tag: 'create' },
+            search: { methods: ['GET', 'POST'], argsFrom: 'both', params: [{ name: "q", type: "string" }, { name: "page", type: "int" }], tag: 'search' },
+            purge: { methods: ['DELETE'], argsFrom: 'query', params: [{ name: "name", type: "string" }], tag: 'purge' }
+          }
+        }
+      ]
+    };
+
+    const createMethodHandler = (options = {}) => new ApiHandler({
+      routeConfig: methodConfig,
+      autoLoader: mockAutoLoader,
+      logger: mockLogger,
+      safeUtils: mockSafeUtils,
+      ...options
+    });
+
+    beforeEach(() => {
+      mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+        handlerFns: [(input) => ({ tag: entry.tag, validated: input.validated })]
+      }));
+    });
+
+    test('should dispatch one path to different entries by method', async () => {
+      const apiHandler = createMethodHandler();
+
+      const listed = await apiHandler.handleRootApi({ method: 'GET', path: '/users' });
+      const created = await apiHandler.handleRootApi({ method: 'POST', path: '/users', body: { name: 'Ann' } });
+
+      expect(listed.data.tag).toBe('list');
+      expect(created.data.tag).toBe('create');
+    });
+
+    test('should return 405 with the Allow list of the matched path', async () => {
+      const apiHandler = createMethodHandler();
+
+      const result = await apiHandler.handleRootApi({ method: 'PUT', path: '/users' });
+
+      expect(result.status).toBe(405);
+      expect(result.error.code).toBe('METHOD_NOT_ALLOWED');
+      expect(result.headers).toEqual({ Allow: 'GET, HEAD, POST' });
+      expect(mockAutoLoader.ensureRouteDependencies).not.toHaveBeenCalled();
+    });
+
+    test('should return 405 for namespace/action routes that do not accept the method', async () => {
+      const apiHandler = createMethodHandler();
+
+      const result = await apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'users', action: 'purge' } });
+
+      expect(result.status).toBe(405);
+      expect(result.headers).toEqual({ Allow: 'DELETE' });
+    });
+
+    test('should include the global Allow list when the method is not enabled at all', async () => {
+      const apiHandler = createMethodHandler({ allowedMethods: ['GET', 'POST'] });
+
+      const result = await apiHandler.handleRootApi({ method: 'PUT', path: '/users' });
+
+      expect(result.status).toBe(405);
+      expect(result.headers).toEqual({ Allow: 'GET, POST' });
+    });
+
+    test('should merge query and body for GET when argsFrom is "both"', async () => {
+      const apiHandler = createMethodHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'GET',
+        query: { namespace: 'users', action: 'search', q: 'ann' },
+        body: { page: 2 }
+      });
+
+      expect(result.data.validated).toEqual({ q: 'ann', page: 2 });
+    });
+
+    test('should ignore the body when argsFrom is "query"', async () => {
+      const apiHandler = createMethodHandler();
+
+      const result = await apiHandler.handleRootApi({
+        method: 'DELETE',
+        query: { namespace: 'users', action: 'purge', name: 'from-query' },
+        body: { name: 'from-body' }
+      });
+
+      expect(result.data.validated).toEqual({ name: 'from-query' });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * ApiHandler Streaming Test Suite
+ *
+ * Tests for NDJSON and Server-Sent Events responses from async iterators and Readables
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const http = require('http');
+const { Readable, Writable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const ResponseStream = require('./ResponseStream.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      exports: {
+        run: { params: [] }
+      }
+    }
+  ]
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = (handler, { headers = {}, ...options } = {}) => {
+  mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({ handlerFns: [handler] }));
+  const apiHandler = new ApiHandler({
+    routeConfig,
+    autoLoader: mockAutoLoader,
+    logger: mockLogger,
+    safeUtils: mockSafeUtils,
+    ...options
+  });
+  return apiHandler.handleRootApi({ method: 'GET', query: { namespace: 'exports', action: 'run' }, headers });
+};
+
+const readAll = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('ApiHandler Streaming', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('NDJSON', () => {
+    test('should stream async generator items as JSON lines', async () => {
+      const result = await run(async function* () {
+        yield { row: 1 };
+        yield 'two';
+        yield { row: 3 };
+      });
+
+      expect(result.status).toBe(200);
+      expect(result.contentType).toBe('application/x-ndjson; charset=utf-8');
+      expect(result.headers['Cache-Control']).toBe('no-cache');
+      expect(await readAll(result.body)).toBe('{"row":1}\n"two"\n{"row":3}\n');
+    });
+
+    test('should stream object-mode Readables', async () => {
+      const result = await run(() => Readable.from([{ a: 1 }, { a: 2 }]));
+
+      expect(await readAll(result.body)).toBe('{"a":1}\n{"a":2}\n');
+    });
+
+    test('should end with an error line when the producer throws', async () => {
+      const result = await run(async function* () {
+        yield { row: 1 };
+        throw new Error('database went away');
+      });
+
+      const lines = (await readAll(result.body)).trim().split('\n').map(line => JSON.parse(line));
+
+      expect(lines[0]).toEqual({ row: 1 });
+      expect(lines[1].error).toEqual({ code: 'STREAM_FAILED', message: 'Stream failed', requestId: result.requestId });
+      expect(mockLogger.writeLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'api.stream_failed' }));
+    });
+  });
+
+  describe('Server-Sent Events', () => {
+    test('should use SSE when the client accepts text/event-stream', async () => {
+      const result = await run(async function* () {
+        yield { progress: 50 };
+        yield ResponseStream.event('done\nok', { event: 'complete', id: 2 });
+      }, { headers: { Accept: 'text/event-stream' } });
+
+      expect(result.contentType).toBe('text/event-stream; charset=utf-8');
+      expect(result.headers['X-Accel-Buffering']).toBe('no');
+      expect(await readAll(result.body)).toBe('data: {"progress":50}\n\nevent: complete\nid: 2\ndata: done\ndata: ok\n\n');
+    });
+
+    test('should honour ApiResponse.sse regardless of Accept', async () => {
+      const result = await run(() => ApiResponse.sse(Readable.from(['tick'])).setHeader('X-Job', 'j1'));
+
+      expect(result.headers['X-Job']).toBe('j1');
+      expect(await readAll(result.body)).toBe('data: tick\n\n');
+    });
+
+    test('should reject stream responses without an iterable body', async () => {
+      const result = await run(() => ApiResponse.ndjson({ not: 'iterable' }));
+
+      expect(result.status).toBe(500);
+      expect(result.error.message).toMatch(/async iterable body/);
+    });
+  });
+
+  describe('Idle timeout', () => {
+    test('should allow total duration beyond the handler timeout while items keep flowing', async () => {
+      const result = await run(async function* () {
+        for (let i = 0; i < 4; i++) {
+          await sleep(20);
+          yield i;
+        }
+      }, { handlerTimeout: 60 });
+
+      expect(await readAll(result.body)).toBe('0\n1\n2\n3\n');
+    });
+
+    test('should stop a stream that goes idle for longer than the handler timeout', async () => {
+      const result = await run(async function* () {
+        yield 'first';
+        await sleep(200);
+        yield 'late';
+      }, { handlerTimeout: 30 });
+
+      const lines = (await readAll(result.body)).trim().split('\n').map(line => JSON.parse(line));
+
+      expect(lines).toHaveLength(2);
+      expect(lines[1].error.code).toBe('STREAM_IDLE_TIMEOUT');
+    });
+  });
+
+  test('should stop the producer when the client disconnects', async () => {
+    let cleanedUp;
+    const cleanup = new Promise((resolve) => { cleanedUp = resolve; });
+    let stopped = false;
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [async function* () {
+        try {
+          for (let i = 0; !stopped; i++) {
+            yield { i };
+            await sleep(5);
+          }
+        } finally {
+          cleanedUp(true);
+        }
+      }]
+    }));
+    const listener = new ApiHandler({ routeConfig, autoLoader: mockAutoLoader, logger: mockLogger, safeUtils: mockSafeUtils }).createHttpListener();
+    const server = http.createServer(listener);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${port}/?namespace=exports&action=run`, (response) => {
+          response.once('data', () => { req.destroy(); resolve(); });
+        });
+        req.on('error', reject);
+      });
+
+      expect(await Promise.race([cleanup, sleep(1000).then(() => false)])).toBe(true);
+    } finally {
+      stopped = true;
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('should stream through the HTTP listener without a Content-Length', async () => {
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [async function* () { yield { n: 1 }; yield { n: 2 }; }]
+    }));
+    const listener = new ApiHandler({ routeConfig, autoLoader: mockAutoLoader, logger: mockLogger, safeUtils: mockSafeUtils }).createHttpListener();
+    const req = Readable.from([]);
+    Object.assign(req, { method: 'GET', url: '/?namespace=exports&action=run', headers: {} });
+    const chunks = [];
+    const res = new Writable({ write(chunk, _encoding, callback) { chunks.push(chunk); callback(); } });
+    res.headers = {};
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    const finished = new Promise(resolve => res.on('finish', resolve));
+
+    await listener(req, res);
+    await finished;
+
+    expect(res.headers['content-length']).toBeUndefined();
+    expect(Buffer.concat(chunks).toString()).toBe('{"n":1}\n{"n":2}\n');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * ApiHandler Uploads Test Suite
+ *
+ * Tests for multipart/form-data parsing and the `file` param type
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const MultipartParser = require('./MultipartParser.js');
+const OpenApiGenerator = require('./OpenApiGenerator.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      media: {
+        upload: {
+          path: '/media',
+          methods: ['POST'],
+          params: [
+            { name: "title", type: "string", required: true },
+            { name: "avatar", type: "file", required: true, maxSize: 64, mimeTypes: ['image/*'] },
+            { name: "attachments", type: "file", maxCount: 2 }
+          ]
+        }
+      }
+    }
+  ]
+};
+
+const BOUNDARY = '----apihandler-test';
+
+const multipart = (parts) => Buffer.concat([
+  ...parts.map(({ name, filename, type, content }) => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\n`),
+    Buffer.from(`Content-Disposition: form-data; name="${name}"${filename !== undefined ? `; filename="${filename}"` : ''}\r\n`),
+    Buffer.from(type ? `Content-Type: ${type}\r\n` : ''),
+    Buffer.from('\r\n'),
+    Buffer.isBuffer(content) ? content : Buffer.from(content),
+    Buffer.from('\r\n')
+  ])),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+const createHandler = () => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils
+});
+
+const upload = (parts, uploads = {}) => {
+  const { body, files } = HttpAdapter.parseRequestBody(multipart(parts), CONTENT_TYPE, uploads);
+  return createHandler().handleRootApi({ method: 'POST', path: '/media', body, files });
+};
+
+const listen = async (listener, raw) => {
+  const req = Readable.from([raw]);
+  Object.assign(req, { method: 'POST', url: '/media', headers: { 'content-type': CONTENT_TYPE } });
+  const chunks = [];
+  const res = new Writable({ write(chunk, _encoding, callback) { chunks.push(chunk); callback(); } });
+  res.setHeader = () => {};
+  const finished = new Promise(resolve => res.on('finish', resolve));
+
+  await listener(req, res);
+  await finished;
+
+  return { statusCode: res.statusCode, payload: JSON.parse(Buffer.concat(chunks).toString()) };
+};
+
+describe('ApiHandler Uploads', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ validated: input.validated })]
+    }));
+  });
+
+  describe('MultipartParser', () => {
+    test('should split fields and files', () => {
+      const { fields, files } = MultipartParser.parse(multipart([
+        { name: 'title', content: 'Hello' },
+        { name: 'tag', content: 'a' },
+        { name: 'tag', content: 'b' },
+        { name: 'avatar', filename: 'C:\\Users\\me\\face.png', type: 'image/png', content: Buffer.from([0, 1, 2]) }
+      ]), CONTENT_TYPE);
+
+      expect(fields).toEqual({ title: 'Hello', tag: ['a', 'b'] });
+      expect(files).toEqual([{ fieldName: 'avatar', filename: 'face.png', mimeType: 'image/png', size: 3, buffer: Buffer.from([0, 1, 2]) }]);
+    });
+
+    test('should decode RFC 5987 filenames', () => {
+      const raw = Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="doc"; filename="x.txt"; filename*=UTF-8''%C3%BCber.txt\r\n\r\nhi\r\n--${BOUNDARY}--`);
+
+      expect(MultipartParser.parse(raw, CONTENT_TYPE).files[0].filename).toBe('über.txt');
+    });
+
+    test('should ignore prototype-polluting field names', () => {
+      const { fields } = MultipartParser.parse(multipart([{ name: '__proto__', content: 'x' }]), CONTENT_TYPE);
+
+      expect(Object.getPrototypeOf(fields)).toBe(Object.prototype);
+      expect(fields).toEqual({});
+    });
+
+    test('should enforce parser-wide limits with 413', () => {
+      expect(() => MultipartParser.parse(multipart([
+        { name: 'a', filename: 'a.bin', content: 'x'.repeat(20) }
+      ]), CONTENT_TYPE, { maxFileSize: 10 })).toThrow(expect.objectContaining({ status: 413, code: 'FILE_TOO_LARGE' }));
+    });
+
+    test('should reject bodies without a boundary', () => {
+      expect(() => MultipartParser.parse(Buffer.from('x'), 'multipart/form-data'))
+        .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_MULTIPART_BODY' }));
+    });
+  });
+
+  describe('file param type', () => {
+    test('should expose buffered files on validated', async () => {
+      const result = await upload([
+        { name: 'title', content: 'Me' },
+        { name: 'avatar', filename: 'me.png', type: 'image/png', content: 'png-bytes' },
+        { name: 'attachments', filename: 'a.txt', type: 'text/plain', content: 'A' }
+      ]);
+
+      expect(result.ok).toBe(true);
+      expect(result.data.validated.title).toBe('Me');
+      expect(result.data.validated.avatar).toEqual(expect.objectContaining({ filename: 'me.png', size: 9 }));
+      expect(result.data.validated.avatar.buffer.toString()).toBe('png-bytes');
+      expect(result.data.validated.attachments).toHaveLength(1);
+    });
+
+    test('should fail validation when a required file is missing', async () => {
+      const result = await upload([{ name: 'title', content: 'Me' }]);
+
+      expect(result.status).toBe(400);
+      expect(result.error.code).toBe('VALIDATION_FAILED');
+      expect(result.error.message).toMatch(/Missing required file "avatar"/);
+    });
+
+    test('should enforce maxSize, mimeTypes and maxCount', async () => {
+      const tooBig = await upload([{ name: 'avatar', filename: 'big.png', type: 'image/png', content: 'x'.repeat(65) }]);
+      const wrongType = await upload([{ name: 'avatar', filename: 'me.pdf', type: 'application/pdf', content: 'x' }]);
+      const tooMany = await upload([
+        { name: 'avatar', filename: 'me.png', type: 'image/png', content: 'x' },
+        ...[1, 2, 3].map(i => ({ name: 'attachments', filename: `${i}.txt`, type: 'text/plain', content: 'x' }))
+      ]);
+
+      expect(tooBig.error.message).toMatch(/at most 64 allowed/);
+      expect(wrongType.error.message).toMatch(/has type application\/pdf; allowed: image\/\*/);
+      expect(tooMany.error.message).toMatch(/Too many files for "attachments"/);
+    });
+
+    test('should not let sanitizeValidate see file params', async () => {
+      await upload([{ name: 'avatar', filename: 'me.png', type: 'image/png', content: 'x' }]);
+
+      expect(Object.keys(mockSafeUtils.sanitizeValidate.mock.calls[0][0])).toEqual(['title']);
+    });
+  });
+
+  describe('Temp-file storage', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-uploads-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should hand out temp-file references and delete them after the pipeline', async () => {
+      let seenPath;
+      let seenContent;
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [(input) => {
+          seenPath = input.validated.avatar.path;
+          seenContent = fs.readFileSync(seenPath, 'utf8');
+          return { stored: true };
+        }]
+      }));
+
+      const result = await upload([{ name: 'avatar', filename: 'me.png', type: 'image/png', content: 'on-disk' }], { storage: 'disk', tempDir });
+
+      expect(result.ok).toBe(true);
+      expect(path.dirname(seenPath)).toBe(tempDir);
+      expect(seenContent).toBe('on-disk');
+      expect(fs.existsSync(seenPath)).toBe(false);
+    });
+
+    test('should delete temp files when validation fails', async () => {
+      await upload([{ name: 'avatar', filename: 'me.exe', type: 'application/x-msdownload', content: 'x' }], { storage: 'disk', tempDir });
+
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+
+    test('should delete temp files when an adapter fails before dispatching', async () => {
+      const raw = multipart([{ name: 'avatar', filename: 'me.png', type: 'image/png', content: 'on-disk' }]);
+      const options = { uploads: { storage: 'disk', tempDir }, buildContext: async () => { throw new Error('session store down'); } };
+      const handler = createHandler();
+
+      const { statusCode } = await listen(handler.createHttpListener(options), raw);
+
+      const expressReq = Readable.from([raw]);
+      Object.assign(expressReq, { method: 'POST', url: '/media', headers: { 'content-type': CONTENT_TYPE } });
+      const next = jest.fn();
+      await handler.createExpressMiddleware(options)(expressReq, {}, next);
+
+      const koaReq = Readable.from([raw]);
+      const ctx = { method: 'POST', path: '/media', headers: { 'content-type': CONTENT_TYPE }, req: koaReq, request: {} };
+      await expect(handler.createKoaMiddleware(options)(ctx, jest.fn())).rejects.toThrow('session store down');
+
+      expect(statusCode).toBe(500);
+      expect(next).toHaveBeenCalledWith(expect.any(Error));
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+
+  test('should accept multipart bodies through the HTTP listener', async () => {
+    const { payload } = await listen(createHandler().createHttpListener(), multipart([
+      { name: 'title', content: 'Via HTTP' },
+      { name: 'avatar', filename: 'me.gif', type: 'image/gif', content: 'gif' }
+    ]));
+
+    expect(payload.data.validated.title).toBe('Via HTTP');
+    expect(payload.data.validated.avatar.filename).toBe('me.gif');
+  });
+
+  test('should cap multipart bodies at the adapter bodyLimit', async () => {
+    // Within the parser's maxFileSize but over the adapter's bodyLimit
+    const raw = multipart([
+      { name: 'title', content: 'Large' },
+      { name: 'avatar', filename: 'me.gif', type: 'image/gif', content: 'gif' },
+      { name: 'attachments', filename: 'notes.txt', type: 'text/plain', content: 'x'.repeat(512) }
+    ]);
+
+    const capped = await listen(createHandler().createHttpListener({ bodyLimit: 256 }), raw);
+    const raised = await listen(createHandler().createHttpListener({ bodyLimit: 4096, uploads: { maxFileSize: 1024 } }), raw);
+
+    expect(capped.statusCode).toBe(413);
+    expect(capped.payload.error.code).toBe('PAYLOAD_TOO_LARGE');
+    expect(raised.statusCode).toBe(200);
+    expect(raised.payload.data.validated.attachments[0].size).toBe(512);
+  });
+
+  test('should document file params as multipart/form-data', () => {
+    const doc = OpenApiGenerator.generate(createHandler());
+    const content = doc.paths['/media'].post.requestBody.content;
+
+    expect(content['multipart/form-data'].schema.properties.avatar).toEqual({ type: 'string', contentMediaType: 'application/octet-stream' });
+    expect(content['multipart/form-data'].schema.properties.attachments.type).toBe('array');
+  });
+});
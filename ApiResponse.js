@@ -0,0 +1,237 @@
+const ResponseStream = require("./ResponseStream.js");
+
+// Marker shared across module copies so instanceof is not required to recognise a response
+const API_RESPONSE_MARKER = Symbol.for("apihandler.response");
+
+// Default content types per body kind
+const DEFAULT_CONTENT_TYPES = Object.freeze({
+  TEXT: "text/plain; charset=utf-8",
+  BINARY: "application/octet-stream"
+});
+
+const SAME_SITE_VALUES = ["Strict", "Lax", "None"];
+
+// RFC 9110 field-name token, and the field-value bytes Node accepts (no CR, LF or other controls)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const INVALID_HEADER_VALUE_PATTERN = /[^\t\x20-\x7e\x80-\xff]/;
+
+/**
+ * Class ApiResponse
+ *
+ * Explicit handler result for when `{ ok, status: 200, data }` is not enough: custom status
+ * codes, response headers, cookies and non-JSON bodies (text, Buffer, Readable stream, or
+ * item streams encoded as NDJSON/SSE). Handlers that return plain values keep the existing behaviour.
+ *
+ *   return ApiResponse.created({ id }, { location: `/users/${id}` });
+ *   return ApiResponse.text('pong').setHeader('Cache-Control', 'no-store');
+ *   return ApiResponse.binary(pdfBuffer, { contentType: 'application/pdf', filename: 'invoice.pdf' });
+ */
+class ApiResponse {
+  /**
+   * @param {object} [options] - { status, headers, cookies, body, contentType, streamFormat }.
+   */
+  constructor({ status = 200, headers = {}, cookies = [], body = undefined, contentType = null, streamFormat = null } = {}) {
+    this[API_RESPONSE_MARKER] = true;
+    this.status = status;
+    this.headers = { ...headers };
+    this.cookies = [...cookies];
+    this.body = body;
+    this.contentType = contentType;
+    // 'ndjson' or 'sse' when body is an async iterable of items rather than raw bytes
+    this.streamFormat = streamFormat;
+  }
+
+  static json(data, { status = 200, headers = {} } = {}) {
+    return new ApiResponse({ status, headers, body: data });
+  }
+
+  static created(data, { location = null, headers = {} } = {}) {
+    return new ApiResponse({ status: 201, headers: location ? { ...headers, Location: location } : headers, body: data });
+  }
+
+  static accepted(data, { headers = {} } = {}) {
+    return new ApiResponse({ status: 202, headers, body: data });
+  }
+
+  static noContent({ headers = {} } = {}) {
+    return new ApiResponse({ status: 204, headers });
+  }
+
+  static text(text, { status = 200, headers = {}, contentType = DEFAULT_CONTENT_TYPES.TEXT } = {}) {
+    return new ApiResponse({ status, headers, body: String(text), contentType });
+  }
+
+  static binary(buffer, { status = 200, headers = {}, contentType = DEFAULT_CONTENT_TYPES.BINARY, filename = null } = {}) {
+    const response = new ApiResponse({ status, headers, body: Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer), contentType });
+    if (filename) response.setHeader("Content-Disposition", ApiResponse.contentDisposition(filename));
+    return response;
+  }
+
+  static stream(readable, { status = 200, headers = {}, contentType = DEFAULT_CONTENT_TYPES.BINARY, filename = null } = {}) {
+    const response = new ApiResponse({ status, headers, body: readable, contentType });
+    if (filename) response.setHeader("Content-Disposition", ApiResponse.contentDisposition(filename));
+    return response;
+  }
+
+  /**
+   * Stream items from an async iterable or object-mode Readable as newline-delimited JSON.
+   */
+  static ndjson(source, { status = 200, headers = {} } = {}) {
+    const format = ResponseStream.STREAM_FORMATS.NDJSON;
+    return new ApiResponse({ status, headers, body: source, contentType: ResponseStream.STREAM_CONTENT_TYPES[format], streamFormat: format });
+  }
+
+  /**
+   * Stream items as Server-Sent Events; use ResponseStream.event() for named events or ids.
+   */
+  static sse(source, { status = 200, headers = {} } = {}) {
+    const format = ResponseStream.STREAM_FORMATS.SSE;
+    return new ApiResponse({ status, headers, body: source, contentType: ResponseStream.STREAM_CONTENT_TYPES[format], streamFormat: format });
+  }
+
+  static isApiResponse(value) {
+    return !!value && typeof value === "object" && value[API_RESPONSE_MARKER] === true;
+  }
+
+  static isStream(value) {
+    return !!value && typeof value === "object" && typeof value.pipe === "function";
+  }
+
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
+  /**
+   * Set the ETag validator, e.g. from a row version, so ApiHandler does not hash the body.
+   *
+   * @param {string} tag - Entity tag; quoted automatically when bare.
+   * @param {object} [options] - { weak } marks it as a weak validator.
+   *
+   * @returns {ApiResponse} this, for chaining.
+   */
+  setETag(tag, { weak = false } = {}) {
+    const value = String(tag);
+    const quoted = /^(W\/)?".*"$/.test(value) ? value : `"${value}"`;
+    return this.setHeader("ETag", weak && !quoted.startsWith("W/") ? `W/${quoted}` : quoted);
+  }
+
+  setLastModified(date) {
+    return this.setHeader("Last-Modified", (date instanceof Date ? date : new Date(date)).toUTCString());
+  }
+
+  /**
+   * Add a Set-Cookie entry.
+   *
+   * @param {string} name - Cookie name.
+   * @param {string} value - Cookie value (URI-encoded on serialization).
+   * @param {object} [options] - { maxAge, expires, path, domain, secure, httpOnly, sameSite }.
+   *
+   * @returns {ApiResponse} this, for chaining.
+   */
+  setCookie(name, value, options = {}) {
+    this.cookies.push({ name, value, options });
+    return this;
+  }
+
+  clearCookie(name, options = {}) {
+    return this.setCookie(name, "", { ...options, maxAge: 0, expires: new Date(0) });
+  }
+
+  /**
+   * Kind of body carried: 'empty', 'json', 'text', 'binary' or 'stream'.
+   */
+  get bodyType() {
+    if (this.body === undefined || this.body === null) return "empty";
+    if (this.streamFormat || ApiResponse.isStream(this.body)) return "stream";
+    if (Buffer.isBuffer(this.body)) return "binary";
+    if (typeof this.body === "string" && this.contentType) return "text";
+    return "json";
+  }
+
+  /**
+   * Check the response is sendable.
+   *
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  validate() {
+    if (!Number.isInteger(this.status) || this.status < 100 || this.status > 599) {
+      return `Invalid status code: ${this.status}`;
+    }
+    if ((this.status === 204 || this.status === 304) && this.bodyType !== "empty") {
+      return `Status ${this.status} must not carry a body`;
+    }
+    if (this.streamFormat && !ResponseStream.isStreamable(this.body)) {
+      return `${this.streamFormat} responses need an async iterable body`;
+    }
+    const headerError = ApiResponse.validateHeaders(this.headers);
+    if (headerError) return headerError;
+    for (const cookie of this.cookies) {
+      if (!HEADER_NAME_PATTERN.test(String(cookie.name || ""))) {
+        return `Invalid cookie name: ${cookie.name}`;
+      }
+      if (cookie.options.sameSite && !SAME_SITE_VALUES.includes(cookie.options.sameSite)) {
+        return `Invalid SameSite value for cookie ${cookie.name}: ${cookie.options.sameSite}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check header names and values can be written by the transport. An invalid one (e.g. a value
+   * with a newline) would otherwise make `res.setHeader` throw after the handler has finished.
+   *
+   * @param {object} headers - Header map; values may be strings, numbers or arrays of them.
+   *
+   * @returns {string|null} Problem description, or null when valid.
+   */
+  static validateHeaders(headers) {
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        return `Invalid header name: ${JSON.stringify(name)}`;
+      }
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item === undefined || item === null || INVALID_HEADER_VALUE_PATTERN.test(String(item))) {
+          return `Invalid value for header ${name}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Serialize one cookie into a Set-Cookie header value.
+   *
+   * @param {string} name - Cookie name.
+   * @param {string} value - Cookie value.
+   * @param {object} [options] - { maxAge, expires, path, domain, secure, httpOnly, sameSite }.
+   *
+   * @returns {string} Header value.
+   */
+  static serializeCookie(name, value, { maxAge, expires, path = "/", domain, secure, httpOnly = true, sameSite = "Lax" } = {}) {
+    const parts = [`${name}=${encodeURIComponent(String(value ?? ""))}`];
+    if (Number.isFinite(maxAge)) parts.push(`Max-Age=${Math.floor(maxAge)}`);
+    if (expires instanceof Date) parts.push(`Expires=${expires.toUTCString()}`);
+    if (domain) parts.push(`Domain=${domain}`);
+    if (path) parts.push(`Path=${path}`);
+    // Browsers drop SameSite=None cookies that are not Secure
+    if (secure || sameSite === "None") parts.push("Secure");
+    if (httpOnly) parts.push("HttpOnly");
+    if (sameSite) parts.push(`SameSite=${sameSite}`);
+    return parts.join("; ");
+  }
+
+  static contentDisposition(filename, type = "attachment") {
+    const fallback = String(filename).replace(/[^\x20-\x7E]|["\\]/g, "_");
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+}
+
+ApiResponse.DEFAULT_CONTENT_TYPES = DEFAULT_CONTENT_TYPES;
+
+module.exports = ApiResponse;
@@ -0,0 +1,364 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const StableJson = require("./StableJson.js");
+
+// Defaults for the built-in authenticators
+const DEFAULT_AUTH_CONFIG = Object.freeze({
+  API_KEY_HEADER: "x-api-key",
+  HMAC_SCHEME: "HMAC-SHA256",
+  HMAC_TIMESTAMP_HEADER: "x-signature-timestamp",
+  HMAC_MAX_SKEW_SECONDS: 300,
+  JWT_CLOCK_TOLERANCE_SECONDS: 30,
+  FILE_RELOAD_INTERVAL_MS: 1000
+});
+
+// JWS algorithms we verify, mapped to their node:crypto digest
+const JWT_ALGORITHMS = Object.freeze({
+  HS256: "sha256",
+  RS256: "RSA-SHA256"
+});
+
+/**
+ * Class Authenticators
+ *
+ * Factories for composable request authenticators. An authenticator is any object
+ * `{ name, scheme, authenticate(request) }` where `authenticate` receives
+ * `{ method, path, query, body, headers, context, timestamp }` and
+ *
+ *   - returns a principal `{ type, id, roles, scopes, ... }` when its credentials are valid,
+ *   - returns null when its credentials are absent (the next authenticator is tried),
+ *   - throws an error from Authenticators.authError() when credentials are present but invalid.
+ *
+ * ApiHandler runs the configured list in order and exposes the principal as `context.auth`.
+ */
+class Authenticators {
+  /**
+   * Static or rotating API keys.
+   *
+   * Key records: `{ id, key | hash, principal?, roles?, scopes?, notBefore?, expiresAt?, disabled? }`
+   * where `hash` is the hex SHA-256 of the key. Several records may share a principal so old and
+   * new keys overlap during rotation.
+   *
+   * @param {object} options - { keys, file, header, queryParam }; `file` is a JSON file holding `{ keys: [...] }`,
+   *   re-read when it changes.
+   *
+   * @returns {object} Authenticator.
+   */
+  static apiKey({ keys = null, file = null, header = DEFAULT_AUTH_CONFIG.API_KEY_HEADER, queryParam = null } = {}) {
+    if (!keys && !file) {
+      throw new TypeError("Authenticators.apiKey requires keys or file");
+    }
+    const loadKeys = file
+      ? Authenticators._watchedJsonFile(file, (json) => Authenticators._indexApiKeys(json.keys))
+      : (() => {
+        const index = Authenticators._indexApiKeys(keys);
+        return () => index;
+      })();
+
+    return {
+      name: "apiKey",
+      scheme: "ApiKey",
+      authenticate({ headers, query, timestamp }) {
+        const presented = Authenticators.getHeader(headers, header) || (queryParam && query ? query[queryParam] : null);
+        if (!presented) return null;
+
+        const record = loadKeys().get(Authenticators._sha256Hex(String(presented)));
+        if (!record || record.disabled) {
+          throw Authenticators.authError("Invalid API key", "INVALID_API_KEY");
+        }
+        const now = timestamp || Date.now();
+        if (record.notBefore && now < Date.parse(record.notBefore)) {
+          throw Authenticators.authError("API key is not active yet", "API_KEY_NOT_ACTIVE");
+        }
+        if (record.expiresAt && now >= Date.parse(record.expiresAt)) {
+          throw Authenticators.authError("API key has expired", "API_KEY_EXPIRED");
+        }
+        return {
+          type: "apiKey",
+          id: record.principal || record.id,
+          keyId: record.id,
+          roles: Array.isArray(record.roles) ? [...record.roles] : [],
+          scopes: Array.isArray(record.scopes) ? [...record.scopes] : []
+        };
+      }
+    };
+  }
+
+  /**
+   * Bearer JWT verification (HS256 / RS256).
+   *
+   * @param {object} options - { secret, publicKey, jwksFile, algorithms, issuer, audience,
+   *   clockTolerance, rolesClaim, scopesClaim }. `jwksFile` is a local JWKS document; keys are
+   *   picked by `kid` and the file is re-read when it changes.
+   *
+   * @returns {object} Authenticator.
+   */
+  static jwt({
+    secret = null,
+    publicKey = null,
+    jwksFile = null,
+    algorithms = null,
+    issuer = null,
+    audience = null,
+    clockTolerance = DEFAULT_AUTH_CONFIG.JWT_CLOCK_TOLERANCE_SECONDS,
+    rolesClaim = "roles",
+    scopesClaim = "scope"
+  } = {}) {
+    if (!secret && !publicKey && !jwksFile) {
+      throw new TypeError("Authenticators.jwt requires secret, publicKey or jwksFile");
+    }
+    const allowed = algorithms || [...(secret ? ["HS256"] : []), ...(publicKey ? ["RS256"] : []), ...(jwksFile ? ["HS256", "RS256"] : [])];
+    const staticPublicKey = publicKey ? crypto.createPublicKey(publicKey) : null;
+    const loadJwks = jwksFile ? Authenticators._watchedJsonFile(jwksFile, (json) => (Array.isArray(json.keys) ? json.keys : [])) : null;
+
+    const resolveKey = (header) => {
+      if (header.alg === "HS256" && secret) return secret;
+      if (header.alg === "RS256" && staticPublicKey) return staticPublicKey;
+      if (!loadJwks) return null;
+      const kty = header.alg === "HS256" ? "oct" : "RSA";
+      const candidates = loadJwks().filter(jwk => jwk.kty === kty && (!jwk.alg || jwk.alg === header.alg));
+      const jwk = header.kid ? candidates.find(k => k.kid === header.kid) : (candidates.length === 1 ? candidates[0] : null);
+      if (!jwk) return null;
+      return kty === "oct" ? Buffer.from(jwk.k, "base64url") : crypto.createPublicKey({ key: jwk, format: "jwk" });
+    };
+
+    return {
+      name: "jwt",
+      scheme: "Bearer",
+      authenticate({ headers, timestamp }) {
+        const authorization = String(Authenticators.getHeader(headers, "authorization") || "");
+        const match = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+        if (!match) return null;
+
+        const claims = Authenticators.verifyJwt(match[1], { resolveKey, algorithms: allowed, issuer, audience, clockTolerance, now: timestamp });
+        const rawScopes = claims[scopesClaim] ?? claims.scp;
+        return {
+          type: "jwt",
+          id: claims.sub || null,
+          roles: Array.isArray(claims[rolesClaim]) ? [...claims[rolesClaim]] : [],
+          scopes: Array.isArray(rawScopes) ? [...rawScopes] : String(rawScopes || "").split(" ").filter(Boolean),
+          claims
+        };
+      }
+    };
+  }
+
+  /**
+   * HMAC request signing with timestamp skew checks.
+   *
+   * Clients send `Authorization: HMAC-SHA256 keyId=<id>, signature=<hex>` and the signing time
+   * (epoch seconds) in `timestampHeader`; see signRequest() for the canonical string.
+   *
+   * @param {object} options - { secrets, file, timestampHeader, maxSkewSeconds }; `secrets` maps keyId to
+   *   `secret` or `{ secret, principal, roles, scopes }`, and `file` holds the same map as JSON.
+   *
+   * @returns {object} Authenticator.
+   */
+  static hmac({
+    secrets = null,
+    file = null,
+    timestampHeader = DEFAULT_AUTH_CONFIG.HMAC_TIMESTAMP_HEADER,
+    maxSkewSeconds = DEFAULT_AUTH_CONFIG.HMAC_MAX_SKEW_SECONDS
+  } = {}) {
+    if (!secrets && !file) {
+      throw new TypeError("Authenticators.hmac requires secrets or file");
+    }
+    const loadSecrets = file ? Authenticators._watchedJsonFile(file, (json) => json) : () => secrets;
+    const schemePattern = new RegExp(`^${DEFAULT_AUTH_CONFIG.HMAC_SCHEME}\\s+(.+)$`, "i");
+
+    return {
+      name: "hmac",
+      scheme: DEFAULT_AUTH_CONFIG.HMAC_SCHEME,
+      authenticate({ method, path, query, body, headers, timestamp }) {
+        const authorization = String(Authenticators.getHeader(headers, "authorization") || "");
+        const match = schemePattern.exec(authorization.trim());
+        if (!match) return null;
+
+        const params = Authenticators._parseAuthParams(match[1]);
+        if (!params.keyId || !params.signature) {
+          throw Authenticators.authError("Malformed HMAC authorization header", "INVALID_SIGNATURE");
+        }
+        const entry = loadSecrets()[params.keyId];
+        const secret = entry && typeof entry === "object" ? entry.secret : entry;
+        if (!secret) {
+          throw Authenticators.authError("Unknown HMAC key", "INVALID_SIGNATURE");
+        }
+
+        const signedAt = Number(Authenticators.getHeader(headers, timestampHeader));
+        if (!Number.isFinite(signedAt)) {
+          throw Authenticators.authError(`Missing or invalid ${timestampHeader} header`, "INVALID_SIGNATURE");
+        }
+        const nowSeconds = Math.floor((timestamp || Date.now()) / 1000);
+        if (Math.abs(nowSeconds - signedAt) > maxSkewSeconds) {
+          throw Authenticators.authError(`Request timestamp outside the allowed ${maxSkewSeconds}s window`, "SIGNATURE_EXPIRED");
+        }
+
+        const expected = Authenticators.signRequest({ method, path, query, body, timestamp: signedAt, secret });
+        if (!Authenticators._safeEqual(expected, String(params.signature).toLowerCase())) {
+          throw Authenticators.authError("Invalid request signature", "INVALID_SIGNATURE");
+        }
+        const details = entry && typeof entry === "object" ? entry : {};
+        return {
+          type: "hmac",
+          id: details.principal || params.keyId,
+          keyId: params.keyId,
+          roles: Array.isArray(details.roles) ? [...details.roles] : [],
+          scopes: Array.isArray(details.scopes) ? [...details.scopes] : []
+        };
+      }
+    };
+  }
+
+  /**
+   * Compute the HMAC signature for a request.
+   *
+   * Canonical string: METHOD, path, stable JSON of query, stable JSON of body and the timestamp,
+   * joined with newlines. Keys are sorted so clients need not reproduce field order.
+   *
+   * @param {object} request - { method, path, query, body, timestamp, secret }.
+   *
+   * @returns {string} Hex HMAC-SHA256 signature.
+   */
+  static signRequest({ method = "POST", path = "", query = {}, body = {}, timestamp, secret }) {
+    const canonical = [
+      String(method).toUpperCase(),
+      path || "",
+      StableJson.stringify(query || {}),
+      StableJson.stringify(body || {}),
+      String(timestamp)
+    ].join("\n");
+    return crypto.createHmac("sha256", secret).update(canonical).digest("hex");
+  }
+
+  /**
+   * Verify a compact JWS and return its claims.
+   *
+   * @param {string} token - Compact JWT.
+   * @param {object} options - { resolveKey(header), algorithms, issuer, audience, clockTolerance, now }.
+   *
+   * @returns {object} Verified claims.
+   */
+  static verifyJwt(token, { resolveKey, algorithms, issuer = null, audience = null, clockTolerance = 0, now = null }) {
+    const parts = String(token).split(".");
+    if (parts.length !== 3) {
+      throw Authenticators.authError("Malformed token", "INVALID_TOKEN");
+    }
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+      claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    } catch {
+      throw Authenticators.authError("Malformed token", "INVALID_TOKEN");
+    }
+    // Never trust alg from the token beyond the configured allow list ("none" is never allowed)
+    if (!header || !JWT_ALGORITHMS[header.alg] || !algorithms.includes(header.alg)) {
+      throw Authenticators.authError(`Token algorithm ${header && header.alg} is not allowed`, "INVALID_TOKEN");
+    }
+    const key = resolveKey(header);
+    if (!key) {
+      throw Authenticators.authError("No key available to verify token", "INVALID_TOKEN");
+    }
+
+    const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], "base64url");
+    const valid = header.alg === "HS256"
+      ? Authenticators._safeEqual(crypto.createHmac("sha256", key).update(signingInput).digest(), signature)
+      : crypto.verify(JWT_ALGORITHMS.RS256, signingInput, key, signature);
+    if (!valid) {
+      throw Authenticators.authError("Invalid token signature", "INVALID_TOKEN");
+    }
+
+    const nowSeconds = Math.floor((now || Date.now()) / 1000);
+    if (Number.isFinite(claims.exp) && nowSeconds - clockTolerance >= claims.exp) {
+      throw Authenticators.authError("Token has expired", "TOKEN_EXPIRED");
+    }
+    if (Number.isFinite(claims.nbf) && nowSeconds + clockTolerance < claims.nbf) {
+      throw Authenticators.authError("Token is not valid yet", "TOKEN_NOT_ACTIVE");
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw Authenticators.authError("Token issuer mismatch", "INVALID_TOKEN");
+    }
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      const expected = Array.isArray(audience) ? audience : [audience];
+      if (!audiences.some(aud => expected.includes(aud))) {
+        throw Authenticators.authError("Token audience mismatch", "INVALID_TOKEN");
+      }
+    }
+    return claims;
+  }
+
+  static authError(message, reason) {
+    const err = new Error(message);
+    err.status = 401;
+    err.code = "UNAUTHENTICATED";
+    err.reason = reason;
+    return err;
+  }
+
+  static isAuthError(err) {
+    return !!err && err.code === "UNAUTHENTICATED" && err.status === 401;
+  }
+
+  static getHeader(headers, name) {
+    if (!headers || typeof headers !== "object") return null;
+    const lower = name.toLowerCase();
+    for (const key of Object.keys(headers)) {
+      if (key.toLowerCase() === lower) return headers[key];
+    }
+    return null;
+  }
+
+  static _indexApiKeys(records) {
+    const index = new Map();
+    for (const record of Array.isArray(records) ? records : []) {
+      if (!record || (!record.key && !record.hash)) continue;
+      // Index by hash so plaintext keys are not held in the lookup table
+      index.set(record.hash ? String(record.hash).toLowerCase() : Authenticators._sha256Hex(String(record.key)), { ...record, key: undefined });
+    }
+    return index;
+  }
+
+  static _watchedJsonFile(filePath, transform) {
+    let cached = null;
+    let mtimeMs = -1;
+    let checkedAt = 0;
+    return () => {
+      const now = Date.now();
+      if (cached && now - checkedAt < DEFAULT_AUTH_CONFIG.FILE_RELOAD_INTERVAL_MS) return cached;
+      checkedAt = now;
+      const stat = fs.statSync(filePath);
+      if (!cached || stat.mtimeMs !== mtimeMs) {
+        cached = transform(JSON.parse(fs.readFileSync(filePath, "utf8")));
+        mtimeMs = stat.mtimeMs;
+      }
+      return cached;
+    };
+  }
+
+  static _parseAuthParams(text) {
+    const params = {};
+    const pattern = /([A-Za-z]+)\s*=\s*(?:"([^"]*)"|([^,\s]+))/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      params[match[1]] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return params;
+  }
+
+  static _sha256Hex(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  static _safeEqual(a, b) {
+    const left = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+    const right = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+}
+
+Authenticators.DEFAULT_AUTH_CONFIG = DEFAULT_AUTH_CONFIG;
+Authenticators.JWT_ALGORITHMS = JWT_ALGORITHMS;
+
+module.exports = Authenticators;
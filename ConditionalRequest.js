@@ -0,0 +1,85 @@
+const StableJson = require("./StableJson.js");
+
+// Methods whose responses carry validators and honour If-None-Match / If-Modified-Since
+const CONDITIONAL_METHODS = Object.freeze(['GET', 'HEAD']);
+
+// Representation metadata a 304 must not repeat (RFC 9110 §15.4.5)
+const CONTENT_HEADER_PATTERN = /^content-/i;
+
+/**
+ * Class ConditionalRequest
+ *
+ * Validators and conditional GET evaluation. ApiHandler tags successful GET/HEAD JSON results with
+ * a weak ETag over their `data` unless the handler supplied its own ETag or Last-Modified, and
+ * answers 304 Not Modified when the client's If-None-Match (or, without it, If-Modified-Since)
+ * shows its copy is current.
+ */
+class ConditionalRequest {
+  /**
+   * Entity tag over a JSON value, independent of key order.
+   *
+   * @param {*} data - Value to tag.
+   * @param {object} [options] - { weak } marks it as a weak validator.
+   *
+   * @returns {string} Quoted entity tag.
+   */
+  static entityTag(data, { weak = false } = {}) {
+    const tag = `"${StableJson.hash(data === undefined ? null : data, "base64url")}"`;
+    return weak ? `W/${tag}` : tag;
+  }
+
+  /**
+   * Weak comparison of an If-None-Match header against the response ETag.
+   *
+   * @param {string} ifNoneMatch - Header value: "*" or a comma-separated list of entity tags.
+   * @param {string} etag - Response ETag.
+   *
+   * @returns {boolean} True when one of the listed tags matches.
+   */
+  static etagMatches(ifNoneMatch, etag) {
+    if (!etag) return false;
+    const opaque = (tag) => String(tag).trim().replace(/^W\//, "");
+    const target = opaque(etag);
+    return String(ifNoneMatch).split(",").some(tag => tag.trim() === "*" || opaque(tag) === target);
+  }
+
+  /**
+   * Whether the representation is unchanged since If-Modified-Since (one-second resolution).
+   */
+  static notModifiedSince(ifModifiedSince, lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    if (Number.isNaN(since) || Number.isNaN(modified)) return false;
+    return Math.floor(modified / 1000) <= Math.floor(since / 1000);
+  }
+
+  /**
+   * Decide whether a request can be answered with 304.
+   *
+   * @param {object} requestHeaders - { 'if-none-match'?, 'if-modified-since'? } values from the request.
+   * @param {object} validators - { etag, lastModified } from the response.
+   *
+   * @returns {boolean} True when the client's copy is current.
+   */
+  static isNotModified({ ifNoneMatch, ifModifiedSince }, { etag, lastModified }) {
+    // If-None-Match takes precedence; If-Modified-Since is only consulted without it
+    if (ifNoneMatch !== undefined && ifNoneMatch !== null) {
+      return ConditionalRequest.etagMatches(ifNoneMatch, etag);
+    }
+    if (ifModifiedSince && lastModified) {
+      return ConditionalRequest.notModifiedSince(ifModifiedSince, lastModified);
+    }
+    return false;
+  }
+
+  /**
+   * Headers of a full response that a 304 keeps: validators, caching directives and the like.
+   */
+  static notModifiedHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers || {}).filter(([name]) => !CONTENT_HEADER_PATTERN.test(name)));
+  }
+}
+
+ConditionalRequest.CONDITIONAL_METHODS = CONDITIONAL_METHODS;
+
+module.exports = ConditionalRequest;
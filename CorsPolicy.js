@@ -0,0 +1,163 @@
+// Defaults applied when a CORS config omits a field
+const DEFAULT_CORS_CONFIG = Object.freeze({
+  MAX_AGE_SECONDS: 600,
+  PREFLIGHT_STATUS: 204
+});
+
+// Headers a browser may send without listing them in Access-Control-Request-Headers
+const SAFELISTED_REQUEST_HEADERS = ["accept", "accept-language", "content-language", "content-type"];
+
+/**
+ * Class CorsPolicy
+ *
+ * Normalizes CORS configuration (global `cors` option merged with per-route `entry.cors`)
+ * and builds the headers for preflight and regular responses. Config shape:
+ *
+ *   {
+ *     origins: '*' | string | RegExp | Function | Array<string|RegExp>,  // 'https://*.example.com' wildcards allowed
+ *     methods: ['GET', 'POST'],        // defaults to the route's methods
+ *     allowedHeaders: ['X-Token'],     // defaults to echoing Access-Control-Request-Headers
+ *     exposedHeaders: ['X-Request-Id'],
+ *     credentials: false,
+ *     maxAge: 600                      // seconds
+ *   }
+ *
+ * `true` is shorthand for `{ origins: '*' }`; `false` on a route disables CORS for it.
+ */
+class CorsPolicy {
+  /**
+   * Normalize a raw CORS config into a policy object.
+   *
+   * @param {boolean|object|null} config - Raw config.
+   *
+   * @returns {object|null} Policy, or null when CORS is disabled.
+   */
+  static normalize(config) {
+    if (!config) return null;
+    const raw = config === true ? {} : config;
+    if (typeof raw !== "object") return null;
+
+    const origins = raw.origins === undefined || raw.origins === "*" ? "*" : raw.origins;
+    return {
+      origins: typeof origins === "function" || origins === "*"
+        ? origins
+        : (Array.isArray(origins) ? origins : [origins]).map(CorsPolicy._compileOrigin).filter(Boolean),
+      methods: Array.isArray(raw.methods) ? raw.methods.map(m => String(m).toUpperCase()) : null,
+      allowedHeaders: Array.isArray(raw.allowedHeaders) ? raw.allowedHeaders.map(h => String(h)) : null,
+      exposedHeaders: Array.isArray(raw.exposedHeaders) ? raw.exposedHeaders.map(h => String(h)) : [],
+      credentials: raw.credentials === true,
+      maxAge: Number.isFinite(raw.maxAge) ? Math.max(0, Math.floor(raw.maxAge)) : DEFAULT_CORS_CONFIG.MAX_AGE_SECONDS
+    };
+  }
+
+  /**
+   * Resolve the effective policy for a route: route fields override the global config.
+   *
+   * @param {boolean|object|null} globalConfig - Constructor `cors` option.
+   * @param {boolean|object|undefined} routeConfig - `entry.cors`.
+   *
+   * @returns {object|null} Policy, or null when CORS does not apply.
+   */
+  static resolve(globalConfig, routeConfig) {
+    if (routeConfig === false) return null;
+    if (routeConfig === undefined || routeConfig === null) return CorsPolicy.normalize(globalConfig);
+
+    const base = globalConfig && typeof globalConfig === "object" ? globalConfig : {};
+    const override = routeConfig === true ? {} : routeConfig;
+    return CorsPolicy.normalize({ ...base, ...override });
+  }
+
+  /**
+   * Value for Access-Control-Allow-Origin, or null when the origin is not allowed.
+   *
+   * @param {object} policy - Normalized policy.
+   * @param {string} origin - Request Origin header.
+   *
+   * @returns {string|null} Allowed origin.
+   */
+  static matchOrigin(policy, origin) {
+    if (!policy || !origin) return null;
+    if (policy.origins === "*") {
+      // The wildcard cannot be combined with credentials, so echo the caller instead
+      return policy.credentials ? origin : "*";
+    }
+    if (typeof policy.origins === "function") {
+      return policy.origins(origin) ? origin : null;
+    }
+    return policy.origins.some(matcher => matcher.test(origin)) ? origin : null;
+  }
+
+  /**
+   * Evaluate a preflight request.
+   *
+   * @param {object} policy - Normalized policy.
+   * @param {object} request - { origin, requestMethod, requestHeaders, routeMethods }.
+   *
+   * @returns {{allowed: boolean, reason: string|null, headers: object}} Preflight outcome.
+   */
+  static preflight(policy, { origin, requestMethod, requestHeaders = "", routeMethods = [] }) {
+    const headers = { Vary: "Origin, Access-Control-Request-Method, Access-Control-Request-Headers" };
+    const allowOrigin = CorsPolicy.matchOrigin(policy, origin);
+    if (!allowOrigin) {
+      return { allowed: false, reason: `Origin ${origin} is not allowed`, headers };
+    }
+
+    const methods = policy.methods || routeMethods;
+    const method = String(requestMethod || "").toUpperCase();
+    if (!methods.includes(method)) {
+      return { allowed: false, reason: `Method ${method} is not allowed; allowed methods: ${methods.join(", ")}`, headers };
+    }
+
+    const requested = String(requestHeaders || "").split(",").map(h => h.trim()).filter(Boolean);
+    let allowHeaders = requested;
+    if (policy.allowedHeaders) {
+      const permitted = policy.allowedHeaders.map(h => h.toLowerCase());
+      const rejected = requested.filter(h => !permitted.includes(h.toLowerCase()) && !SAFELISTED_REQUEST_HEADERS.includes(h.toLowerCase()));
+      if (rejected.length > 0) {
+        return { allowed: false, reason: `Headers not allowed: ${rejected.join(", ")}`, headers };
+      }
+      allowHeaders = policy.allowedHeaders;
+    }
+
+    headers["Access-Control-Allow-Origin"] = allowOrigin;
+    headers["Access-Control-Allow-Methods"] = methods.join(", ");
+    if (allowHeaders.length > 0) headers["Access-Control-Allow-Headers"] = allowHeaders.join(", ");
+    if (policy.credentials) headers["Access-Control-Allow-Credentials"] = "true";
+    headers["Access-Control-Max-Age"] = String(policy.maxAge);
+    return { allowed: true, reason: null, headers };
+  }
+
+  /**
+   * Headers added to regular (non-preflight) responses.
+   *
+   * @param {object} policy - Normalized policy.
+   * @param {string} origin - Request Origin header.
+   *
+   * @returns {object} Headers; empty when the origin is not allowed.
+   */
+  static responseHeaders(policy, origin) {
+    const allowOrigin = CorsPolicy.matchOrigin(policy, origin);
+    if (!allowOrigin) {
+      return policy && policy.origins !== "*" ? { Vary: "Origin" } : {};
+    }
+
+    const headers = { "Access-Control-Allow-Origin": allowOrigin };
+    if (allowOrigin !== "*") headers.Vary = "Origin";
+    if (policy.credentials) headers["Access-Control-Allow-Credentials"] = "true";
+    if (policy.exposedHeaders.length > 0) headers["Access-Control-Expose-Headers"] = policy.exposedHeaders.join(", ");
+    return headers;
+  }
+
+  static _compileOrigin(origin) {
+    if (origin instanceof RegExp) return origin;
+    if (typeof origin !== "string" || origin.trim() === "") return null;
+
+    // 'https://*.example.com' matches any subdomain; everything else is literal
+    const source = origin.trim().split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]+");
+    return new RegExp(`^${source}$`, "i");
+  }
+}
+
+CorsPolicy.DEFAULT_CORS_CONFIG = DEFAULT_CORS_CONFIG;
+
+module.exports = CorsPolicy;
@@ -0,0 +1,142 @@
+const ErrorHandler = require("./ErrorHandler.js");
+const HttpAdapter = require("./HttpAdapter.js");
+const MultipartParser = require("./MultipartParser.js");
+
+/**
+ * Class FrameworkAdapters
+ *
+ * Middleware factories for mounting ApiHandler inside Express/Connect and Koa applications.
+ * Request parsing falls back to HttpAdapter when no body parser ran upstream, and responses
+ * are serialized through HttpAdapter.toHttpResponse so every transport writes the same shape.
+ */
+class FrameworkAdapters {
+  /**
+   * Create an Express/Connect `(req, res, next)` middleware.
+   *
+   * As with HttpAdapter.createListener, `bodyLimit` also caps multipart uploads.
+   *
+   * @param {ApiHandler} apiHandler - Handler instance to dispatch to.
+   * @param {object} [options] - { passThroughOnNotFound, bodyLimit, buildContext, uploads }.
+   *
+   * @returns {Function} Express/Connect middleware.
+   */
+  static createExpressMiddleware(apiHandler, { passThroughOnNotFound = false, bodyLimit = HttpAdapter.DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES, buildContext = null, uploads = {} } = {}) {
+    return async (req, res, next) => {
+      let files = null;
+      try {
+        const url = new URL(req.url || "/", "http://localhost");
+        let body = req.body;
+        let result;
+
+        // Read the body ourselves only when no body parser consumed it upstream
+        if (body === undefined && typeof req.on === "function" && !req.readableEnded) {
+          try {
+            ({ body, files } = HttpAdapter.parseRequestBody(await HttpAdapter.readBody(req, bodyLimit), req.headers?.["content-type"], uploads));
+          } catch (err) {
+            result = await apiHandler.handleRequestError(err, { method: req.method, headers: req.headers || {} });
+          }
+        }
+
+        if (!result) {
+          const extraContext = typeof buildContext === "function" ? await buildContext(req) : {};
+          result = await apiHandler.handleRootApi({
+            method: req.method,
+            // req.path is relative to the mount point in Express; Connect only has req.url
+            path: req.path || url.pathname,
+            query: req.query && typeof req.query === "object" ? req.query : HttpAdapter.parseQuery(url.searchParams),
+            body: body || {},
+            files,
+            headers: req.headers || {},
+            context: {
+              ...HttpAdapter.buildContext(req),
+              ip: req.ip || req.socket?.remoteAddress || null,
+              ...(extraContext || {})
+            }
+          });
+        }
+
+        if (passThroughOnNotFound && FrameworkAdapters._isRouteNotFound(result)) {
+          return next();
+        }
+
+        HttpAdapter.send(res, HttpAdapter.toHttpResponse(result));
+      } catch (err) {
+        MultipartParser.cleanup(files);
+        ErrorHandler.addError(`Express adapter failure: ${err?.message || err}`, {
+          code: "EXPRESS_ADAPTER_FAILED",
+          origin: "FrameworkAdapters.createExpressMiddleware",
+          data: { error: String(err), url: req.url }
+        });
+        next(err);
+      }
+    };
+  }
+
+  /**
+   * Create a Koa `(ctx, next)` middleware.
+   *
+   * As with HttpAdapter.createListener, `bodyLimit` also caps multipart uploads.
+   *
+   * @param {ApiHandler} apiHandler - Handler instance to dispatch to.
+   * @param {object} [options] - { passThroughOnNotFound, bodyLimit, buildContext, uploads }.
+   *
+   * @returns {Function} Koa middleware.
+   */
+  static createKoaMiddleware(apiHandler, { passThroughOnNotFound = false, bodyLimit = HttpAdapter.DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES, buildContext = null, uploads = {} } = {}) {
+    return async (ctx, next) => {
+      let body = ctx.request?.body;
+      let files = null;
+      let result;
+
+      // koa-bodyparser populates ctx.request.body; otherwise read from the raw stream
+      if (body === undefined && ctx.req && typeof ctx.req.on === "function" && !ctx.req.readableEnded) {
+        try {
+          ({ body, files } = HttpAdapter.parseRequestBody(await HttpAdapter.readBody(ctx.req, bodyLimit), ctx.get ? ctx.get("content-type") : ctx.headers?.["content-type"], uploads));
+        } catch (err) {
+          result = await apiHandler.handleRequestError(err, { method: ctx.method, headers: ctx.headers || {} });
+        }
+      }
+
+      if (!result) {
+        try {
+          const extraContext = typeof buildContext === "function" ? await buildContext(ctx) : {};
+          result = await apiHandler.handleRootApi({
+            method: ctx.method,
+            path: ctx.path,
+            query: ctx.query || {},
+            body: body || {},
+            files,
+            headers: ctx.headers || {},
+            context: {
+              ...(ctx.req ? HttpAdapter.buildContext(ctx.req) : {}),
+              ip: ctx.ip || null,
+              ...(extraContext || {})
+            }
+          });
+        } catch (err) {
+          // Koa's error handling answers the request; the uploads never reached handleRootApi
+          MultipartParser.cleanup(files);
+          throw err;
+        }
+      }
+
+      if (passThroughOnNotFound && FrameworkAdapters._isRouteNotFound(result)) {
+        return next();
+      }
+
+      const { statusCode, headers, body: responseBody } = HttpAdapter.toHttpResponse(result);
+      ctx.status = statusCode;
+      ctx.set(headers);
+      // Koa answers HEAD without a body itself; assigning one would overwrite Content-Length
+      if (result?.head === true) return;
+      // Koa would otherwise send an empty string body with a 204/304
+      ctx.body = HttpAdapter.EMPTY_BODY_STATUSES.includes(statusCode) ? null : responseBody;
+    };
+  }
+
+  static _isRouteNotFound(result) {
+    return !!result && result.ok === false && result.error?.code === "ROUTE_NOT_FOUND";
+  }
+}
+
+module.exports = FrameworkAdapters;
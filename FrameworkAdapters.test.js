@@ -0,0 +1,207 @@
+/**
+ * FrameworkAdapters Test Suite
+ *
+ * Tests for the Express/Connect and Koa middleware factories
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const { Readable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        create: {
+          params: [{ name: "name", type: "string", required: true }]
+        },
+        get: {
+          path: '/users/:id',
+          params: [{ name: "id", type: "int", required: true }]
+        }
+      }
+    }
+  ]
+};
+
+const createHandler = () => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils
+});
+
+// Express-style request/response doubles (body parser already ran)
+const createExpressRequest = ({ method = 'GET', path = '/', query = {}, body, headers = {} }) => ({
+  method,
+  url: path,
+  path,
+  query,
+  body,
+  headers,
+  ip: '10.0.0.1',
+  socket: { remoteAddress: '10.0.0.1' }
+});
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.end = (body) => { res.body = body; };
+  return res;
+};
+
+const createKoaContext = ({ method = 'GET', path = '/', query = {}, body, headers = {} }) => {
+  const ctx = { method, path, query, headers, ip: '10.0.0.2', request: { body }, status: 404, body: undefined, responseHeaders: {} };
+  ctx.set = (fields) => { Object.assign(ctx.responseHeaders, fields); };
+  return ctx;
+};
+
+describe('FrameworkAdapters', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ validated: input.validated, ip: input.context.ip })]
+    }));
+  });
+
+  describe('Express/Connect middleware', () => {
+    test('should dispatch req.query, req.body and req.headers to handleRootApi', async () => {
+      const middleware = createHandler().createExpressMiddleware();
+      const res = createResponse();
+      const next = jest.fn();
+
+      await middleware(createExpressRequest({
+        method: 'POST',
+        body: { namespace: 'users', action: 'create', name: 'Ann' },
+        headers: { 'content-type': 'application/json' }
+      }), res, next);
+
+      const payload = JSON.parse(res.body);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(payload.data).toEqual({ validated: { name: 'Ann' }, ip: '10.0.0.1' });
+      expect(res.headers['x-request-id']).toBe(payload.requestId);
+    });
+
+    test('should route using req.path', async () => {
+      const middleware = createHandler().createExpressMiddleware();
+      const res = createResponse();
+
+      await middleware(createExpressRequest({ path: '/users/8' }), res, jest.fn());
+
+      expect(JSON.parse(res.body).data.validated.id).toBe(8);
+    });
+
+    test('should write the standardized error shape with its status code', async () => {
+      const middleware = createHandler().createExpressMiddleware();
+      const res = createResponse();
+
+      await middleware(createExpressRequest({ query: { namespace: 'users', action: 'nope' } }), res, jest.fn());
+
+      const payload = JSON.parse(res.body);
+      expect(res.statusCode).toBe(404);
+      expect(payload.ok).toBe(false);
+      expect(payload.error).toEqual(expect.objectContaining({ code: 'ROUTE_NOT_FOUND', requestId: expect.any(String) }));
+    });
+
+    test('should call next() for unmatched routes when passThroughOnNotFound is set', async () => {
+      const middleware = createHandler().createExpressMiddleware({ passThroughOnNotFound: true });
+      const res = createResponse();
+      const next = jest.fn();
+
+      await middleware(createExpressRequest({ path: '/static/app.js' }), res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.body).toBeNull();
+    });
+
+    test('should read the raw stream when no body parser is mounted', async () => {
+      const middleware = createHandler().createExpressMiddleware();
+      const req = Readable.from([Buffer.from(JSON.stringify({ namespace: 'users', action: 'create', name: 'Raw' }))]);
+      Object.assign(req, { method: 'POST', url: '/', headers: { 'content-type': 'application/json' }, socket: {} });
+      const res = createResponse();
+
+      await middleware(req, res, jest.fn());
+
+      expect(JSON.parse(res.body).data.validated.name).toBe('Raw');
+    });
+  });
+
+  describe('Koa middleware', () => {
+    test('should set ctx.status, headers and body from the result', async () => {
+      const middleware = createHandler().createKoaMiddleware();
+      const ctx = createKoaContext({ query: { namespace: 'users', action: 'create', name: 'Kay' } });
+
+      await middleware(ctx, jest.fn());
+
+      const payload = JSON.parse(ctx.body);
+      expect(ctx.status).toBe(200);
+      expect(payload.data).toEqual({ validated: { name: 'Kay' }, ip: '10.0.0.2' });
+      expect(ctx.responseHeaders['X-Request-Id']).toBe(payload.requestId);
+    });
+
+    test('should map error statuses', async () => {
+      const middleware = createHandler().createKoaMiddleware();
+      const ctx = createKoaContext({ method: 'POST', body: { namespace: 'users', action: 'create', name: 'x' } });
+      mockSafeUtils.sanitizeValidate.mockImplementationOnce(() => { throw new Error('Missing required parameter: name'); });
+
+      await middleware(ctx, jest.fn());
+
+      expect(ctx.status).toBe(400);
+      expect(JSON.parse(ctx.body).error.code).toBe('VALIDATION_FAILED');
+    });
+
+    test('should leave the body unset for HEAD so Koa keeps Content-Length', async () => {
+      const middleware = createHandler().createKoaMiddleware();
+      const ctx = createKoaContext({ method: 'HEAD', path: '/users/7' });
+
+      await middleware(ctx, jest.fn());
+
+      expect(ctx.status).toBe(200);
+      expect(ctx.body).toBeUndefined();
+      expect(Number(ctx.responseHeaders['Content-Length'])).toBeGreaterThan(0);
+    });
+
+    test('should await next() for unmatched routes when passThroughOnNotFound is set', async () => {
+      const middleware = createHandler().createKoaMiddleware({ passThroughOnNotFound: true });
+      const ctx = createKoaContext({ path: '/elsewhere' });
+      const next = jest.fn(async () => { ctx.body = 'downstream'; });
+
+      await middleware(ctx, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(ctx.body).toBe('downstream');
+    });
+  });
+});
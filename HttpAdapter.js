@@ -0,0 +1,316 @@
+const { pipeline } = require("stream");
+const ErrorHandler = require("./ErrorHandler.js");
+const MultipartParser = require("./MultipartParser.js");
+
+// Default adapter configuration constants
+const DEFAULT_HTTP_CONFIG = Object.freeze({
+  // Caps the whole request, multipart uploads included (see createListener)
+  BODY_LIMIT_BYTES: 1024 * 1024,
+  JSON_CONTENT_TYPE: "application/json; charset=utf-8",
+  TEXT_CONTENT_TYPE: "text/plain; charset=utf-8",
+  BINARY_CONTENT_TYPE: "application/octet-stream"
+});
+
+// Statuses that must not carry a response body (RFC 9110 §6.4.1)
+const EMPTY_BODY_STATUSES = [204, 304];
+
+/**
+ * Class HttpAdapter
+ *
+ * Translates Node `http` IncomingMessage/ServerResponse pairs to and from the
+ * `{ method, path, query, body, headers, context }` shape that ApiHandler.handleRootApi expects.
+ * The parsing and serialization helpers are shared by the framework and Lambda adapters.
+ */
+class HttpAdapter {
+  /**
+   * Create a `(req, res)` listener suitable for `http.createServer()`.
+   *
+   * `bodyLimit` applies to the raw request before multipart parsing, so it also caps uploads:
+   * a file larger than `bodyLimit` is rejected with 413 PAYLOAD_TOO_LARGE even when it is
+   * within `uploads.maxFileSize`. Raise `bodyLimit` alongside `uploads.maxFileSize` to accept
+   * larger files.
+   *
+   * @param {ApiHandler} apiHandler - Handler instance to dispatch to.
+   * @param {object} [options] - { bodyLimit, basePath, buildContext, uploads }.
+   *
+   * @returns {Function} Async request listener.
+   */
+  static createListener(apiHandler, { bodyLimit = DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES, basePath = "", buildContext = null, uploads = {} } = {}) {
+    return async (req, res) => {
+      let result;
+      let files = null;
+      try {
+        const url = new URL(req.url || "/", "http://localhost");
+        let body = {};
+        try {
+          const raw = await HttpAdapter.readBody(req, bodyLimit);
+          ({ body, files } = HttpAdapter.parseRequestBody(raw, req.headers["content-type"], uploads));
+        } catch (err) {
+          result = await apiHandler.handleRequestError(err, { method: req.method, headers: req.headers || {} });
+        }
+
+        if (!result) {
+          const extraContext = typeof buildContext === "function" ? await buildContext(req) : {};
+          result = await apiHandler.handleRootApi({
+            method: req.method,
+            path: HttpAdapter.stripBasePath(url.pathname, basePath),
+            query: HttpAdapter.parseQuery(url.searchParams),
+            body,
+            files,
+            headers: req.headers || {},
+            context: { ...HttpAdapter.buildContext(req), ...(extraContext || {}) }
+          });
+        }
+      } catch (err) {
+        // handleRootApi never got the uploads (e.g. buildContext threw), so their temp files are ours to delete
+        MultipartParser.cleanup(files);
+        ErrorHandler.addError(`HTTP adapter failure: ${err?.message || err}`, {
+          code: "HTTP_ADAPTER_FAILED",
+          origin: "HttpAdapter.createListener",
+          data: { error: String(err), url: req.url }
+        });
+        result = apiHandler._errorResponse(500, "Internal server error - adapter failure", null, "HTTP_ADAPTER_FAILED");
+      }
+
+      try {
+        HttpAdapter.send(res, HttpAdapter.toHttpResponse(result));
+      } catch (err) {
+        HttpAdapter.sendFailure(res, err, req);
+      }
+    };
+  }
+
+  /**
+   * Last resort when writing a result fails (e.g. `res.setHeader` rejects a header value):
+   * answer a plain 500 while nothing has been sent yet, otherwise abort the connection.
+   *
+   * @param {ServerResponse} res - Response being written.
+   * @param {Error} err - Failure raised while sending.
+   * @param {IncomingMessage} [req] - Request, for the error log.
+   */
+  static sendFailure(res, err, req = null) {
+    ErrorHandler.addError(`HTTP response failed: ${err?.message || err}`, {
+      code: "HTTP_RESPONSE_FAILED",
+      origin: "HttpAdapter.sendFailure",
+      data: { error: String(err), url: req?.url || null }
+    });
+    if (res.headersSent) {
+      if (typeof res.destroy === "function") res.destroy();
+      return;
+    }
+    // Drop whatever was set before the failure; it may be the offending header
+    if (typeof res.getHeaderNames === "function") {
+      for (const name of res.getHeaderNames()) res.removeHeader(name);
+    }
+    const body = "Internal Server Error";
+    res.statusCode = 500;
+    res.setHeader("Content-Type", DEFAULT_HTTP_CONFIG.TEXT_CONTENT_TYPE);
+    res.setHeader("Content-Length", String(Buffer.byteLength(body)));
+    res.end(body);
+  }
+
+  /**
+   * Collect the request body, rejecting once it exceeds `limit` bytes.
+   *
+   * @param {IncomingMessage} req - Readable request stream.
+   * @param {number} limit - Maximum body size in bytes.
+   *
+   * @returns {Promise<Buffer>} Raw body buffer.
+   */
+  static readBody(req, limit = DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES) {
+    return new Promise((resolve, reject) => {
+      // Fail fast when the client announces an oversized body
+      const declared = parseInt(req.headers?.["content-length"], 10);
+      if (!isNaN(declared) && declared > limit) {
+        reject(HttpAdapter.createBodyError(413, `Request body exceeds limit of ${limit} bytes`, "PAYLOAD_TOO_LARGE"));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      let done = false;
+
+      req.on("data", (chunk) => {
+        if (done) return;
+        size += chunk.length;
+        if (size > limit) {
+          done = true;
+          reject(HttpAdapter.createBodyError(413, `Request body exceeds limit of ${limit} bytes`, "PAYLOAD_TOO_LARGE"));
+          return;
+        }
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      });
+      req.on("end", () => {
+        if (done) return;
+        done = true;
+        resolve(Buffer.concat(chunks));
+      });
+      req.on("error", (err) => {
+        if (done) return;
+        done = true;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Parse a raw body according to its Content-Type (JSON and urlencoded).
+   *
+   * @param {Buffer|string} raw - Raw body.
+   * @param {string} [contentType] - Request Content-Type header.
+   *
+   * @returns {object} Parsed body (empty object when there is no body).
+   */
+  static parseBody(raw, contentType = "") {
+    const text = Buffer.isBuffer(raw) ? raw.toString("utf8") : String(raw || "");
+    if (!text.trim()) return {};
+
+    const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+
+    if (!type || type === "application/json" || type.endsWith("+json")) {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        throw HttpAdapter.createBodyError(400, `Invalid JSON body: ${err.message}`, "INVALID_JSON_BODY");
+      }
+    }
+    if (type === "application/x-www-form-urlencoded") {
+      return HttpAdapter.parseQuery(new URLSearchParams(text));
+    }
+
+    throw HttpAdapter.createBodyError(415, `Unsupported content type: ${type}`, "UNSUPPORTED_MEDIA_TYPE");
+  }
+
+  /**
+   * Parse a raw body into handleRootApi's `body` and `files` arguments. Multipart bodies are
+   * split into text fields and uploaded files; every other type goes through parseBody().
+   *
+   * @param {Buffer|string} raw - Raw body.
+   * @param {string} [contentType] - Request Content-Type header.
+   * @param {object} [uploads] - MultipartParser options { storage, tempDir, maxFileSize, maxFiles, maxFields }.
+   *
+   * @returns {{ body: object, files: Array<object>|null }} Parsed request body.
+   */
+  static parseRequestBody(raw, contentType = "", uploads = {}) {
+    if (MultipartParser.isMultipart(contentType)) {
+      const { fields, files } = MultipartParser.parse(raw, contentType, uploads || {});
+      return { body: fields, files };
+    }
+    return { body: HttpAdapter.parseBody(raw, contentType), files: null };
+  }
+
+  /**
+   * Convert URLSearchParams into a plain object; repeated keys become arrays.
+   *
+   * @param {URLSearchParams|string} searchParams - Parsed or raw query string.
+   *
+   * @returns {object} Query object.
+   */
+  static parseQuery(searchParams) {
+    const params = searchParams instanceof URLSearchParams ? searchParams : new URLSearchParams(String(searchParams || ""));
+    const query = {};
+    for (const [key, value] of params) {
+      if (Object.prototype.hasOwnProperty.call(query, key)) {
+        query[key] = Array.isArray(query[key]) ? [...query[key], value] : [query[key], value];
+      } else {
+        query[key] = value;
+      }
+    }
+    return query;
+  }
+
+  static stripBasePath(pathname, basePath = "") {
+    const base = String(basePath || "").replace(/\/+$/, "");
+    if (base && (pathname === base || pathname.startsWith(base + "/"))) {
+      return pathname.slice(base.length) || "/";
+    }
+    return pathname;
+  }
+
+  static buildContext(req) {
+    return {
+      ip: req.socket?.remoteAddress || null,
+      userAgent: req.headers?.["user-agent"] || null,
+      url: req.url || null,
+      httpVersion: req.httpVersion || null
+    };
+  }
+
+  /**
+   * Map an ApiHandler result onto an HTTP status, headers and serialized body.
+   *
+   * Results built from an ApiResponse with a text, Buffer or stream body carry it in
+   * `result.body` and are sent as-is instead of the JSON envelope. HEAD results (`head: true`)
+   * are sent with their headers only.
+   *
+   * @param {object} result - `{ ok, status, data, error, requestId, headers?, body?, contentType?, head? }` from handleRootApi.
+   *
+   * @returns {{ statusCode: number, headers: object, body: string|Buffer|Readable }} Transport-neutral response.
+   */
+  static toHttpResponse(result) {
+    const safeResult = result && typeof result === "object" ? result : { ok: false, status: 500 };
+    const statusCode = Number.isInteger(safeResult.status) && safeResult.status >= 100 && safeResult.status <= 599
+      ? safeResult.status
+      : (safeResult.ok === false ? 500 : 200);
+    const requestId = safeResult.requestId || safeResult.error?.requestId || null;
+
+    // Route-supplied headers (deprecation, etc.) travel on the transport, not in the JSON envelope
+    const { headers: resultHeaders, body: rawBody, contentType, ...envelope } = safeResult;
+    const headers = { ...(resultHeaders && typeof resultHeaders === "object" ? resultHeaders : {}) };
+    let body = "";
+    if (EMPTY_BODY_STATUSES.includes(statusCode)) {
+      // No body, no content headers
+    } else if (safeResult.head === true) {
+      // HEAD: the headers already describe the GET representation; only the body is left out
+    } else if (rawBody !== undefined && rawBody !== null) {
+      body = rawBody;
+      headers["Content-Type"] = contentType || (typeof rawBody === "string" ? DEFAULT_HTTP_CONFIG.TEXT_CONTENT_TYPE : DEFAULT_HTTP_CONFIG.BINARY_CONTENT_TYPE);
+      // Streams are sent chunked; their length is unknown up front
+      if (typeof rawBody === "string" || Buffer.isBuffer(rawBody)) {
+        headers["Content-Length"] = String(Buffer.byteLength(rawBody));
+      }
+    } else {
+      body = JSON.stringify(envelope);
+      headers["Content-Type"] = DEFAULT_HTTP_CONFIG.JSON_CONTENT_TYPE;
+      headers["Content-Length"] = String(Buffer.byteLength(body));
+    }
+    if (requestId && requestId !== "unknown") {
+      headers["X-Request-Id"] = requestId;
+    }
+
+    return { statusCode, headers, body };
+  }
+
+  static send(res, { statusCode, headers, body }) {
+    res.statusCode = statusCode;
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+    if (body && typeof body.pipe === "function") {
+      // pipeline() destroys the body when the client disconnects, releasing files and generators.
+      // Headers are already flushed once streaming starts, so a failing stream can only abort the socket.
+      pipeline(body, res, (err) => {
+        if (!err || err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+        ErrorHandler.addError(`Response stream failed: ${err?.message || err}`, {
+          code: "RESPONSE_STREAM_FAILED",
+          origin: "HttpAdapter.send",
+          data: { error: String(err) }
+        });
+      });
+      return;
+    }
+    res.end(body);
+  }
+
+  static createBodyError(status, message, code) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+  }
+}
+
+HttpAdapter.DEFAULT_HTTP_CONFIG = DEFAULT_HTTP_CONFIG;
+HttpAdapter.EMPTY_BODY_STATUSES = EMPTY_BODY_STATUSES;
+
+module.exports = HttpAdapter;
@@ -0,0 +1,288 @@
+/**
+ * HttpAdapter Test Suite
+ *
+ * Tests for the Node http listener wrapping ApiHandler.handleRootApi
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const http = require('http');
+const { Readable } = require('stream');
+const ApiHandler = require('./ApiHandler.js');
+const ApiResponse = require('./ApiResponse.js');
+const HttpAdapter = require('./HttpAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        create: {
+          params: [
+            { name: "name", type: "string", required: true },
+            { name: "tags", type: "array", required: false }
+          ]
+        },
+        orders: {
+          path: '/users/:id/orders',
+          params: [{ name: "id", type: "int", required: true }]
+        }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils,
+  ...options
+});
+
+// Minimal IncomingMessage/ServerResponse doubles
+const createRequest = ({ method = 'GET', url = '/', headers = {}, body = null }) => {
+  const req = Readable.from(body === null ? [] : [Buffer.from(body)]);
+  req.method = method;
+  req.url = url;
+  req.headers = headers;
+  req.httpVersion = '1.1';
+  req.socket = { remoteAddress: '127.0.0.1' };
+  return req;
+};
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.end = (body) => { res.body = body; };
+  return res;
+};
+
+describe('HttpAdapter', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ validated: input.validated, context: input.context })]
+    }));
+  });
+
+  describe('Request translation', () => {
+    test('should parse query strings for GET requests', async () => {
+      const listener = createHandler().createHttpListener();
+      const res = createResponse();
+
+      await listener(createRequest({ url: '/?namespace=users&action=create&name=Ann' }), res);
+
+      const payload = JSON.parse(res.body);
+      expect(res.statusCode).toBe(200);
+      expect(payload.data.validated.name).toBe('Ann');
+      expect(payload.data.context.ip).toBe('127.0.0.1');
+    });
+
+    test('should parse JSON bodies', async () => {
+      const listener = createHandler().createHttpListener();
+      const res = createResponse();
+
+      await listener(createRequest({
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ namespace: 'users', action: 'create', name: 'Bob' })
+      }), res);
+
+      expect(JSON.parse(res.body).data.validated.name).toBe('Bob');
+    });
+
+    test('should parse urlencoded bodies with repeated keys as arrays', async () => {
+      const listener = createHandler().createHttpListener();
+      const res = createResponse();
+
+      await listener(createRequest({
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'namespace=users&action=create&name=Cy&tags=a&tags=b'
+      }), res);
+
+      expect(JSON.parse(res.body).data.validated).toEqual({ name: 'Cy', tags: ['a', 'b'] });
+    });
+
+    test('should route by URL path and strip basePath', async () => {
+      const listener = createHandler().createHttpListener({ basePath: '/api' });
+      const res = createResponse();
+
+      await listener(createRequest({ url: '/api/users/12/orders' }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.body).data.validated.id).toBe(12);
+    });
+
+    test('should merge custom context from buildContext', async () => {
+      const listener = createHandler().createHttpListener({ buildContext: () => ({ tenant: 'acme' }) });
+      const res = createResponse();
+
+      await listener(createRequest({ url: '/?namespace=users&action=create&name=Di' }), res);
+
+      expect(JSON.parse(res.body).data.context.tenant).toBe('acme');
+    });
+  });
+
+  describe('Body limits and errors', () => {
+    test('should reject bodies over the size limit with 413', async () => {
+      const listener = createHandler().createHttpListener({ bodyLimit: 10 });
+      const res = createResponse();
+
+      await listener(createRequest({
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ namespace: 'users', action: 'create', name: 'too long' })
+      }), res);
+
+      expect(res.statusCode).toBe(413);
+      expect(JSON.parse(res.body).error.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    test('should give body errors a request id and CORS headers for allowed origins', async () => {
+      const listener = createHandler({ cors: { origins: ['https://app.example.com'] } }).createHttpListener({ bodyLimit: 10 });
+      const res = createResponse();
+
+      await listener(createRequest({
+        method: 'POST',
+        headers: { 'content-type': 'application/json', origin: 'https://app.example.com' },
+        body: JSON.stringify({ namespace: 'users', action: 'create', name: 'too long' })
+      }), res);
+
+      const payload = JSON.parse(res.body);
+      expect(res.statusCode).toBe(413);
+      expect(payload.error.requestId).toMatch(/^req_/);
+      expect(res.headers['x-request-id']).toBe(payload.error.requestId);
+      expect(res.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    });
+
+    test('should reject malformed JSON with 400', async () => {
+      const listener = createHandler().createHttpListener();
+      const res = createResponse();
+
+      await listener(createRequest({ method: 'POST', headers: { 'content-type': 'application/json' }, body: '{bad' }), res);
+
+      expect(res.statusCode).toBe(400);
+      expect(JSON.parse(res.body).error.code).toBe('INVALID_JSON_BODY');
+    });
+
+    test('should reject unsupported content types with 415', () => {
+      expect(() => HttpAdapter.parseBody('x', 'application/xml')).toThrow(/Unsupported content type/);
+    });
+  });
+
+  describe('Response translation', () => {
+    test('should map status codes and set X-Request-Id on errors', async () => {
+      const listener = createHandler().createHttpListener();
+      const res = createResponse();
+
+      await listener(createRequest({ url: '/?namespace=missing&action=nope' }), res);
+
+      const payload = JSON.parse(res.body);
+      expect(res.statusCode).toBe(404);
+      expect(res.headers['x-request-id']).toBe(payload.error.requestId);
+      expect(res.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    test('should set X-Request-Id from successful results', () => {
+      const response = HttpAdapter.toHttpResponse({ ok: true, status: 200, data: {}, requestId: 'req_1_ab' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['X-Request-Id']).toBe('req_1_ab');
+      expect(response.headers['Content-Length']).toBe(String(Buffer.byteLength(response.body)));
+    });
+
+    test('should serve real requests through http.createServer', async () => {
+      const server = http.createServer(createHandler().createHttpListener());
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        const response = await fetch(`http://127.0.0.1:${port}/users/3/orders`);
+        const payload = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('x-request-id')).toBe(payload.requestId);
+        expect(payload.data.validated.id).toBe(3);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    test('should answer 500 when the result cannot be written', async () => {
+      // A result whose header value Node refuses, as a misbehaving handler might produce
+      const apiHandler = { handleRootApi: async () => ({ ok: true, status: 200, data: {}, requestId: 'r', headers: { 'X-Trace': 'a\nb' } }) };
+      const server = http.createServer(HttpAdapter.createListener(apiHandler));
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        const response = await fetch(`http://127.0.0.1:${port}/users/3/orders`);
+
+        expect(response.status).toBe(500);
+        expect(response.headers.get('x-trace')).toBeNull();
+        expect(await response.text()).toBe('Internal Server Error');
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    test('should destroy stream bodies when the client disconnects mid-stream', async () => {
+      // An endless source, like a large file, that only stops when destroyed
+      const source = new Readable({ read() { setTimeout(() => this.push(Buffer.alloc(1024, 'x')), 5); } });
+      const closed = new Promise((resolve) => source.on('close', resolve));
+      mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+        handlerFns: [() => ApiResponse.stream(source)]
+      }));
+      const server = http.createServer(createHandler().createHttpListener());
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        await new Promise((resolve, reject) => {
+          const req = http.get(`http://127.0.0.1:${port}/users/3/orders`, (response) => {
+            response.once('data', () => { req.destroy(); resolve(); });
+          });
+          req.on('error', reject);
+        });
+        await Promise.race([closed, new Promise((resolve) => setTimeout(resolve, 1000))]);
+
+        expect(source.destroyed).toBe(true);
+      } finally {
+        source.destroy();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
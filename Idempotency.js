@@ -0,0 +1,138 @@
+const MemoryStore = require("./MemoryStore.js");
+const StableJson = require("./StableJson.js");
+
+// Record lifetimes and key limits
+const DEFAULT_IDEMPOTENCY_CONFIG = Object.freeze({
+  HEADER: "idempotency-key",
+  TTL_MS: 24 * 60 * 60 * 1000,
+  IN_FLIGHT_TTL_MS: 5 * 60 * 1000,
+  MAX_KEY_LENGTH: 255
+});
+
+const RECORD_STATES = Object.freeze({
+  IN_FLIGHT: "in_flight",
+  COMPLETED: "completed"
+});
+
+/**
+ * Class Idempotency
+ *
+ * Remembers the outcome of requests carrying an Idempotency-Key so retries replay it instead of
+ * running the handlers again. Records are keyed by principal + route + key and carry a fingerprint
+ * of the payload; reusing a key with a different payload is reported as a mismatch.
+ *
+ * A duplicate that arrives while the original is still running waits for it when both are in this
+ * process, and is reported as in progress when the original runs elsewhere (shared store).
+ * Only JSON results below 500 are stored; server errors release the key so the client can retry.
+ *
+ * Store interface: MemoryStore's get / set / reserve / delete.
+ */
+class Idempotency {
+  /**
+   * @param {object} [options] - { store, ttlMs, inFlightTtlMs }.
+   */
+  constructor({ store = null, ttlMs = DEFAULT_IDEMPOTENCY_CONFIG.TTL_MS, inFlightTtlMs = DEFAULT_IDEMPOTENCY_CONFIG.IN_FLIGHT_TTL_MS } = {}) {
+    this.store = store || new MemoryStore();
+    this.ttlMs = ttlMs;
+    this.inFlightTtlMs = inFlightTtlMs;
+    // storeKey -> { promise, resolve } for originals running in this process
+    this._pending = new Map();
+  }
+
+  static storeKey({ principal, namespace, actionKey, key }) {
+    return `idempotency:${principal || "anonymous"}:${namespace}/${actionKey}:${key}`;
+  }
+
+  static fingerprint({ method, args }) {
+    return StableJson.hash({ method: String(method || "").toUpperCase(), args: args || {} });
+  }
+
+  /**
+   * Check an Idempotency-Key header value.
+   *
+   * @returns {string|null} Problem description, or null when usable.
+   */
+  static validateKey(key) {
+    if (typeof key !== "string" || key.trim() === "") return "Idempotency-Key must be a non-empty string";
+    if (key.length > DEFAULT_IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH) {
+      return `Idempotency-Key must be at most ${DEFAULT_IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Claim a key or find its previous outcome.
+   *
+   * @param {string} storeKey - Key from storeKey().
+   * @param {string} fingerprint - Payload fingerprint.
+   * @param {number} now - Current time in ms.
+   *
+   * @returns {Promise<object>} `{ outcome: 'proceed' }`, `{ outcome: 'replay', result }`,
+   *   `{ outcome: 'mismatch' }` or `{ outcome: 'in_progress' }`.
+   */
+  async begin(storeKey, fingerprint, now) {
+    // Two passes: a waiter re-checks once the original it waited for has settled
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const record = await this.store.get(storeKey);
+      if (record) {
+        if (record.fingerprint !== fingerprint) return { outcome: "mismatch" };
+        if (record.state === RECORD_STATES.COMPLETED) return { outcome: "replay", result: record.result };
+        const pending = this._pending.get(storeKey);
+        if (!pending) return { outcome: "in_progress" };
+        await pending.promise;
+        continue;
+      }
+
+      // Register before awaiting the claim so local duplicates that see the in-flight record can wait on it
+      const claiming = this._pending.get(storeKey);
+      if (claiming) {
+        await claiming.promise;
+        continue;
+      }
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      const pending = { promise, resolve };
+      this._pending.set(storeKey, pending);
+
+      let claimed = false;
+      try {
+        claimed = await this.store.reserve(storeKey, { state: RECORD_STATES.IN_FLIGHT, fingerprint, startedAt: now }, this.inFlightTtlMs);
+      } finally {
+        if (!claimed) {
+          this._pending.delete(storeKey);
+          pending.resolve();
+        }
+      }
+      if (claimed) return { outcome: "proceed" };
+    }
+    return { outcome: "in_progress" };
+  }
+
+  /**
+   * Store the final result for a claimed key, or release the key when the result must not be replayed.
+   */
+  async complete(storeKey, fingerprint, result, now) {
+    try {
+      if (Idempotency.isReplayable(result)) {
+        const { ok, status, data, error, headers } = result;
+        const stored = { ok, status, data, ...(error ? { error } : {}), ...(headers ? { headers } : {}) };
+        await this.store.set(storeKey, { state: RECORD_STATES.COMPLETED, fingerprint, result: stored, completedAt: now }, this.ttlMs);
+      } else {
+        await this.store.delete(storeKey);
+      }
+    } finally {
+      const pending = this._pending.get(storeKey);
+      this._pending.delete(storeKey);
+      if (pending) pending.resolve();
+    }
+  }
+
+  static isReplayable(result) {
+    return !!result && typeof result === "object" && result.status < 500 && result.body === undefined;
+  }
+}
+
+Idempotency.DEFAULT_IDEMPOTENCY_CONFIG = DEFAULT_IDEMPOTENCY_CONFIG;
+Idempotency.RECORD_STATES = RECORD_STATES;
+
+module.exports = Idempotency;
@@ -0,0 +1,162 @@
+const ErrorHandler = require("./ErrorHandler.js");
+
+// JSON-RPC 2.0 reserved error codes
+const JSON_RPC_ERRORS = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000
+});
+
+// ApiHandler error codes mapped onto the JSON-RPC ranges; -32000..-32099 is implementation-defined
+const API_ERROR_CODE_MAP = Object.freeze({
+  ROUTE_NOT_FOUND: JSON_RPC_ERRORS.METHOD_NOT_FOUND,
+  MISSING_ROUTE_FIELDS: JSON_RPC_ERRORS.METHOD_NOT_FOUND,
+  VALIDATION_FAILED: JSON_RPC_ERRORS.INVALID_PARAMS,
+  HANDLER_EXCEPTION: JSON_RPC_ERRORS.SERVER_ERROR,
+  MIDDLEWARE_BLOCKED: -32001,
+  MIDDLEWARE_FAILED: -32002,
+  AUTOLOAD_FAILED: -32003,
+  METHOD_NOT_ALLOWED: -32004,
+  UNAUTHENTICATED: -32005,
+  FORBIDDEN: -32006,
+  RATE_LIMITED: -32007,
+  IDEMPOTENCY_KEY_REUSED: -32008,
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: -32009
+});
+
+/**
+ * Class JsonRpcAdapter
+ *
+ * JSON-RPC 2.0 front-end for ApiHandler: `method` names like `users.create` resolve to
+ * namespace `users` / action `create`, named `params` become the request body, and
+ * ApiHandler error codes are translated into JSON-RPC error objects.
+ */
+class JsonRpcAdapter {
+  /**
+   * Handle a JSON-RPC payload (single call, notification or batch).
+   *
+   * @param {ApiHandler} apiHandler - Handler instance to dispatch to.
+   * @param {string|object|Array} payload - Raw JSON text or parsed request(s).
+   * @param {object} [options] - { headers, context }.
+   *
+   * @returns {Promise<object|Array|null>} Response object, array of responses, or null when nothing is to be returned.
+   */
+  static async handle(apiHandler, payload, { headers = {}, context = {} } = {}) {
+    let request = payload;
+    if (typeof payload === "string" || Buffer.isBuffer(payload)) {
+      try {
+        request = JSON.parse(String(payload));
+      } catch (err) {
+        return JsonRpcAdapter._error(null, JSON_RPC_ERRORS.PARSE_ERROR, "Parse error", { message: err.message });
+      }
+    }
+
+    if (Array.isArray(request)) {
+      if (request.length === 0) {
+        return JsonRpcAdapter._error(null, JSON_RPC_ERRORS.INVALID_REQUEST, "Invalid Request", { message: "Empty batch" });
+      }
+      if (request.length > apiHandler.maxBatchSize) {
+        return JsonRpcAdapter._error(null, JSON_RPC_ERRORS.INVALID_REQUEST, "Invalid Request", {
+          message: `Batch contains ${request.length} calls; maximum allowed is ${apiHandler.maxBatchSize}`
+        });
+      }
+      // Calls in a batch are independent and may be processed in any order
+      const responses = await Promise.all(request.map(call => JsonRpcAdapter._handleCall(apiHandler, call, headers, context)));
+      const filtered = responses.filter(response => response !== null);
+      // A batch of notifications only produces no response at all
+      return filtered.length > 0 ? filtered : null;
+    }
+
+    return JsonRpcAdapter._handleCall(apiHandler, request, headers, context);
+  }
+
+  static async _handleCall(apiHandler, call, headers, context) {
+    const hasId = call && typeof call === "object" && Object.prototype.hasOwnProperty.call(call, "id");
+    const id = hasId && JsonRpcAdapter._isValidId(call.id) ? call.id : null;
+
+    if (!call || typeof call !== "object" || Array.isArray(call) || call.jsonrpc !== "2.0" ||
+        typeof call.method !== "string" || !call.method.trim() || (hasId && !JsonRpcAdapter._isValidId(call.id))) {
+      return JsonRpcAdapter._error(id, JSON_RPC_ERRORS.INVALID_REQUEST, "Invalid Request");
+    }
+
+    const isNotification = !hasId;
+    const respond = (response) => (isNotification ? null : response);
+
+    const separator = call.method.lastIndexOf(".");
+    if (separator <= 0 || separator === call.method.length - 1) {
+      return respond(JsonRpcAdapter._error(id, JSON_RPC_ERRORS.METHOD_NOT_FOUND, "Method not found", { method: call.method }));
+    }
+    const namespace = call.method.slice(0, separator);
+    const action = call.method.slice(separator + 1);
+
+    const params = call.params === undefined ? {} : call.params;
+    if (!params || typeof params !== "object" || Array.isArray(params)) {
+      // ApiHandler params are named, so positional arrays cannot be mapped onto them
+      return respond(JsonRpcAdapter._error(id, JSON_RPC_ERRORS.INVALID_PARAMS, "Invalid params", { message: "params must be an object of named parameters" }));
+    }
+
+    let result;
+    try {
+      result = await apiHandler.handleRootApi({
+        method: "POST",
+        body: { ...params, namespace, action },
+        headers,
+        context: { ...context, jsonRpcId: id, jsonRpcNotification: isNotification }
+      });
+    } catch (err) {
+      ErrorHandler.addError(`JSON-RPC dispatch failed: ${err?.message || err}`, {
+        code: "JSON_RPC_DISPATCH_FAILED",
+        origin: "JsonRpcAdapter._handleCall",
+        data: { method: call.method, error: String(err) }
+      });
+      return respond(JsonRpcAdapter._error(id, JSON_RPC_ERRORS.INTERNAL_ERROR, "Internal error"));
+    }
+
+    if (result && result.ok) {
+      return respond({ jsonrpc: "2.0", result: result.data === undefined ? null : result.data, id });
+    }
+    return respond(JsonRpcAdapter.toJsonRpcError(id, result));
+  }
+
+  /**
+   * Translate an ApiHandler error result into a JSON-RPC error response.
+   *
+   * @param {string|number|null} id - Request id.
+   * @param {object} result - `{ ok: false, status, error }` result.
+   *
+   * @returns {object} JSON-RPC error response.
+   */
+  static toJsonRpcError(id, result) {
+    const apiError = result?.error || {};
+    const status = result?.status || 500;
+    const mapped = API_ERROR_CODE_MAP[apiError.code];
+    const code = mapped !== undefined
+      ? mapped
+      : (status >= 500 ? JSON_RPC_ERRORS.INTERNAL_ERROR : -32010);
+
+    return JsonRpcAdapter._error(id, code, apiError.message || "Server error", {
+      code: apiError.code || null,
+      status,
+      details: apiError.details || [],
+      requestId: apiError.requestId || null
+    });
+  }
+
+  static _isValidId(id) {
+    return id === null || typeof id === "string" || (typeof id === "number" && Number.isFinite(id));
+  }
+
+  static _error(id, code, message, data = undefined) {
+    const error = { code, message };
+    if (data !== undefined) error.data = data;
+    return { jsonrpc: "2.0", error, id };
+  }
+}
+
+JsonRpcAdapter.JSON_RPC_ERRORS = JSON_RPC_ERRORS;
+JsonRpcAdapter.API_ERROR_CODE_MAP = API_ERROR_CODE_MAP;
+
+module.exports = JsonRpcAdapter;
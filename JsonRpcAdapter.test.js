@@ -0,0 +1,182 @@
+/**
+ * JsonRpcAdapter Test Suite
+ *
+ * Tests for the JSON-RPC 2.0 front-end over namespace/action routes
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const ApiHandler = require('./ApiHandler.js');
+const JsonRpcAdapter = require('./JsonRpcAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      if (rule.required && (rule.value === undefined || rule.value === null)) {
+        throw new TypeError(`Missing required parameter: ${key}`);
+      }
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        create: { params: [{ name: "name", type: "string", required: true }] },
+        explode: { params: [] }
+      }
+    }
+  ]
+};
+
+const createHandler = () => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils
+});
+
+describe('JsonRpcAdapter', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation((entry) => ({
+      handlerFns: entry === routeConfig.apiHandler[0].users.explode
+        ? [() => { throw new Error('kaboom'); }]
+        : [(input) => ({ created: input.validated.name })]
+    }));
+  });
+
+  describe('Single calls', () => {
+    test('should map method "users.create" onto namespace/action with named params', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'users.create', params: { name: 'Ann' }, id: 1 });
+
+      expect(response).toEqual({ jsonrpc: '2.0', result: { created: 'Ann' }, id: 1 });
+    });
+
+    test('should accept raw JSON text', async () => {
+      const response = await createHandler().handleJsonRpc('{"jsonrpc":"2.0","method":"users.create","params":{"name":"Raw"},"id":"a"}');
+
+      expect(response.result).toEqual({ created: 'Raw' });
+      expect(response.id).toBe('a');
+    });
+
+    test('should return -32700 for unparseable payloads', async () => {
+      const response = await createHandler().handleJsonRpc('{not json');
+
+      expect(response.error.code).toBe(-32700);
+      expect(response.id).toBeNull();
+    });
+
+    test('should return -32600 for invalid request objects', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '1.0', method: 'users.create', id: 2 });
+
+      expect(response.error.code).toBe(-32600);
+      expect(response.id).toBe(2);
+    });
+
+    test('should return nothing for notifications', async () => {
+      const handler = createHandler();
+
+      const response = await handler.handleJsonRpc({ jsonrpc: '2.0', method: 'users.create', params: { name: 'Quiet' } });
+
+      expect(response).toBeNull();
+      expect(mockAutoLoader.ensureRouteDependencies).toHaveBeenCalled();
+    });
+  });
+
+  describe('Error code mapping', () => {
+    test('should map ROUTE_NOT_FOUND to -32601', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'users.missing', id: 3 });
+
+      expect(response.error.code).toBe(-32601);
+      expect(response.error.data.code).toBe('ROUTE_NOT_FOUND');
+      expect(response.error.data.requestId).toMatch(/^req_/);
+    });
+
+    test('should map methods without a namespace separator to -32601', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'create', id: 4 });
+
+      expect(response.error.code).toBe(-32601);
+    });
+
+    test('should map VALIDATION_FAILED to -32602', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'users.create', params: {}, id: 5 });
+
+      expect(response.error.code).toBe(-32602);
+      expect(response.error.data.status).toBe(400);
+    });
+
+    test('should reject positional params with -32602', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'users.create', params: ['Ann'], id: 6 });
+
+      expect(response.error.code).toBe(-32602);
+    });
+
+    test('should map HANDLER_EXCEPTION into the server error range', async () => {
+      const response = await createHandler().handleJsonRpc({ jsonrpc: '2.0', method: 'users.explode', id: 7 });
+
+      expect(response.error.code).toBe(-32000);
+      expect(response.error.data.code).toBe('HANDLER_EXCEPTION');
+    });
+
+    test('should fall back to -32603 for unmapped server errors', () => {
+      const response = JsonRpcAdapter.toJsonRpcError(8, { ok: false, status: 503, error: { code: 'SOMETHING_ELSE', message: 'down' } });
+
+      expect(response.error.code).toBe(-32603);
+    });
+  });
+
+  describe('Batch arrays', () => {
+    test('should return responses for calls and omit notifications', async () => {
+      const response = await createHandler().handleJsonRpc([
+        { jsonrpc: '2.0', method: 'users.create', params: { name: 'One' }, id: 1 },
+        { jsonrpc: '2.0', method: 'users.create', params: { name: 'Note' } },
+        { jsonrpc: '2.0', method: 'users.missing', id: 2 },
+        { foo: 'bar' }
+      ]);
+
+      expect(response).toHaveLength(3);
+      expect(response[0]).toEqual({ jsonrpc: '2.0', result: { created: 'One' }, id: 1 });
+      expect(response[1].error.code).toBe(-32601);
+      expect(response[2].error.code).toBe(-32600);
+    });
+
+    test('should return null for a batch of notifications only', async () => {
+      const response = await createHandler().handleJsonRpc([
+        { jsonrpc: '2.0', method: 'users.create', params: { name: 'A' } }
+      ]);
+
+      expect(response).toBeNull();
+    });
+
+    test('should reject an empty batch', async () => {
+      const response = await createHandler().handleJsonRpc([]);
+
+      expect(response.error.code).toBe(-32600);
+    });
+  });
+});
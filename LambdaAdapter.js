@@ -0,0 +1,193 @@
+const ErrorHandler = require("./ErrorHandler.js");
+const HttpAdapter = require("./HttpAdapter.js");
+const MultipartParser = require("./MultipartParser.js");
+
+/**
+ * Class LambdaAdapter
+ *
+ * Translates API Gateway proxy events (REST API v1 and HTTP API v2 payload formats) into
+ * handleRootApi arguments and maps the result back onto a Lambda proxy response.
+ */
+class LambdaAdapter {
+  /**
+   * Create an `async (event, context)` Lambda handler.
+   *
+   * @param {ApiHandler} apiHandler - Handler instance to dispatch to.
+   * @param {object} [options] - { basePath, bodyLimit, buildContext, uploads }.
+   *
+   * @returns {Function} Lambda handler returning a proxy response.
+   */
+  static createHandler(apiHandler, { basePath = "", bodyLimit = HttpAdapter.DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES, buildContext = null, uploads = {} } = {}) {
+    return async (event, lambdaContext = {}) => {
+      let result;
+      let request = null;
+      try {
+        request = LambdaAdapter.toHandlerArgs(event, { basePath, bodyLimit, uploads });
+        const extraContext = typeof buildContext === "function" ? await buildContext(event, lambdaContext) : {};
+        result = await apiHandler.handleRootApi({
+          ...request,
+          context: {
+            ...request.context,
+            awsRequestId: lambdaContext?.awsRequestId || null,
+            ...(extraContext || {})
+          }
+        });
+      } catch (err) {
+        // handleRootApi never got the uploads (e.g. buildContext threw), so their temp files are ours to delete
+        MultipartParser.cleanup(request?.files);
+        if (err && err.status) {
+          // Body decoding/parsing failures carry their own status and code
+          result = await apiHandler.handleRequestError(err, { method: event?.requestContext?.http?.method || event?.httpMethod || null, headers: event?.headers || {} });
+        } else {
+          ErrorHandler.addError(`Lambda adapter failure: ${err?.message || err}`, {
+            code: "LAMBDA_ADAPTER_FAILED",
+            origin: "LambdaAdapter.createHandler",
+            data: { error: String(err) }
+          });
+          result = apiHandler._errorResponse(500, "Internal server error - adapter failure", null, "LAMBDA_ADAPTER_FAILED");
+        }
+      }
+
+      // Proxy integrations cannot stream, so stream bodies are buffered first
+      if (result && result.body && typeof result.body.pipe === "function") {
+        try {
+          result = { ...result, body: await LambdaAdapter._collectStream(result.body) };
+        } catch (err) {
+          ErrorHandler.addError(`Lambda response stream failed: ${err?.message || err}`, {
+            code: "RESPONSE_STREAM_FAILED",
+            origin: "LambdaAdapter.createHandler",
+            data: { error: String(err) }
+          });
+          result = apiHandler._errorResponse(500, "Internal server error - response stream failed", null, "RESPONSE_STREAM_FAILED", result.requestId);
+        }
+      }
+
+      return LambdaAdapter.toProxyResponse(result, { isV2: LambdaAdapter.isV2Event(event) });
+    };
+  }
+
+  static isV2Event(event) {
+    return event?.version === "2.0" || !!event?.requestContext?.http;
+  }
+
+  /**
+   * Convert a v1 or v2 proxy event into `{ method, path, query, body, files, headers, context }`.
+   *
+   * @param {object} event - API Gateway proxy event.
+   * @param {object} [options] - { basePath, bodyLimit, uploads }.
+   *
+   * @returns {object} handleRootApi arguments.
+   */
+  static toHandlerArgs(event = {}, { basePath = "", bodyLimit = HttpAdapter.DEFAULT_HTTP_CONFIG.BODY_LIMIT_BYTES, uploads = {} } = {}) {
+    const isV2 = LambdaAdapter.isV2Event(event);
+    const headers = LambdaAdapter._normalizeHeaders(event, isV2);
+    const requestContext = event.requestContext || {};
+
+    const method = isV2 ? requestContext.http?.method : event.httpMethod;
+    const rawPath = isV2 ? (event.rawPath || requestContext.http?.path) : event.path;
+
+    let rawBody = event.body;
+    if (rawBody !== null && rawBody !== undefined && event.isBase64Encoded) {
+      rawBody = Buffer.from(String(rawBody), "base64");
+    }
+    const size = rawBody ? (Buffer.isBuffer(rawBody) ? rawBody.length : Buffer.byteLength(String(rawBody))) : 0;
+    if (size > bodyLimit) {
+      throw HttpAdapter.createBodyError(413, `Request body exceeds limit of ${bodyLimit} bytes`, "PAYLOAD_TOO_LARGE");
+    }
+
+    const { body, files } = HttpAdapter.parseRequestBody(rawBody, headers["content-type"], uploads);
+
+    return {
+      method: method || "GET",
+      path: HttpAdapter.stripBasePath(rawPath || "/", basePath),
+      query: LambdaAdapter._parseQuery(event, isV2),
+      body,
+      files,
+      headers,
+      context: {
+        ip: (isV2 ? requestContext.http?.sourceIp : requestContext.identity?.sourceIp) || null,
+        userAgent: headers["user-agent"] || null,
+        apiGatewayRequestId: requestContext.requestId || null,
+        stage: requestContext.stage || null
+      }
+    };
+  }
+
+  /**
+   * Map an ApiHandler result onto a Lambda proxy response.
+   *
+   * @param {object} result - `{ ok, status, data, error, requestId }` from handleRootApi.
+   * @param {object} [options] - { isV2 } selects how Set-Cookie is returned.
+   *
+   * @returns {{ statusCode: number, headers: object, body: string, isBase64Encoded: boolean }} Proxy response.
+   */
+  static toProxyResponse(result, { isV2 = false } = {}) {
+    const { statusCode, headers, body } = HttpAdapter.toHttpResponse(result);
+    const response = { statusCode, headers, body, isBase64Encoded: false };
+
+    if (Buffer.isBuffer(body)) {
+      response.body = body.toString("base64");
+      response.isBase64Encoded = true;
+    }
+
+    // Single-value headers cannot repeat Set-Cookie: v2 has a cookies array, v1 multiValueHeaders
+    const cookies = headers["Set-Cookie"];
+    if (Array.isArray(cookies)) {
+      const { "Set-Cookie": _omit, ...rest } = headers;
+      response.headers = rest;
+      if (isV2) {
+        response.cookies = cookies;
+      } else {
+        response.multiValueHeaders = { "Set-Cookie": cookies };
+      }
+    }
+    return response;
+  }
+
+  static _collectStream(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+      stream.on("end", () => resolve(Buffer.concat(chunks)));
+      stream.on("error", reject);
+    });
+  }
+
+  static _normalizeHeaders(event, isV2) {
+    const headers = {};
+    for (const [name, value] of Object.entries(event.headers || {})) {
+      if (value !== null && value !== undefined) headers[name.toLowerCase()] = String(value);
+    }
+    // v1 multi-value headers carry every occurrence; join them as Node does
+    if (!isV2 && event.multiValueHeaders) {
+      for (const [name, values] of Object.entries(event.multiValueHeaders)) {
+        if (Array.isArray(values) && values.length > 0) headers[name.toLowerCase()] = values.join(", ");
+      }
+    }
+    // v2 strips Cookie headers into a separate array
+    if (isV2 && Array.isArray(event.cookies) && event.cookies.length > 0) {
+      headers.cookie = event.cookies.join("; ");
+    }
+    return headers;
+  }
+
+  static _parseQuery(event, isV2) {
+    if (isV2) {
+      // rawQueryString preserves repeated keys that queryStringParameters comma-joins
+      if (typeof event.rawQueryString === "string" && event.rawQueryString) {
+        return HttpAdapter.parseQuery(event.rawQueryString);
+      }
+      return { ...(event.queryStringParameters || {}) };
+    }
+
+    const query = { ...(event.queryStringParameters || {}) };
+    for (const [key, values] of Object.entries(event.multiValueQueryStringParameters || {})) {
+      if (Array.isArray(values) && values.length > 0) {
+        query[key] = values.length === 1 ? values[0] : [...values];
+      }
+    }
+    return query;
+  }
+}
+
+module.exports = LambdaAdapter;
@@ -0,0 +1,226 @@
+/**
+ * LambdaAdapter Test Suite
+ *
+ * Tests for API Gateway v1/v2 proxy event translation using fixture events only
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiHandler = require('./ApiHandler.js');
+const LambdaAdapter = require('./LambdaAdapter.js');
+const SafeUtils = require('./SafeUtils.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const mockSafeUtils = {
+  sanitizeDeep: SafeUtils.sanitizeDeep,
+  sanitizeValidate: jest.fn((schema) => {
+    const out = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      out[key] = rule.value === undefined ? null : rule.value;
+    }
+    return out;
+  }),
+  sanitizeTextField: jest.fn((text) => typeof text === 'string' ? text : ''),
+  sanitizeFloat: jest.fn((num) => typeof num === 'number' ? num : 0),
+  sanitizeBoolean: jest.fn((bool) => Boolean(bool)),
+  sanitizeArray: jest.fn((arr) => Array.isArray(arr) ? arr : []),
+  sanitizeObject: jest.fn((obj) => obj && typeof obj === 'object' ? obj : {})
+};
+
+const mockAutoLoader = {
+  loadCoreUtilities: jest.fn(),
+  ensureRouteDependencies: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        create: {
+          params: [{ name: "name", type: "string", required: true }]
+        },
+        search: {
+          path: '/users/search',
+          params: [{ name: "tag", type: "array", required: false }]
+        }
+      }
+    }
+  ]
+};
+
+const createHandler = () => new ApiHandler({
+  routeConfig,
+  autoLoader: mockAutoLoader,
+  logger: mockLogger,
+  safeUtils: mockSafeUtils
+});
+
+// API Gateway REST API (payload format 1.0) fixture
+const v1Event = (overrides = {}) => ({
+  resource: '/{proxy+}',
+  path: '/prod/users/search',
+  httpMethod: 'GET',
+  headers: { 'Content-Type': 'application/json', 'User-Agent': 'fixture' },
+  multiValueHeaders: { 'Content-Type': ['application/json'], 'User-Agent': ['fixture'] },
+  queryStringParameters: { tag: 'b' },
+  multiValueQueryStringParameters: { tag: ['a', 'b'] },
+  requestContext: { requestId: 'gw-v1', stage: 'prod', identity: { sourceIp: '1.2.3.4' } },
+  body: null,
+  isBase64Encoded: false,
+  ...overrides
+});
+
+// API Gateway HTTP API (payload format 2.0) fixture
+const v2Event = (overrides = {}) => ({
+  version: '2.0',
+  routeKey: '$default',
+  rawPath: '/users/search',
+  rawQueryString: 'tag=x&tag=y',
+  cookies: ['a=1', 'b=2'],
+  headers: { 'content-type': 'application/json', 'user-agent': 'fixture' },
+  queryStringParameters: { tag: 'x,y' },
+  requestContext: { requestId: 'gw-v2', stage: '$default', http: { method: 'GET', path: '/users/search', sourceIp: '5.6.7.8' } },
+  isBase64Encoded: false,
+  ...overrides
+});
+
+describe('LambdaAdapter', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAutoLoader.ensureRouteDependencies.mockImplementation(() => ({
+      handlerFns: [(input) => ({ validated: input.validated, context: input.context })]
+    }));
+  });
+
+  describe('Event translation', () => {
+    test('should translate v1 events with multi-value query strings', () => {
+      const args = LambdaAdapter.toHandlerArgs(v1Event(), { basePath: '/prod' });
+
+      expect(args.method).toBe('GET');
+      expect(args.path).toBe('/users/search');
+      expect(args.query).toEqual({ tag: ['a', 'b'] });
+      expect(args.headers['content-type']).toBe('application/json');
+      expect(args.context).toEqual(expect.objectContaining({ ip: '1.2.3.4', apiGatewayRequestId: 'gw-v1', stage: 'prod' }));
+    });
+
+    test('should translate v2 events preserving repeated query keys and cookies', () => {
+      const args = LambdaAdapter.toHandlerArgs(v2Event());
+
+      expect(args.method).toBe('GET');
+      expect(args.query).toEqual({ tag: ['x', 'y'] });
+      expect(args.headers.cookie).toBe('a=1; b=2');
+      expect(args.context.ip).toBe('5.6.7.8');
+    });
+
+    test('should decode base64 bodies', () => {
+      const body = Buffer.from(JSON.stringify({ namespace: 'users', action: 'create', name: 'B64' })).toString('base64');
+      const args = LambdaAdapter.toHandlerArgs(v2Event({
+        rawPath: '/',
+        rawQueryString: '',
+        body,
+        isBase64Encoded: true,
+        requestContext: { http: { method: 'POST', path: '/', sourceIp: '5.6.7.8' } }
+      }));
+
+      expect(args.method).toBe('POST');
+      expect(args.body).toEqual({ namespace: 'users', action: 'create', name: 'B64' });
+    });
+
+    test('should parse urlencoded v1 bodies', () => {
+      const args = LambdaAdapter.toHandlerArgs(v1Event({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        multiValueHeaders: {},
+        body: 'namespace=users&action=create&name=Form'
+      }));
+
+      expect(args.body).toEqual({ namespace: 'users', action: 'create', name: 'Form' });
+    });
+  });
+
+  describe('Lambda handler', () => {
+    test('should invoke handleRootApi and return a proxy response for v1 events', async () => {
+      const handler = createHandler().createLambdaHandler({ basePath: '/prod' });
+
+      const response = await handler(v1Event(), { awsRequestId: 'aws-1' });
+      const payload = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.isBase64Encoded).toBe(false);
+      expect(response.headers['Content-Type']).toMatch(/application\/json/);
+      expect(response.headers['X-Request-Id']).toBe(payload.requestId);
+      expect(payload.data.validated.tag).toEqual(['a', 'b']);
+      expect(payload.data.context.awsRequestId).toBe('aws-1');
+    });
+
+    test('should invoke handleRootApi for v2 events', async () => {
+      const handler = createHandler().createLambdaHandler();
+
+      const response = await handler(v2Event());
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).data.validated.tag).toEqual(['x', 'y']);
+    });
+
+    test('should map error results onto the status code with the requestId header', async () => {
+      const handler = createHandler().createLambdaHandler();
+
+      const response = await handler(v2Event({ rawPath: '/unknown', rawQueryString: '' }));
+      const payload = JSON.parse(response.body);
+
+      expect(response.statusCode).toBe(404);
+      expect(payload.error.code).toBe('ROUTE_NOT_FOUND');
+      expect(response.headers['X-Request-Id']).toBe(payload.error.requestId);
+    });
+
+    test('should return 400 for malformed JSON bodies', async () => {
+      const handler = createHandler().createLambdaHandler();
+
+      const response = await handler(v1Event({ httpMethod: 'POST', body: '{oops' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error.code).toBe('INVALID_JSON_BODY');
+    });
+
+    test('should return 413 when the body exceeds bodyLimit', async () => {
+      const handler = createHandler().createLambdaHandler({ bodyLimit: 4 });
+
+      const response = await handler(v1Event({ httpMethod: 'POST', body: '{"a":"long"}' }));
+
+      expect(response.statusCode).toBe(413);
+    });
+
+    test('should delete upload temp files when buildContext fails', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-lambda-'));
+      const boundary = '----lambda-test';
+      const body = `--${boundary}\r\nContent-Disposition: form-data; name="avatar"; filename="me.png"\r\nContent-Type: image/png\r\n\r\npng\r\n--${boundary}--\r\n`;
+      const handler = createHandler().createLambdaHandler({
+        uploads: { storage: 'disk', tempDir },
+        buildContext: async () => { throw new Error('session store down'); }
+      });
+
+      try {
+        const response = await handler(v2Event({
+          headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+          requestContext: { requestId: 'gw-v2', http: { method: 'POST', path: '/users/search' } },
+          body
+        }));
+
+        expect(response.statusCode).toBe(500);
+        expect(fs.readdirSync(tempDir)).toEqual([]);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
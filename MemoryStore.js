@@ -0,0 +1,71 @@
+// Default bound on keys held by one store
+const DEFAULT_MEMORY_STORE_CONFIG = Object.freeze({
+  MAX_KEYS: 10000
+});
+
+/**
+ * Class MemoryStore
+ *
+ * Process-local key/value store with per-entry ttl and least-recently-used eviction past
+ * `maxKeys`. It is the default backend for rate limiting, idempotency records and the response
+ * cache; shared backends (Redis, DynamoDB, ...) implement the same methods, and may return promises:
+ *
+ *   get(key) -> value | null
+ *   set(key, value, ttlMs)
+ *   reserve(key, value, ttlMs) -> boolean   (set only if absent; must be atomic in shared stores)
+ *   delete(key)
+ */
+class MemoryStore {
+  constructor({ maxKeys = DEFAULT_MEMORY_STORE_CONFIG.MAX_KEYS, now = () => Date.now() } = {}) {
+    this.maxKeys = maxKeys;
+    this.now = now;
+    this._entries = new Map();
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this._entries.delete(key);
+      return null;
+    }
+    // Re-insert so Map order tracks recency for eviction
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: this.now() + ttlMs });
+    while (this._entries.size > this.maxKeys) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  reserve(key, value, ttlMs) {
+    if (this.get(key) !== null) return false;
+    this.set(key, value, ttlMs);
+    return true;
+  }
+
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  keys() {
+    return [...this._entries.keys()];
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+}
+
+MemoryStore.DEFAULT_MEMORY_STORE_CONFIG = DEFAULT_MEMORY_STORE_CONFIG;
+
+module.exports = MemoryStore;
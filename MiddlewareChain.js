@@ -0,0 +1,101 @@
+// Pipeline phases a middleware object may hook into
+const MIDDLEWARE_PHASES = Object.freeze({
+  PRE_ROUTING: "preRouting",
+  POST_VALIDATION: "postValidation",
+  POST_HANDLER: "postHandler",
+  ON_ERROR: "onError"
+});
+
+// Phases that run before the handlers and may short-circuit with { abort: true, response }
+const ABORTABLE_PHASES = [MIDDLEWARE_PHASES.PRE_ROUTING, MIDDLEWARE_PHASES.POST_VALIDATION];
+
+/**
+ * Class MiddlewareChain
+ *
+ * Ordered middleware for ApiHandler. A middleware is an object with an optional `name` and any of
+ * the phase hooks, each called as `hook(state, current)`:
+ *
+ *   - preRouting(state)             before method checks and route resolution; may rewrite state.method/path/query/body/headers/context
+ *   - postValidation(state)         after params are validated; may replace state.validated or state.context
+ *   - postHandler(state, result)    after the handlers succeed; a returned value replaces the result
+ *   - onError(state, errorResult)   for any response with status >= 400; a returned value replaces it
+ *
+ * preRouting and postValidation may return `{ abort: true, response }` to stop the request.
+ * `state` is the request-scoped object (requestId, method, path, entry, namespace, actionKey,
+ * validated, locals, ...) shared by every phase of one request. Global middleware runs before
+ * the route's `entry.middleware`, each list in registration order.
+ */
+class MiddlewareChain {
+  /**
+   * Check a middleware object before it is registered.
+   *
+   * @param {object} middleware - Middleware to check.
+   *
+   * @returns {object} The middleware, for chaining.
+   */
+  static validate(middleware) {
+    if (!middleware || typeof middleware !== "object") {
+      throw new TypeError(`Middleware must be an object with phase hooks. Received: ${typeof middleware}`);
+    }
+    const phases = Object.values(MIDDLEWARE_PHASES);
+    const hooks = phases.filter(phase => middleware[phase] !== undefined);
+    if (hooks.length === 0) {
+      throw new TypeError(`Middleware ${middleware.name || "(anonymous)"} defines none of: ${phases.join(", ")}`);
+    }
+    for (const phase of hooks) {
+      if (typeof middleware[phase] !== "function") {
+        throw new TypeError(`Middleware ${middleware.name || "(anonymous)"} hook ${phase} must be a function`);
+      }
+    }
+    return middleware;
+  }
+
+  /**
+   * Middleware that apply to a request: global first, then the route's own.
+   */
+  static forRoute(globalMiddleware, entry) {
+    const routeMiddleware = entry && Array.isArray(entry.middleware) ? entry.middleware : [];
+    return [...globalMiddleware, ...routeMiddleware];
+  }
+
+  /**
+   * Run one phase across a middleware list.
+   *
+   * @param {string} phase - One of MIDDLEWARE_PHASES.
+   * @param {Array<object>} middlewares - Ordered middleware list.
+   * @param {object} state - Request-scoped state.
+   * @param {*} [current] - Result passed to postHandler/onError hooks.
+   * @param {object} [options] - { convert(value) } applied to replacement values.
+   *
+   * @returns {Promise<{ aborted: boolean, response?: *, result?: * }>} Outcome of the phase.
+   */
+  static async run(phase, middlewares, state, current = undefined, { convert = (value) => value } = {}) {
+    const abortable = ABORTABLE_PHASES.includes(phase);
+    for (const middleware of middlewares) {
+      const hook = middleware ? middleware[phase] : null;
+      if (typeof hook !== "function") continue;
+
+      let out;
+      try {
+        out = await hook.call(middleware, state, current);
+      } catch (err) {
+        const wrapped = new Error(`${middleware.name || "middleware"} ${phase} failed: ${err?.message || err}`);
+        wrapped.middleware = middleware.name || null;
+        wrapped.phase = phase;
+        wrapped.cause = err;
+        throw wrapped;
+      }
+
+      if (abortable) {
+        if (out && out.abort === true) return { aborted: true, response: out.response };
+      } else if (out !== undefined) {
+        current = convert(out);
+      }
+    }
+    return { aborted: false, result: current };
+  }
+}
+
+MiddlewareChain.MIDDLEWARE_PHASES = MIDDLEWARE_PHASES;
+
+module.exports = MiddlewareChain;
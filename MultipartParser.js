@@ -0,0 +1,226 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+// Parser-wide safety limits; per-param constraints are enforced by ApiHandler
+const DEFAULT_MULTIPART_CONFIG = Object.freeze({
+  MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024,
+  MAX_FILES: 10,
+  MAX_FIELDS: 100,
+  MAX_PART_HEADER_BYTES: 8 * 1024,
+  TEMP_FILE_PREFIX: "apihandler-upload-"
+});
+
+// Field names that would reach Object.prototype through plain assignment
+const DANGEROUS_FIELD_NAMES = ["__proto__", "constructor", "prototype"];
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+/**
+ * Class MultipartParser
+ *
+ * Parses a buffered `multipart/form-data` body into text fields and uploaded files. Files are
+ * kept in memory (`{ buffer }`) or written to private temp files (`{ path }`) depending on
+ * `storage`; temp files must be released with `cleanup()` once the request is done.
+ *
+ * File shape: `{ fieldName, filename, mimeType, size, buffer?, path? }`.
+ */
+class MultipartParser {
+  static isMultipart(contentType) {
+    return String(contentType || "").split(";")[0].trim().toLowerCase() === "multipart/form-data";
+  }
+
+  /**
+   * Parse a multipart body.
+   *
+   * @param {Buffer} raw - Complete request body.
+   * @param {string} contentType - Request Content-Type header (must carry the boundary).
+   * @param {object} [options] - { storage: 'memory'|'disk', tempDir, maxFileSize, maxFiles, maxFields }.
+   *
+   * @returns {{ fields: object, files: Array<object> }} Parsed fields (repeated names become arrays) and files.
+   */
+  static parse(raw, contentType, {
+    storage = "memory",
+    tempDir = os.tmpdir(),
+    maxFileSize = DEFAULT_MULTIPART_CONFIG.MAX_FILE_SIZE_BYTES,
+    maxFiles = DEFAULT_MULTIPART_CONFIG.MAX_FILES,
+    maxFields = DEFAULT_MULTIPART_CONFIG.MAX_FIELDS
+  } = {}) {
+    const body = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw || ""), "utf8");
+    const boundary = MultipartParser.getBoundary(contentType);
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+    let fieldCount = 0;
+
+    try {
+      let position = body.indexOf(delimiter);
+      if (position === -1) {
+        throw MultipartParser._error(400, "Malformed multipart body: opening boundary not found", "INVALID_MULTIPART_BODY");
+      }
+
+      for (;;) {
+        position += delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+        if (!body.subarray(position, position + 2).equals(CRLF)) {
+          throw MultipartParser._error(400, "Malformed multipart body: expected CRLF after boundary", "INVALID_MULTIPART_BODY");
+        }
+        position += CRLF.length;
+
+        const headerEnd = body.indexOf(HEADER_END, position);
+        if (headerEnd === -1 || headerEnd - position > DEFAULT_MULTIPART_CONFIG.MAX_PART_HEADER_BYTES) {
+          throw MultipartParser._error(400, "Malformed multipart body: part headers missing or too large", "INVALID_MULTIPART_BODY");
+        }
+        const headers = MultipartParser._parsePartHeaders(body.subarray(position, headerEnd).toString("utf8"));
+        const contentStart = headerEnd + HEADER_END.length;
+
+        const nextDelimiter = body.indexOf(Buffer.concat([CRLF, delimiter]), contentStart);
+        if (nextDelimiter === -1) {
+          throw MultipartParser._error(400, "Malformed multipart body: closing boundary not found", "INVALID_MULTIPART_BODY");
+        }
+        const content = body.subarray(contentStart, nextDelimiter);
+        position = nextDelimiter + CRLF.length;
+
+        const { name, filename } = headers.disposition;
+        if (!name || DANGEROUS_FIELD_NAMES.includes(name)) continue;
+
+        if (filename !== undefined) {
+          // Browsers send an empty file part when a file input is left blank
+          if (filename === "" && content.length === 0) continue;
+          if (files.length >= maxFiles) {
+            throw MultipartParser._error(413, `Too many files; at most ${maxFiles} allowed`, "TOO_MANY_FILES");
+          }
+          if (content.length > maxFileSize) {
+            throw MultipartParser._error(413, `File "${filename}" exceeds limit of ${maxFileSize} bytes`, "FILE_TOO_LARGE");
+          }
+          files.push(MultipartParser._createFile({
+            fieldName: name,
+            filename,
+            mimeType: headers.contentType || "application/octet-stream",
+            content,
+            storage,
+            tempDir
+          }));
+          continue;
+        }
+
+        if (++fieldCount > maxFields) {
+          throw MultipartParser._error(413, `Too many fields; at most ${maxFields} allowed`, "TOO_MANY_FIELDS");
+        }
+        const value = content.toString("utf8");
+        if (Object.prototype.hasOwnProperty.call(fields, name)) {
+          fields[name] = Array.isArray(fields[name]) ? [...fields[name], value] : [fields[name], value];
+        } else {
+          fields[name] = value;
+        }
+      }
+    } catch (err) {
+      // Do not leave partially written uploads behind
+      MultipartParser.cleanup(files);
+      throw err;
+    }
+
+    return { fields, files };
+  }
+
+  static getBoundary(contentType) {
+    const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(String(contentType || ""));
+    const boundary = match ? (match[1] || match[2]) : null;
+    if (!boundary || boundary.length > 70) {
+      throw MultipartParser._error(400, "Multipart Content-Type is missing a valid boundary", "INVALID_MULTIPART_BODY");
+    }
+    return boundary;
+  }
+
+  /**
+   * Delete temp files created for disk-stored uploads. Memory uploads need no cleanup.
+   *
+   * @param {Array<object>} files - Files returned by parse().
+   */
+  static cleanup(files) {
+    for (const file of Array.isArray(files) ? files : []) {
+      if (!file || !file.path) continue;
+      try {
+        fs.rmSync(file.path, { force: true });
+      } catch {
+        // Best effort: the OS temp directory is reaped eventually
+      }
+    }
+  }
+
+  static _createFile({ fieldName, filename, mimeType, content, storage, tempDir }) {
+    const file = {
+      fieldName,
+      filename: MultipartParser._sanitizeFilename(filename),
+      mimeType: String(mimeType).toLowerCase(),
+      size: content.length
+    };
+    if (storage === "disk") {
+      file.path = path.join(tempDir, `${DEFAULT_MULTIPART_CONFIG.TEMP_FILE_PREFIX}${crypto.randomBytes(12).toString("hex")}`);
+      fs.writeFileSync(file.path, content, { mode: 0o600, flag: "wx" });
+    } else {
+      // Copy so the file does not pin the whole request body in memory
+      file.buffer = Buffer.from(content);
+    }
+    return file;
+  }
+
+  static _parsePartHeaders(text) {
+    const headers = { disposition: {}, contentType: null };
+    for (const line of text.split("\r\n")) {
+      const separator = line.indexOf(":");
+      if (separator === -1) continue;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      if (name === "content-disposition") {
+        headers.disposition = MultipartParser._parseDisposition(value);
+      } else if (name === "content-type") {
+        headers.contentType = value.split(";")[0].trim();
+      }
+    }
+    return headers;
+  }
+
+  static _parseDisposition(value) {
+    const params = {};
+    const pattern = /;\s*([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      const key = match[1].toLowerCase();
+      // Only \" is unescaped: browsers send Windows path separators in filenames verbatim
+      params[key] = match[2] !== undefined ? match[2].replace(/\\"/g, '"') : match[3].trim();
+    }
+    // RFC 5987 filename* carries the UTF-8 name and wins over the ASCII fallback
+    if (params["filename*"]) {
+      const extended = /^UTF-8''(.*)$/i.exec(params["filename*"]);
+      if (extended) {
+        try {
+          params.filename = decodeURIComponent(extended[1]);
+        } catch {
+          // Keep the plain filename
+        }
+      }
+    }
+    return { name: params.name, filename: params.filename };
+  }
+
+  static _sanitizeFilename(filename) {
+    // Clients may send full paths (old IE) or traversal attempts; keep only the last segment
+    const base = String(filename || "").split(/[\\/]/).pop();
+    return base.replace(/[\x00-\x1f\x7f]/g, "").trim();
+  }
+
+  static _error(status, message, code) {
+    const err = new Error(message);
+    err.status = status;
+    err.code = code;
+    return err;
+  }
+}
+
+MultipartParser.DEFAULT_MULTIPART_CONFIG = DEFAULT_MULTIPART_CONFIG;
+
+module.exports = MultipartParser;
@@ -0,0 +1,339 @@
+// JSON Schema equivalents for the param types accepted by ApiHandler._buildValidationSchema
+const PARAM_TYPE_SCHEMAS = Object.freeze({
+  int: { type: "integer" },
+  integer: { type: "integer" },
+  float: { type: "number" },
+  numeric: { type: "number" },
+  bool: { type: "boolean" },
+  boolean: { type: "boolean" },
+  string: { type: "string" },
+  text: { type: "string" },
+  array: { type: "array", items: {} },
+  iterable: { type: "array", items: {} },
+  email: { type: "string", format: "email" },
+  url: { type: "string", format: "uri" },
+  html: { type: "string", contentMediaType: "text/html" },
+  object: { type: "object" },
+  file: { type: "string", contentMediaType: "application/octet-stream" }
+});
+
+// Methods whose arguments ApiHandler._collectIncomingArgs reads from the query string only
+const QUERY_ONLY_METHODS = ["GET", "HEAD"];
+
+// Error statuses the request pipeline can answer with (validation, auth, lifecycle, idempotency, rate limits)
+const ERROR_STATUSES = [400, 401, 403, 404, 405, 409, 410, 413, 422, 429, 500];
+
+// Mirrors ApiHandler._errorResponse
+const ERROR_RESPONSE_SCHEMA = Object.freeze({
+  type: "object",
+  required: ["ok", "status", "error"],
+  properties: {
+    ok: { const: false },
+    status: { type: "integer" },
+    error: {
+      type: "object",
+      required: ["code", "message", "details", "timestamp", "requestId"],
+      properties: {
+        code: { type: "string" },
+        message: { type: "string" },
+        details: { type: "array", items: {} },
+        timestamp: { type: "integer" },
+        requestId: { type: "string" }
+      }
+    }
+  }
+});
+
+const SUCCESS_RESPONSE_SCHEMA = Object.freeze({
+  type: "object",
+  required: ["ok", "status", "data", "requestId"],
+  properties: {
+    ok: { const: true },
+    status: { type: "integer" },
+    data: {},
+    requestId: { type: "string" }
+  }
+});
+
+/**
+ * Class OpenApiGenerator
+ *
+ * Builds an OpenAPI 3.1 document from an ApiHandler's routeConfig. Entries that declare a
+ * `path` are documented under that pattern. Plain namespace/action entries are all served by
+ * the endpoint the adapter is mounted at, so they are documented as one operation per method
+ * on that path whose request schema is a `oneOf` of the routes, told apart by their
+ * `namespace`/`action` (and `version`) constants and listed in `x-apihandler-routes`.
+ */
+class OpenApiGenerator {
+  /**
+   * Generate an OpenAPI 3.1 document.
+   *
+   * @param {ApiHandler} apiHandler - Handler whose routeConfig is documented.
+   * @param {object} [options] - { title, version, description, servers, basePath }; `basePath`
+   *   matches the adapter's and prefixes every documented path.
+   *
+   * @returns {object} OpenAPI document.
+   */
+  static generate(apiHandler, { title = "ApiHandler API", version = "1.0.0", description = undefined, servers = undefined, basePath = "" } = {}) {
+    const doc = {
+      openapi: "3.1.0",
+      info: { title, version, ...(description ? { description } : {}) },
+      ...(Array.isArray(servers) && servers.length > 0 ? { servers } : {}),
+      paths: {},
+      components: {
+        schemas: {
+          SuccessResponse: OpenApiGenerator._clone(SUCCESS_RESPONSE_SCHEMA),
+          ErrorResponse: OpenApiGenerator._clone(ERROR_RESPONSE_SCHEMA)
+        },
+        responses: {
+          Error: {
+            description: "Standardized error response",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/ErrorResponse" } } }
+          }
+        }
+      }
+    };
+    const tags = new Set();
+    const base = String(basePath || "").replace(/\/+$/, "");
+    // Method -> namespace/action routes, which all share the mount point
+    const dispatched = new Map();
+
+    for (const route of apiHandler._collectRouteEntries()) {
+      const methods = OpenApiGenerator._methodsFor(apiHandler, route.entry);
+      const paths = route.entry.path
+        ? (Array.isArray(route.entry.path) ? route.entry.path : [route.entry.path])
+        : [null];
+
+      for (const pattern of paths) {
+        if (typeof pattern !== "string" || pattern.trim() === "") {
+          for (const method of methods) {
+            if (!dispatched.has(method)) dispatched.set(method, []);
+            if (!dispatched.get(method).includes(route)) dispatched.get(method).push(route);
+          }
+          continue;
+        }
+        const openApiPath = base + OpenApiGenerator.toOpenApiPath(apiHandler._normalizePath(pattern));
+        const pathParams = OpenApiGenerator._pathParamNames(pattern);
+
+        doc.paths[openApiPath] = doc.paths[openApiPath] || {};
+        for (const method of methods) {
+          doc.paths[openApiPath][method.toLowerCase()] = OpenApiGenerator._buildOperation(apiHandler, route, method, pathParams, paths.length > 1 ? pattern : null);
+        }
+      }
+      tags.add(route.namespace);
+    }
+
+    const rootPath = base || "/";
+    for (const [method, routes] of dispatched) {
+      doc.paths[rootPath] = doc.paths[rootPath] || {};
+      // A path route mounted at the root wins, as it does in the dispatcher
+      if (doc.paths[rootPath][method.toLowerCase()]) continue;
+      doc.paths[rootPath][method.toLowerCase()] = OpenApiGenerator._buildDispatchOperation(apiHandler, routes, method);
+    }
+
+    doc.tags = [...tags].map(name => ({ name }));
+    return doc;
+  }
+
+  /**
+   * Convert an ApiHandler path pattern (`/users/:id`) to OpenAPI syntax (`/users/{id}`).
+   *
+   * @param {string} pattern - ApiHandler path pattern.
+   *
+   * @returns {string} OpenAPI path template.
+   */
+  static toOpenApiPath(pattern) {
+    return String(pattern).replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+  }
+
+  /**
+   * Map an ApiHandler param definition onto a JSON Schema.
+   *
+   * @param {object} def - `{ name, type, required, default }` param definition.
+   * @param {Map} [paramTypes] - Plugin param types; their `schema` documents the type.
+   *
+   * @returns {object} JSON Schema.
+   */
+  static paramToSchema(def = {}, paramTypes = null) {
+    const type = String(def.type || "string").trim().toLowerCase();
+    const customType = paramTypes ? paramTypes.get(type) : null;
+    let schema = OpenApiGenerator._clone((customType ? customType.schema : PARAM_TYPE_SCHEMAS[type]) || {});
+    if (type === "file" && Array.isArray(def.mimeTypes) && def.mimeTypes.length === 1 && !def.mimeTypes[0].includes("*")) {
+      schema.contentMediaType = def.mimeTypes[0];
+    }
+    if (type === "file" && Number.isInteger(def.maxCount) && def.maxCount > 1) {
+      schema = { type: "array", items: schema, maxItems: def.maxCount };
+    }
+    if (def.default !== undefined) schema.default = def.default;
+    if (def.description) schema.description = def.description;
+    return schema;
+  }
+
+  static _buildOperation(apiHandler, route, method, pathParams, patternSuffix) {
+    const { namespace, actionKey, entry } = route;
+    const params = OpenApiGenerator._paramDefs(entry);
+    const parameters = [];
+    const paramTypes = apiHandler.plugins ? apiHandler.plugins.paramTypes : null;
+
+    // Path params are always required by construction of the pattern
+    for (const name of pathParams) {
+      const def = params.find(p => String(p.name) === name) || { name, type: "string" };
+      parameters.push({ name, in: "path", required: true, schema: OpenApiGenerator.paramToSchema(def, paramTypes) });
+    }
+
+    const remaining = params.filter(def => !pathParams.includes(String(def.name)));
+    let requestBody;
+    if (QUERY_ONLY_METHODS.includes(method)) {
+      for (const def of remaining) {
+        parameters.push({ name: String(def.name), in: "query", required: !!def.required, schema: OpenApiGenerator.paramToSchema(def, paramTypes) });
+      }
+    } else {
+      const { schema, hasFiles } = OpenApiGenerator._objectSchema(remaining, {}, [], paramTypes);
+      requestBody = {
+        required: Array.isArray(schema.required),
+        content: { [hasFiles ? "multipart/form-data" : "application/json"]: { schema } }
+      };
+    }
+
+    const operationId = `${namespace}.${actionKey}${patternSuffix ? `.${OpenApiGenerator.toOpenApiPath(patternSuffix).replace(/[^A-Za-z0-9]+/g, "_")}` : ""}.${method.toLowerCase()}`;
+    const operation = {
+      operationId,
+      tags: [namespace],
+      summary: entry.summary || `${namespace}/${actionKey}`,
+      ...(entry.description ? { description: entry.description } : {}),
+      parameters,
+      ...(requestBody ? { requestBody } : {}),
+      responses: OpenApiGenerator._responses(method),
+      "x-apihandler-route": { ...OpenApiGenerator._routeInfo(route), dispatch: "path" }
+    };
+    if (entry.deprecated) operation.deprecated = true;
+
+    return operation;
+  }
+
+  /**
+   * Document every namespace/action route served by one method of the root endpoint.
+   */
+  static _buildDispatchOperation(apiHandler, routes, method) {
+    const paramTypes = apiHandler.plugins ? apiHandler.plugins.paramTypes : null;
+    const variants = routes.map(route => OpenApiGenerator._dispatchSchema(apiHandler, route, paramTypes));
+
+    const parameters = [];
+    let requestBody;
+    if (QUERY_ONLY_METHODS.includes(method)) {
+      // Routing fields and params are separate query fields; an exploded object parameter describes each route's set
+      parameters.push({ name: "route", in: "query", required: true, style: "form", explode: true, schema: { oneOf: variants.map(v => v.schema) } });
+    } else {
+      // File params can only be sent as multipart/form-data
+      const json = variants.filter(v => !v.hasFiles).map(v => v.schema);
+      const multipart = variants.filter(v => v.hasFiles).map(v => v.schema);
+      requestBody = {
+        required: true,
+        content: {
+          ...(json.length > 0 ? { "application/json": { schema: { oneOf: json } } } : {}),
+          ...(multipart.length > 0 ? { "multipart/form-data": { schema: { oneOf: multipart } } } : {})
+        }
+      };
+    }
+
+    return {
+      operationId: `dispatch.${method.toLowerCase()}`,
+      tags: [...new Set(routes.map(route => route.namespace))],
+      summary: "Namespace/action dispatch",
+      description: "Routes without a path are selected by the namespace and action fields of the request.",
+      parameters,
+      ...(requestBody ? { requestBody } : {}),
+      responses: OpenApiGenerator._responses(method),
+      "x-apihandler-routes": routes.map(route => ({
+        ...OpenApiGenerator._routeInfo(route),
+        summary: route.entry.summary || `${route.namespace}/${route.actionKey}`,
+        ...(route.entry.deprecated ? { deprecated: true } : {})
+      }))
+    };
+  }
+
+  static _dispatchSchema(apiHandler, route, paramTypes) {
+    const { namespace, actionKey, entry } = route;
+    // With versioning off, versioned keys like "list.v2" are addressed by their full key
+    const routing = { namespace: { const: namespace }, action: { const: apiHandler.enableVersioning ? route.action : actionKey } };
+    const required = ["namespace", "action"];
+    if (apiHandler.enableVersioning) {
+      if (route.version && route.action !== actionKey) {
+        routing.version = { const: route.version };
+        required.push("version");
+      } else {
+        const versions = route.versions.length > 0 ? route.versions : (route.version ? [route.version] : []);
+        if (versions.length > 0) routing.version = { type: "string", enum: versions };
+      }
+    }
+
+    const { schema, hasFiles } = OpenApiGenerator._objectSchema(OpenApiGenerator._paramDefs(entry), routing, required, paramTypes);
+    return {
+      schema: {
+        title: `${namespace}/${actionKey}`,
+        ...(entry.summary ? { description: entry.summary } : {}),
+        ...schema,
+        ...(entry.deprecated ? { deprecated: true } : {})
+      },
+      hasFiles
+    };
+  }
+
+  static _objectSchema(defs, properties = {}, required = [], paramTypes = null) {
+    const schemaProperties = { ...properties };
+    const requiredNames = [...required];
+    for (const def of defs) {
+      schemaProperties[def.name] = OpenApiGenerator.paramToSchema(def, paramTypes);
+      if (def.required) requiredNames.push(String(def.name));
+    }
+    const hasFiles = defs.some(def => String(def.type || "").trim().toLowerCase() === "file");
+    return {
+      schema: { type: "object", properties: schemaProperties, ...(requiredNames.length > 0 ? { required: requiredNames } : {}) },
+      hasFiles
+    };
+  }
+
+  static _responses(method) {
+    const responses = {
+      // HEAD answers with the GET headers only
+      200: method === "HEAD"
+        ? { description: "Successful response (headers only)" }
+        : {
+          description: "Successful response",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/SuccessResponse" } } }
+        }
+    };
+    for (const status of ERROR_STATUSES) {
+      responses[status] = { $ref: "#/components/responses/Error" };
+    }
+    return responses;
+  }
+
+  static _routeInfo(route) {
+    return { namespace: route.namespace, action: route.action, actionKey: route.actionKey, version: route.version, versions: route.versions };
+  }
+
+  static _paramDefs(entry) {
+    return Array.isArray(entry.params) ? entry.params.filter(def => def && typeof def === "object" && def.name) : [];
+  }
+
+  static _methodsFor(apiHandler, entry) {
+    // Same list the dispatcher enforces, so GET routes also document their implied HEAD
+    const declared = apiHandler._getRouteMethods(entry) || apiHandler.allowedMethods;
+    return [...new Set(declared.map(m => String(m).toUpperCase()))]
+      .filter(m => apiHandler.allowedMethods.includes(m));
+  }
+
+  static _pathParamNames(pattern) {
+    return (String(pattern).match(/:([A-Za-z0-9_]+)/g) || []).map(segment => segment.slice(1));
+  }
+
+  static _clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+OpenApiGenerator.PARAM_TYPE_SCHEMAS = PARAM_TYPE_SCHEMAS;
+OpenApiGenerator.ERROR_STATUSES = ERROR_STATUSES;
+
+module.exports = OpenApiGenerator;
@@ -0,0 +1,210 @@
+/**
+ * OpenApiGenerator Test Suite
+ *
+ * Tests for OpenAPI 3.1 generation from routeConfig and the CLI wrapper
+ */
+
+// Mock UtilityLogger before importing ApiHandler to avoid AWS SDK dependencies
+jest.mock('./UtilityLogger.js', () => ({
+  writeLog: jest.fn()
+}));
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiHandler = require('./ApiHandler.js');
+const OpenApiGenerator = require('./OpenApiGenerator.js');
+const { main: runCli } = require('./bin/apihandler-openapi.js');
+
+const mockLogger = {
+  writeLog: jest.fn()
+};
+
+const routeConfig = {
+  apiHandler: [
+    {
+      users: {
+        create: {
+          summary: 'Create a user',
+          params: [
+            { name: "name", type: "string", required: true },
+            { name: "email", type: "email", required: true },
+            { name: "age", type: "int", required: false, default: 18 }
+          ]
+        },
+        orders: {
+          path: '/users/:id/orders',
+          params: [
+            { name: "id", type: "int", required: true },
+            { name: "limit", type: "integer", required: false, default: 10 }
+          ]
+        },
+        "list.v2": {
+          params: [{ name: "page", type: "float" }]
+        },
+        list: {
+          versions: ['v1', 'v3'],
+          params: []
+        }
+      }
+    }
+  ]
+};
+
+const createHandler = (options = {}) => new ApiHandler({
+  routeConfig,
+  autoLoader: null,
+  logger: mockLogger,
+  allowedMethods: ['GET', 'POST'],
+  ...options
+});
+
+describe('OpenApiGenerator', () => {
+
+  test('should emit an OpenAPI 3.1 document with info and tags', () => {
+    const doc = createHandler().toOpenAPI({ title: 'Users API', version: '2.0.0' });
+
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.info).toEqual({ title: 'Users API', version: '2.0.0' });
+    expect(doc.tags).toEqual([{ name: 'users' }]);
+  });
+
+  test('should map param types to JSON Schema with required and defaults', () => {
+    const doc = createHandler().toOpenAPI();
+    const post = doc.paths['/'].post;
+    const schema = post.requestBody.content['application/json'].schema.oneOf.find(variant => variant.title === 'users/create');
+
+    expect(schema.description).toBe('Create a user');
+    expect(post['x-apihandler-routes']).toEqual(expect.arrayContaining([expect.objectContaining({ actionKey: 'create', summary: 'Create a user' })]));
+    expect(schema.properties.name).toEqual({ type: 'string' });
+    expect(schema.properties.email).toEqual({ type: 'string', format: 'email' });
+    expect(schema.properties.age).toEqual({ type: 'integer', default: 18 });
+    expect(schema.properties.namespace).toEqual({ const: 'users' });
+    expect(schema.required).toEqual(['namespace', 'action', 'name', 'email']);
+  });
+
+  test('should document GET params as query parameters', () => {
+    const doc = createHandler().toOpenAPI();
+    const [routeParam] = doc.paths['/'].get.parameters;
+    const create = routeParam.schema.oneOf.find(variant => variant.title === 'users/create');
+
+    expect(doc.paths['/'].get.requestBody).toBeUndefined();
+    expect(routeParam).toEqual(expect.objectContaining({ in: 'query', style: 'form', explode: true, required: true }));
+    expect(create.properties.action).toEqual({ const: 'create' });
+    expect(create.properties.age).toEqual({ type: 'integer', default: 18 });
+    expect(doc.paths['/users/{id}/orders'].get.parameters).toContainEqual({ name: 'limit', in: 'query', required: false, schema: { type: 'integer', default: 10 } });
+  });
+
+  test('should document namespace/action routes on the mount point, not invented paths', () => {
+    const doc = createHandler().toOpenAPI();
+    const prefixed = createHandler().toOpenAPI({ basePath: '/api/' });
+
+    expect(Object.keys(doc.paths).sort()).toEqual(['/', '/users/{id}/orders']);
+    expect(Object.keys(prefixed.paths).sort()).toEqual(['/api', '/api/users/{id}/orders']);
+    expect(doc.paths['/'].post.operationId).toBe('dispatch.post');
+    expect(doc.paths['/'].post.tags).toEqual(['users']);
+  });
+
+  test('should translate path patterns and declare path params', () => {
+    const doc = createHandler().toOpenAPI();
+    const get = doc.paths['/users/{id}/orders'].get;
+
+    expect(get.parameters[0]).toEqual({ name: 'id', in: 'path', required: true, schema: { type: 'integer' } });
+    expect(get.parameters.find(p => p.name === 'namespace')).toBeUndefined();
+    expect(get['x-apihandler-route'].dispatch).toBe('path');
+  });
+
+  test('should include versioned entries when versioning is enabled', () => {
+    const doc = createHandler({ enableVersioning: true }).toOpenAPI();
+
+    const variants = doc.paths['/'].post.requestBody.content['application/json'].schema.oneOf;
+    const v2 = variants.find(variant => variant.title === 'users/list.v2');
+    const list = variants.find(variant => variant.title === 'users/list');
+
+    expect(v2.properties).toEqual(expect.objectContaining({ action: { const: 'list' }, version: { const: 'v2' } }));
+    expect(v2.required).toEqual(['namespace', 'action', 'version']);
+    expect(list.properties.version).toEqual({ type: 'string', enum: ['v1', 'v3'] });
+    expect(doc.paths['/users/list.v2']).toBeUndefined();
+  });
+
+  test('should only emit allowed methods', () => {
+    const doc = createHandler().toOpenAPI();
+
+    expect(Object.keys(doc.paths['/'])).toEqual(['get', 'post']);
+  });
+
+  test('should document the HEAD operation implied by GET routes', () => {
+    const getOnly = { apiHandler: [{ users: { orders: { ...routeConfig.apiHandler[0].users.orders, methods: ['GET'] } } }] };
+    const doc = createHandler({ routeConfig: getOnly, allowedMethods: ['GET', 'POST', 'HEAD'] }).toOpenAPI();
+    const operations = doc.paths['/users/{id}/orders'];
+
+    expect(Object.keys(operations)).toEqual(['get', 'head']);
+    expect(operations.head.parameters).toEqual(operations.get.parameters);
+    expect(operations.head.responses[200]).toEqual({ description: 'Successful response (headers only)' });
+  });
+
+  test('should reference the standardized error response schema', () => {
+    const doc = createHandler().toOpenAPI();
+
+    const { responses } = doc.paths['/'].post;
+
+    for (const status of [400, 401, 403, 404, 405, 409, 410, 413, 422, 429, 500]) {
+      expect(responses[status]).toEqual({ $ref: '#/components/responses/Error' });
+    }
+    expect(doc.paths['/users/{id}/orders'].get.responses[429]).toEqual({ $ref: '#/components/responses/Error' });
+    expect(doc.components.schemas.ErrorResponse.properties.error.required)
+      .toEqual(['code', 'message', 'details', 'timestamp', 'requestId']);
+  });
+
+  test('should map every validation type', () => {
+    expect(OpenApiGenerator.paramToSchema({ type: 'url' })).toEqual({ type: 'string', format: 'uri' });
+    expect(OpenApiGenerator.paramToSchema({ type: 'BOOL' })).toEqual({ type: 'boolean' });
+    expect(OpenApiGenerator.paramToSchema({ type: 'iterable' })).toEqual({ type: 'array', items: {} });
+  });
+
+  describe('CLI wrapper', () => {
+    test('should write the document to --out', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-openapi-'));
+      const configPath = path.join(dir, 'routes.json');
+      const outPath = path.join(dir, 'openapi.json');
+      fs.writeFileSync(configPath, JSON.stringify(routeConfig));
+
+      try {
+        const code = runCli([configPath, '--title', 'CLI API', '--out', outPath]);
+        const doc = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+
+        expect(code).toBe(0);
+        expect(doc.info.title).toBe('CLI API');
+        expect(doc.paths['/users/{id}/orders']).toBeDefined();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should run as a standalone binary without the logger dependencies', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apihandler-openapi-'));
+      const configPath = path.join(dir, 'routes.js');
+      fs.writeFileSync(configPath, `module.exports = ${JSON.stringify(routeConfig)};`);
+
+      try {
+        const { status, stdout, stderr } = spawnSync(process.execPath, [path.join(__dirname, 'bin', 'apihandler-openapi.js'), configPath, '--base-path', '/api'], { encoding: 'utf8', timeout: 30000 });
+
+        expect(stderr).toBe('');
+        expect(status).toBe(0);
+        expect(Object.keys(JSON.parse(stdout).paths).sort()).toEqual(['/api', '/api/users/{id}/orders']);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should fail without a config path', () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      try {
+        expect(runCli([])).toBe(1);
+      } finally {
+        write.mockRestore();
+      }
+    });
+  });
+});
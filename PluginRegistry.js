@@ -0,0 +1,188 @@
+// Lifecycle events plugins can observe; hook failures are logged and never change the response
+const PLUGIN_HOOK_EVENTS = Object.freeze({
+  ON_REQUEST: "onRequest",
+  ON_RESPONSE: "onResponse",
+  ON_RELOAD: "onReload"
+});
+
+// Context keys owned by the pipeline itself
+const RESERVED_CONTEXT_KEYS = ["auth", "requestId", "batchId", "batchIndex"];
+
+const PLUGIN_NAME_PATTERN = /^[A-Za-z0-9@/_.-]+$/;
+
+/**
+ * Class PluginRegistry
+ *
+ * Book-keeping behind `ApiHandler#use()`. A plugin is
+ *
+ *   { name, version?, dependencies?: ['other-plugin'], install(api, options) }
+ *
+ * and `install` receives a registration API scoped to that plugin: addMiddleware, addParamType,
+ * addHook and decorateContext. Dependencies must be installed first; `use([a, b])` orders a list
+ * by its declared dependencies. Everything a plugin registers is recorded so listPlugins() can
+ * report it, and rolled back if install throws.
+ */
+class PluginRegistry {
+  constructor() {
+    this.installed = [];
+    this.paramTypes = new Map();
+    this.contextDecorators = new Map();
+    this.hooks = Object.fromEntries(Object.values(PLUGIN_HOOK_EVENTS).map(event => [event, []]));
+  }
+
+  /**
+   * Check a plugin's shape.
+   *
+   * @param {object} plugin - Plugin to check.
+   *
+   * @returns {object} The plugin, for chaining.
+   */
+  static validate(plugin) {
+    if (!plugin || typeof plugin !== "object") {
+      throw new TypeError(`Plugin must be an object. Received: ${typeof plugin}`);
+    }
+    if (typeof plugin.name !== "string" || !PLUGIN_NAME_PATTERN.test(plugin.name)) {
+      throw new TypeError(`Plugin name must be a non-empty string of letters, digits, @ / _ . or -. Received: ${plugin.name}`);
+    }
+    if (typeof plugin.install !== "function") {
+      throw new TypeError(`Plugin ${plugin.name} must define install(api, options)`);
+    }
+    if (plugin.dependencies !== undefined && (!Array.isArray(plugin.dependencies) || plugin.dependencies.some(dep => typeof dep !== "string"))) {
+      throw new TypeError(`Plugin ${plugin.name} dependencies must be an array of plugin names`);
+    }
+    return plugin;
+  }
+
+  /**
+   * Order plugins so each comes after its dependencies.
+   *
+   * @param {Array<object>} plugins - Plugins to install together.
+   * @param {function(string): boolean} isInstalled - Whether a dependency is already installed.
+   *
+   * @returns {Array<object>} Plugins in install order.
+   */
+  static order(plugins, isInstalled) {
+    const byName = new Map();
+    for (const plugin of plugins) {
+      PluginRegistry.validate(plugin);
+      if (byName.has(plugin.name)) {
+        throw new Error(`Plugin ${plugin.name} is listed more than once`);
+      }
+      byName.set(plugin.name, plugin);
+    }
+
+    const ordered = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const visit = (plugin, trail) => {
+      if (state.get(plugin.name) === "done") return;
+      if (state.get(plugin.name) === "visiting") {
+        throw new Error(`Plugin dependency cycle: ${[...trail, plugin.name].join(" -> ")}`);
+      }
+      state.set(plugin.name, "visiting");
+      for (const dep of plugin.dependencies || []) {
+        if (byName.has(dep)) {
+          visit(byName.get(dep), [...trail, plugin.name]);
+        } else if (!isInstalled(dep)) {
+          throw new Error(`Plugin ${plugin.name} depends on ${dep}, which is not installed`);
+        }
+      }
+      state.set(plugin.name, "done");
+      ordered.push(plugin);
+    };
+    for (const plugin of plugins) visit(plugin, []);
+    return ordered;
+  }
+
+  has(name) {
+    return this.installed.some(record => record.name === name);
+  }
+
+  addParamType(name, definition, record, builtinTypes) {
+    const type = String(name || "").trim().toLowerCase();
+    if (!type || builtinTypes.includes(type) || this.paramTypes.has(type)) {
+      throw new Error(`Param type "${type}" is already defined`);
+    }
+    if (!definition || typeof definition.validate !== "function") {
+      throw new TypeError(`Param type "${type}" must define validate(value, def)`);
+    }
+    this.paramTypes.set(type, { ...definition, plugin: record.name });
+    record.paramTypes.push(type);
+  }
+
+  addHook(event, fn, record) {
+    if (!this.hooks[event]) {
+      throw new TypeError(`Unknown plugin hook "${event}". Must be one of: ${Object.keys(this.hooks).join(", ")}`);
+    }
+    if (typeof fn !== "function") {
+      throw new TypeError(`Plugin hook ${event} must be a function`);
+    }
+    this.hooks[event].push({ fn, plugin: record.name });
+    record.hooks.push(event);
+  }
+
+  decorateContext(key, value, record) {
+    if (RESERVED_CONTEXT_KEYS.includes(key) || this.contextDecorators.has(key)) {
+      const owner = this.contextDecorators.has(key) ? `plugin ${this.contextDecorators.get(key).plugin}` : "the pipeline";
+      throw new Error(`Context key "${key}" is already owned by ${owner}`);
+    }
+    this.contextDecorators.set(key, { value, plugin: record.name });
+    record.contextKeys.push(key);
+  }
+
+  /**
+   * Remove everything a plugin registered (used when its install fails).
+   */
+  rollback(record) {
+    for (const type of record.paramTypes) this.paramTypes.delete(type);
+    for (const key of record.contextKeys) this.contextDecorators.delete(key);
+    for (const event of Object.keys(this.hooks)) {
+      this.hooks[event] = this.hooks[event].filter(hook => hook.plugin !== record.name);
+    }
+  }
+
+  /**
+   * Resolve context decorations for one request. Function values are called with the request state.
+   *
+   * @returns {Promise<object>} Decorations keyed by context key.
+   */
+  async resolveDecorations(state) {
+    const decorations = {};
+    for (const [key, { value }] of this.contextDecorators) {
+      decorations[key] = typeof value === "function" ? await value(state) : value;
+    }
+    return decorations;
+  }
+
+  /**
+   * Call every hook for an event in install order.
+   *
+   * @param {string} event - One of PLUGIN_HOOK_EVENTS.
+   * @param {Array} args - Hook arguments.
+   * @param {function(Error, string): Promise} onFailure - Called with the error and plugin name when a hook throws.
+   */
+  async emit(event, args, onFailure) {
+    for (const { fn, plugin } of this.hooks[event] || []) {
+      try {
+        await fn(...args);
+      } catch (err) {
+        await onFailure(err, plugin);
+      }
+    }
+  }
+
+  list() {
+    return this.installed.map(record => ({
+      ...record,
+      dependencies: [...record.dependencies],
+      middleware: [...record.middleware],
+      paramTypes: [...record.paramTypes],
+      hooks: [...record.hooks],
+      contextKeys: [...record.contextKeys]
+    }));
+  }
+}
+
+PluginRegistry.PLUGIN_HOOK_EVENTS = PLUGIN_HOOK_EVENTS;
+PluginRegistry.RESERVED_CONTEXT_KEYS = RESERVED_CONTEXT_KEYS;
+
+module.exports = PluginRegistry;
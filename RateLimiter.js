@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const MemoryStore = require("./MemoryStore.js");
+
+// Defaults for rate limit rules
+const DEFAULT_RATE_LIMIT_CONFIG = Object.freeze({
+  ALGORITHM: "tokenBucket",
+  WINDOW_MS: 60000,
+  KEY: "ip"
+});
+
+const RATE_LIMIT_ALGORITHMS = Object.freeze({
+  TOKEN_BUCKET: "tokenBucket",
+  SLIDING_WINDOW: "slidingWindow"
+});
+
+/**
+ * Class RateLimiter
+ *
+ * Applies rate limit rules to a request. A rule is
+ *
+ *   { limit, windowMs?, algorithm?: 'tokenBucket'|'slidingWindow', key?, cost?, name? }
+ *
+ * where `key` is an extractor name ('ip', 'apiKey', 'principal', 'namespace', 'route'), a list of
+ * them (combined), or a function `(request) => string`. Token buckets hold `limit` tokens refilled
+ * evenly over `windowMs` (bursts up to `limit`); sliding windows weight the previous fixed window
+ * by its overlap with the last `windowMs`.
+ */
+class RateLimiter {
+  /**
+   * @param {object} [options] - { store } implementing the MemoryStore get/set interface, optionally
+   *   with `consume(key, rule, now) -> outcome` to apply a rule atomically in a shared store.
+   */
+  constructor({ store = null } = {}) {
+    this.store = store || new MemoryStore();
+  }
+
+  /**
+   * Check a request against rules, consuming quota from every matching bucket.
+   *
+   * @param {Array<object>} rules - Normalized rules (see normalizeRules()).
+   * @param {object} request - { headers, context, namespace, actionKey }.
+   * @param {number} now - Current time in ms.
+   *
+   * @returns {Promise<object|null>} The most restrictive outcome `{ rule, allowed, limit, remaining, resetMs, retryAfterMs }`,
+   *   or null when no rule applies.
+   */
+  async check(rules, request, now) {
+    let tightest = null;
+    for (const rule of rules) {
+      const keyPart = RateLimiter.resolveKey(rule.key, request);
+      if (keyPart === null) continue;
+      const storeKey = `ratelimit:${rule.name}:${keyPart}`;
+
+      const outcome = typeof this.store.consume === "function"
+        ? await this.store.consume(storeKey, rule, now)
+        : await this._consume(storeKey, rule, now);
+      const result = { ...outcome, rule: rule.name, limit: rule.limit };
+
+      // A denial always wins; otherwise report the rule closest to its limit
+      if (!tightest
+        || (!result.allowed && (tightest.allowed || result.retryAfterMs > tightest.retryAfterMs))
+        || (result.allowed && tightest.allowed && result.remaining < tightest.remaining)) {
+        tightest = result;
+      }
+    }
+    return tightest;
+  }
+
+  async _consume(storeKey, rule, now) {
+    const previous = await this.store.get(storeKey);
+    const { state, outcome } = rule.algorithm === RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW
+      ? RateLimiter.slidingWindow(previous, rule, now)
+      : RateLimiter.tokenBucket(previous, rule, now);
+    // Keep state for two windows so the sliding window can still see the previous one
+    await this.store.set(storeKey, state, rule.windowMs * 2);
+    return outcome;
+  }
+
+  /**
+   * Token bucket step.
+   *
+   * @returns {{ state: object, outcome: object }} New state and { allowed, remaining, resetMs, retryAfterMs }.
+   */
+  static tokenBucket(previous, { limit, windowMs, cost = 1 }, now) {
+    const ratePerMs = limit / windowMs;
+    const elapsed = previous ? Math.max(0, now - previous.updatedAt) : 0;
+    let tokens = previous ? Math.min(limit, previous.tokens + elapsed * ratePerMs) : limit;
+
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+    return {
+      state: { tokens, updatedAt: now },
+      outcome: {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((limit - tokens) / ratePerMs),
+        retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / ratePerMs)
+      }
+    };
+  }
+
+  /**
+   * Sliding window counter step.
+   *
+   * @returns {{ state: object, outcome: object }} New state and { allowed, remaining, resetMs, retryAfterMs }.
+   */
+  static slidingWindow(previous, { limit, windowMs, cost = 1 }, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let current = 0;
+    let prior = 0;
+    if (previous) {
+      if (previous.windowStart === windowStart) {
+        current = previous.current;
+        prior = previous.prior;
+      } else if (previous.windowStart === windowStart - windowMs) {
+        prior = previous.current;
+      }
+    }
+
+    const elapsedFraction = (now - windowStart) / windowMs;
+    const estimate = prior * (1 - elapsedFraction) + current;
+    const allowed = estimate + cost <= limit;
+    if (allowed) current += cost;
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+      // Wait until the previous window's weight has decayed enough, or for the next window
+      const needed = estimate + cost - limit;
+      const untilNextWindow = windowStart + windowMs - now;
+      retryAfterMs = prior > 0 && current + cost <= limit
+        ? Math.min(untilNextWindow, Math.ceil((needed / prior) * windowMs))
+        : untilNextWindow;
+    }
+    return {
+      state: { windowStart, current, prior },
+      outcome: {
+        allowed,
+        remaining: Math.max(0, Math.floor(limit - (prior * (1 - elapsedFraction) + current))),
+        resetMs: windowStart + windowMs - now,
+        retryAfterMs
+      }
+    };
+  }
+
+  /**
+   * Resolve the bucket key for a request.
+   *
+   * @returns {string|null} Key, or null when an extractor function opts the request out.
+   */
+  static resolveKey(key, request) {
+    if (typeof key === "function") {
+      const value = key(request);
+      return value === null || value === undefined ? null : String(value);
+    }
+    const extractors = Array.isArray(key) ? key : [key];
+    return extractors.map(name => RateLimiter._extract(name, request)).join("|");
+  }
+
+  static _extract(name, { headers = {}, context = {}, namespace = null, actionKey = null }) {
+    switch (name) {
+      case "ip": {
+        const forwarded = RateLimiter._getHeader(headers, "x-forwarded-for");
+        return `ip=${context?.ip || (forwarded ? String(forwarded).split(",")[0].trim() : "unknown")}`;
+      }
+      case "apiKey": {
+        // Hash so raw keys never land in the store
+        const apiKey = RateLimiter._getHeader(headers, "x-api-key");
+        return apiKey ? `key=${crypto.createHash("sha256").update(String(apiKey)).digest("hex").slice(0, 32)}` : RateLimiter._extract("ip", { headers, context });
+      }
+      case "principal":
+        return context?.auth?.id ? `principal=${context.auth.id}` : RateLimiter._extract("ip", { headers, context });
+      case "namespace":
+        return `ns=${namespace}`;
+      case "route":
+        return `route=${namespace}/${actionKey}`;
+      default:
+        throw new TypeError(`Unknown rate limit key extractor "${name}"`);
+    }
+  }
+
+  /**
+   * Validate rules and fill in defaults.
+   *
+   * @param {object|Array<object>} rules - Rule or rules.
+   * @param {string} prefix - Name prefix for unnamed rules (keeps buckets of different rules apart).
+   *
+   * @returns {Array<object>} Normalized rules.
+   */
+  static normalizeRules(rules, prefix) {
+    return [].concat(rules || []).map((rule, index) => {
+      if (!rule || typeof rule !== "object" || !Number.isFinite(rule.limit) || rule.limit <= 0) {
+        throw new TypeError(`Rate limit rule ${prefix}#${index} needs a positive limit`);
+      }
+      const algorithm = rule.algorithm || DEFAULT_RATE_LIMIT_CONFIG.ALGORITHM;
+      if (!Object.values(RATE_LIMIT_ALGORITHMS).includes(algorithm)) {
+        throw new TypeError(`Unknown rate limit algorithm "${algorithm}"`);
+      }
+      return {
+        ...rule,
+        name: rule.name || `${prefix}#${index}`,
+        algorithm,
+        windowMs: Number.isFinite(rule.windowMs) && rule.windowMs > 0 ? rule.windowMs : DEFAULT_RATE_LIMIT_CONFIG.WINDOW_MS,
+        key: rule.key || DEFAULT_RATE_LIMIT_CONFIG.KEY,
+        cost: Number.isFinite(rule.cost) && rule.cost > 0 ? rule.cost : 1
+      };
+    });
+  }
+
+  /**
+   * Response headers describing an outcome (IETF RateLimit fields plus Retry-After on denial).
+   */
+  static headers(outcome) {
+    const headers = {
+      "RateLimit-Limit": String(outcome.limit),
+      "RateLimit-Remaining": String(outcome.remaining),
+      "RateLimit-Reset": String(Math.ceil(outcome.resetMs / 1000))
+    };
+    if (!outcome.allowed) {
+      headers["Retry-After"] = String(Math.max(1, Math.ceil(outcome.retryAfterMs / 1000)));
+    }
+    return headers;
+  }
+
+  static _getHeader(headers, name) {
+    if (!headers || typeof headers !== "object") return null;
+    const lower = name.toLowerCase();
+    for (const key of Object.keys(headers)) {
+      if (key.toLowerCase() === lower) return headers[key];
+    }
+    return null;
+  }
+}
+
+RateLimiter.MemoryStore = MemoryStore;
+RateLimiter.DEFAULT_RATE_LIMIT_CONFIG = DEFAULT_RATE_LIMIT_CONFIG;
+RateLimiter.RATE_LIMIT_ALGORITHMS = RATE_LIMIT_ALGORITHMS;
+
+module.exports = RateLimiter;
@@ -0,0 +1,183 @@
+const MemoryStore = require("./MemoryStore.js");
+const StableJson = require("./StableJson.js");
+
+// Entry lifetimes and which requests are served from cache by default
+const DEFAULT_RESPONSE_CACHE_CONFIG = Object.freeze({
+  TTL_MS: 60000,
+  MAX_TTL_MS: 24 * 60 * 60 * 1000,
+  MAX_ENTRIES: 1000,
+  METHODS: Object.freeze(['GET', 'HEAD'])
+});
+
+/**
+ * Class ResponseCache
+ *
+ * Caches successful JSON results of read-only routes. A route opts in with
+ *
+ *   cache: { ttlMs?, methods?, varyBy?: { params?, headers?, principal? }, tags? }
+ *
+ * (or `cache: true` for the defaults). Entries are keyed by route, version and the validated params
+ * (all of them, plus extra user input, unless `varyBy.params` names a subset), any `varyBy.headers`,
+ * and the caller's principal unless `varyBy.principal` is false. `tags` is a list of strings or
+ * `(validated, context) => string[]`.
+ *
+ * Invalidation writes a timestamp marker per route or tag instead of enumerating keys, so it works
+ * with any store implementing MemoryStore's get / set / delete: an entry is stale when it was
+ * produced by a request that started at or before the newest marker covering it.
+ */
+class ResponseCache {
+  /**
+   * @param {object} [options] - { store, maxEntries, maxTtlMs }.
+   */
+  constructor({ store = null, maxEntries = DEFAULT_RESPONSE_CACHE_CONFIG.MAX_ENTRIES, maxTtlMs = DEFAULT_RESPONSE_CACHE_CONFIG.MAX_TTL_MS } = {}) {
+    this.store = store || new MemoryStore({ maxKeys: maxEntries });
+    // Also the lifetime of invalidation markers, so a marker always outlives what it covers
+    this.maxTtlMs = maxTtlMs;
+  }
+
+  /**
+   * Validate a route's cache policy and fill in defaults.
+   *
+   * @param {object|boolean} cache - entry.cache.
+   * @param {string} routeIdentifier - Route name for error messages.
+   *
+   * @returns {object|null} Normalized policy, or null when the route is not cached.
+   */
+  static normalizePolicy(cache, routeIdentifier) {
+    if (!cache) return null;
+    const policy = cache === true ? {} : cache;
+    if (typeof policy !== "object") {
+      throw new TypeError(`Cache policy for ${routeIdentifier} must be an object or true`);
+    }
+    const ttlMs = policy.ttlMs === undefined ? DEFAULT_RESPONSE_CACHE_CONFIG.TTL_MS : policy.ttlMs;
+    if (!Number.isFinite(ttlMs) || ttlMs <= 0) {
+      throw new TypeError(`Cache policy for ${routeIdentifier} needs a positive ttlMs`);
+    }
+    const varyBy = policy.varyBy || {};
+    const tags = policy.tags || [];
+    if (typeof tags !== "function" && !Array.isArray(tags)) {
+      throw new TypeError(`Cache tags for ${routeIdentifier} must be an array or a function`);
+    }
+    return {
+      ttlMs,
+      methods: (policy.methods || DEFAULT_RESPONSE_CACHE_CONFIG.METHODS).map(m => String(m).toUpperCase()),
+      varyBy: {
+        params: Array.isArray(varyBy.params) ? [...varyBy.params] : null,
+        headers: (varyBy.headers || []).map(h => String(h).toLowerCase()),
+        principal: varyBy.principal !== false
+      },
+      tags
+    };
+  }
+
+  /**
+   * Build the cache key for a request.
+   *
+   * @param {object} policy - Normalized policy.
+   * @param {object} request - { namespace, actionKey, version, validated, extra, headers, principal }.
+   *
+   * @returns {string} Store key.
+   */
+  static key(policy, { namespace, actionKey, version = null, validated = {}, extra = {}, headers = {}, principal = null }) {
+    const params = policy.varyBy.params
+      ? Object.fromEntries(policy.varyBy.params.map(name => [name, validated[name]]))
+      : { validated, extra };
+    const vary = {
+      params,
+      headers: Object.fromEntries(policy.varyBy.headers.map(name => [name, ResponseCache._getHeader(headers, name)])),
+      principal: policy.varyBy.principal ? (principal || "anonymous") : null
+    };
+    return `cache:${namespace}/${actionKey}@${version || "-"}:${StableJson.hash(vary)}`;
+  }
+
+  static resolveTags(policy, validated, context) {
+    const tags = typeof policy.tags === "function" ? policy.tags(validated, context) : policy.tags;
+    return [...new Set((tags || []).filter(tag => tag !== null && tag !== undefined).map(String))];
+  }
+
+  /**
+   * Results worth caching: successful, JSON, not carrying cookies.
+   */
+  static isCacheable(result) {
+    return !!result && typeof result === "object" && result.ok === true && result.status >= 200 && result.status < 300
+      && result.body === undefined && !(result.headers && result.headers["Set-Cookie"]);
+  }
+
+  /**
+   * Look up a fresh entry.
+   *
+   * @returns {Promise<object|null>} `{ result, cachedAt }`, or null on a miss.
+   */
+  async get(key, now) {
+    const record = await this.store.get(key);
+    if (!record || record.expiresAt <= now) return null;
+
+    const markers = [ResponseCache._routeMarker(record.namespace, record.actionKey), ...record.tags.map(ResponseCache._tagMarker)];
+    for (const marker of markers) {
+      const invalidatedAt = await this.store.get(marker);
+      if (invalidatedAt !== null && invalidatedAt !== undefined && invalidatedAt >= record.cachedAt) {
+        await this.store.delete(key);
+        return null;
+      }
+    }
+    return { result: record.result, cachedAt: record.cachedAt };
+  }
+
+  /**
+   * Store a result.
+   *
+   * @param {string} key - Key from key().
+   * @param {object} result - Cacheable result (see isCacheable()).
+   * @param {object} meta - { namespace, actionKey, tags, ttlMs }.
+   * @param {number} startedAt - When the request producing the result started, in ms.
+   */
+  async set(key, result, { namespace, actionKey, tags = [], ttlMs }, startedAt) {
+    const { ok, status, data, headers } = result;
+    const ttl = Math.min(ttlMs, this.maxTtlMs);
+    const record = {
+      result: { ok, status, data, ...(headers ? { headers } : {}) },
+      namespace,
+      actionKey,
+      tags,
+      cachedAt: startedAt,
+      expiresAt: startedAt + ttl
+    };
+    await this.store.set(key, record, ttl);
+  }
+
+  /**
+   * Mark everything cached for a route and/or carrying any of the tags as stale.
+   *
+   * @param {object} target - { namespace, actionKey, tags }.
+   * @param {number} now - Current time in ms.
+   */
+  async invalidate({ namespace = null, actionKey = null, tags = [] }, now) {
+    const markers = tags.map(ResponseCache._tagMarker);
+    if (namespace && actionKey) markers.push(ResponseCache._routeMarker(namespace, actionKey));
+    for (const marker of markers) {
+      await this.store.set(marker, now, this.maxTtlMs);
+    }
+    return markers.length;
+  }
+
+  static _routeMarker(namespace, actionKey) {
+    return `cache-invalidated:route:${namespace}/${actionKey}`;
+  }
+
+  static _tagMarker(tag) {
+    return `cache-invalidated:tag:${tag}`;
+  }
+
+  static _getHeader(headers, name) {
+    if (!headers || typeof headers !== "object") return null;
+    const lower = name.toLowerCase();
+    for (const key of Object.keys(headers)) {
+      if (key.toLowerCase() === lower) return headers[key];
+    }
+    return null;
+  }
+}
+
+ResponseCache.DEFAULT_RESPONSE_CACHE_CONFIG = DEFAULT_RESPONSE_CACHE_CONFIG;
+
+module.exports = ResponseCache;
@@ -0,0 +1,182 @@
+const { Readable } = require("stream");
+
+// Marker for items built with ResponseStream.event()
+const SSE_EVENT_MARKER = Symbol.for("apihandler.sse_event");
+
+const STREAM_FORMATS = Object.freeze({
+  NDJSON: "ndjson",
+  SSE: "sse"
+});
+
+const STREAM_CONTENT_TYPES = Object.freeze({
+  ndjson: "application/x-ndjson; charset=utf-8",
+  sse: "text/event-stream; charset=utf-8"
+});
+
+/**
+ * Class ResponseStream
+ *
+ * Encodes handler results that produce values over time (async iterators, async generators,
+ * object-mode Readables) as newline-delimited JSON or Server-Sent Events. The encoder pulls
+ * one item at a time, so a slow client applies backpressure to the producer, and every pull
+ * must settle within `idleTimeout` ms.
+ *
+ *   async function* exportRows() { for await (const row of cursor) yield row; }
+ *   return ApiResponse.sse(progress());   // or return the iterator and let Accept decide
+ */
+class ResponseStream {
+  /**
+   * Whether a handler result should be streamed item by item.
+   *
+   * @param {*} value - Handler result.
+   *
+   * @returns {boolean} True for async iterables (including Node Readables).
+   */
+  static isStreamable(value) {
+    if (!value || typeof value !== "object" || Buffer.isBuffer(value) || Array.isArray(value)) return false;
+    return typeof value[Symbol.asyncIterator] === "function";
+  }
+
+  /**
+   * Pick the wire format for a plain streamed result from the Accept header.
+   *
+   * @param {string} [accept] - Request Accept header.
+   *
+   * @returns {string} 'sse' or 'ndjson'.
+   */
+  static formatFromAccept(accept) {
+    return /text\/event-stream/i.test(String(accept || "")) ? STREAM_FORMATS.SSE : STREAM_FORMATS.NDJSON;
+  }
+
+  /**
+   * Build an SSE item with explicit event name, id or retry hint.
+   *
+   * @param {*} data - Payload (objects are JSON-encoded).
+   * @param {object} [fields] - { event, id, retry }.
+   *
+   * @returns {object} SSE event item.
+   */
+  static event(data, { event = null, id = null, retry = null } = {}) {
+    return { [SSE_EVENT_MARKER]: true, data, event, id, retry };
+  }
+
+  /**
+   * Encode a single item.
+   *
+   * @param {*} item - Streamed value.
+   * @param {string} format - 'ndjson' or 'sse'.
+   *
+   * @returns {string} Encoded chunk.
+   */
+  static encode(item, format) {
+    if (format === STREAM_FORMATS.SSE) {
+      const fields = item && item[SSE_EVENT_MARKER] ? item : { data: item };
+      const lines = [];
+      if (fields.event) lines.push(`event: ${ResponseStream._singleLine(fields.event)}`);
+      if (fields.id !== null && fields.id !== undefined) lines.push(`id: ${ResponseStream._singleLine(fields.id)}`);
+      if (Number.isInteger(fields.retry)) lines.push(`retry: ${fields.retry}`);
+      // Multi-line payloads need one data: field per line
+      for (const line of ResponseStream._stringify(fields.data).split(/\r?\n/)) {
+        lines.push(`data: ${line}`);
+      }
+      return `${lines.join("\n")}\n\n`;
+    }
+    // Every NDJSON line is a JSON value, so text items are quoted rather than written raw
+    const value = Buffer.isBuffer(item) ? item.toString("utf8") : item;
+    return `${JSON.stringify(value === undefined ? null : value)}\n`;
+  }
+
+  /**
+   * Wrap an async iterable in a byte Readable that emits encoded items.
+   *
+   * Producer failures and idle timeouts cannot change the already-sent status, so they are
+   * written as a final error item (`{"error":...}` line or `event: error`) before ending.
+   *
+   * @param {AsyncIterable} source - Items to stream.
+   * @param {object} [options] - { format, idleTimeout, requestId, onError(err, code) }.
+   *
+   * @returns {Readable} Encoded byte stream.
+   */
+  static toReadable(source, { format = STREAM_FORMATS.NDJSON, idleTimeout = 0, requestId = null, onError = null } = {}) {
+    const iterator = source[Symbol.asyncIterator]();
+    let finished = false;
+
+    // Not awaited: a generator stuck in a pending next() only runs its cleanup once that settles
+    const close = () => {
+      if (finished) return;
+      finished = true;
+      if (typeof iterator.return === "function") {
+        Promise.resolve()
+          .then(() => iterator.return())
+          .catch(() => {
+            // The producer is being abandoned; its cleanup errors have nowhere to go
+          });
+      }
+    };
+
+    return new Readable({
+      async read() {
+        if (finished) return;
+        let timeoutId;
+        try {
+          // Undefined items carry nothing to send, so keep pulling until a value or the end
+          for (;;) {
+            const next = idleTimeout > 0
+              ? await Promise.race([
+                iterator.next(),
+                new Promise((_, reject) => {
+                  timeoutId = setTimeout(() => {
+                    const err = new Error(`Stream idle for more than ${idleTimeout}ms`);
+                    err.code = "STREAM_IDLE_TIMEOUT";
+                    reject(err);
+                  }, idleTimeout);
+                })
+              ])
+              : await iterator.next();
+            clearTimeout(timeoutId);
+
+            if (next.done) {
+              finished = true;
+              this.push(null);
+              return;
+            }
+            if (next.value !== undefined) {
+              this.push(ResponseStream.encode(next.value, format));
+              return;
+            }
+          }
+        } catch (err) {
+          clearTimeout(timeoutId);
+          const code = err && err.code === "STREAM_IDLE_TIMEOUT" ? "STREAM_IDLE_TIMEOUT" : "STREAM_FAILED";
+          if (typeof onError === "function") onError(err, code);
+          const payload = { error: { code, message: code === "STREAM_IDLE_TIMEOUT" ? err.message : "Stream failed", requestId } };
+          this.push(format === STREAM_FORMATS.SSE
+            ? ResponseStream.encode(ResponseStream.event(payload.error, { event: "error" }), format)
+            : ResponseStream.encode(payload, format));
+          close();
+          this.push(null);
+        }
+      },
+      destroy(err, callback) {
+        // Client went away: stop the producer
+        close();
+        callback(err);
+      }
+    });
+  }
+
+  static _stringify(value) {
+    if (typeof value === "string") return value;
+    if (Buffer.isBuffer(value)) return value.toString("utf8");
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  static _singleLine(value) {
+    return String(value).replace(/[\r\n]/g, " ");
+  }
+}
+
+ResponseStream.STREAM_FORMATS = STREAM_FORMATS;
+ResponseStream.STREAM_CONTENT_TYPES = STREAM_CONTENT_TYPES;
+
+module.exports = ResponseStream;
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+
+/**
+ * Class StableJson
+ *
+ * Canonical JSON for signatures, fingerprints and cache keys: object keys are sorted at every
+ * level so logically equal values always serialize (and hash) the same way. Buffers serialize
+ * as base64 strings; undefined object fields are dropped like JSON.stringify does.
+ */
+class StableJson {
+  static stringify(value) {
+    if (Buffer.isBuffer(value)) return JSON.stringify(value.toString("base64"));
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (value === null || typeof value !== "object") return JSON.stringify(value === undefined ? null : value);
+    if (Array.isArray(value)) return `[${value.map(item => StableJson.stringify(item)).join(",")}]`;
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== "function")
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${StableJson.stringify(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+
+  /**
+   * Hash the canonical form of a value.
+   *
+   * @param {*} value - Value to hash.
+   * @param {string} [encoding] - Digest encoding ('hex' or 'base64url').
+   *
+   * @returns {string} SHA-256 digest.
+   */
+  static hash(value, encoding = "hex") {
+    return crypto.createHash("sha256").update(StableJson.stringify(value)).digest(encoding);
+  }
+}
+
+module.exports = StableJson;
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// CLI wrapper around OpenApiGenerator; passes its own logger so UtilityLogger and its dependencies never load
+// Usage: apihandler-openapi <routeConfig.js|json> [--title T] [--api-version V] [--base-path P] [--versioning] [--out file]
+const fs = require("fs");
+const path = require("path");
+const ApiHandler = require("../ApiHandler.js");
+const OpenApiGenerator = require("../OpenApiGenerator.js");
+
+const USAGE = "Usage: apihandler-openapi <routeConfig.js|json> [--title T] [--api-version V] [--base-path P] [--versioning] [--out file]";
+
+function parseCliArgs(argv) {
+  const options = { configPath: null, title: undefined, version: undefined, basePath: "", enableVersioning: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--title": options.title = argv[++i]; break;
+      case "--api-version": options.version = argv[++i]; break;
+      case "--base-path": options.basePath = argv[++i]; break;
+      case "--versioning": options.enableVersioning = true; break;
+      case "--out": options.out = argv[++i]; break;
+      case "-h":
+      case "--help": options.help = true; break;
+      default:
+        if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+        options.configPath = arg;
+    }
+  }
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseCliArgs(argv);
+  if (options.help || !options.configPath) {
+    process.stdout.write(USAGE + "\n");
+    return options.help ? 0 : 1;
+  }
+
+  const loaded = require(path.resolve(process.cwd(), options.configPath));
+  // Accept module.exports = routeConfig, { routeConfig } or an ES default export
+  const routeConfig = loaded?.routeConfig || loaded?.default || loaded;
+
+  const apiHandler = new ApiHandler({
+    routeConfig,
+    autoLoader: null,
+    enableVersioning: options.enableVersioning,
+    logger: { writeLog: () => {} }
+  });
+  const doc = OpenApiGenerator.generate(apiHandler, { title: options.title, version: options.version, basePath: options.basePath });
+  const json = JSON.stringify(doc, null, 2) + "\n";
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(process.cwd(), options.out), json);
+  } else {
+    process.stdout.write(json);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main();
+  } catch (err) {
+    process.stderr.write(`apihandler-openapi: ${err.message}\n${USAGE}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, parseCliArgs };